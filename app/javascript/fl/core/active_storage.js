@@ -135,6 +135,8 @@ let ActiveStorageAttachment = FlClassManager.make_class({
  * @requires FlModelBase
  * @description Model class for `ActiveStorage::Attached::One`
  *  This model encapsulate an instance of a `has_one_attached` relationship.
+ *  The **attachments** property is converted to an array of {@sref ActiveStorageAttachment} instances;
+ *  since attachments don't have an identifier, they cannot be cached, and are created directly.
  */
 
 let ActiveStorageAttachedOne = FlClassManager.make_class({
@@ -152,6 +154,9 @@ let ActiveStorageAttachedOne = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	attachments: { type: 'attachment', class_name: 'ActiveStorage::Attachment' }
+    },
     instance_properties: {
 	/**
 	 * @ngdoc property
@@ -168,37 +173,6 @@ let ActiveStorageAttachedOne = FlClassManager.make_class({
 	}
     },
     instance_methods: {
-	/**
-	 * @ngdoc method
-	 * @name ActiveStorageAttachedOne#refresh
-	 * @description
-	 *  Refresh the state of the instance based on the contents
-	 *  of the hash representation of a ActiveStorageAttachedOne object.
-	 *  The **attachments** property, if present, is converted to an array of
-	 *  {@sref ActiveStorageAttachment} instances.
-	 * 
-	 * @param {Object} data An object containing a representation of the 
-	 *  proxy object. This representation may be partial.
-	 *
-	 * @return [Boolean] Returns `true` if the state was refreshed from *data*, `false* otherwise.
-	 */
-
-	refresh: function(data) {
-	    if (!this.__super('FlModelBase', 'refresh', data)) return false;
-
-	    if (_.isArray(data.attachments))
-	    {
-		// Since attachments don't have an identifier, they cannot be cached, and we
-		// create them directly.
-		
-		this.attachments = _.map(data.attachments, function(a, idx) {
-		    return new ActiveStorageAttachment(a);
-		});
-	    }
-
-	    return true;
-	},
-
 	/**
 	 * @ngdoc method
 	 * @name ActiveStorageAttachedOne#variant
@@ -272,6 +246,8 @@ let ActiveStorageAttachedOne = FlClassManager.make_class({
  * @requires FlModelBase
  * @description Model class for `ActiveStorage::Attached::Many`
  *  This model encapsulate an instance of a `has_many_attached` relationship.
+ *  The **attachments** property is converted to an array of {@sref ActiveStorageAttachment} instances;
+ *  since attachments don't have an identifier, they cannot be cached, and are created directly.
  */
 
 let ActiveStorageAttachedMany = FlClassManager.make_class({
@@ -289,39 +265,12 @@ let ActiveStorageAttachedMany = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	attachments: { type: 'attachment', class_name: 'ActiveStorage::Attachment' }
+    },
     instance_properties: {
     },
     instance_methods: {
-	/**
-	 * @ngdoc method
-	 * @name ActiveStorageAttachedMany#refresh
-	 * @description
-	 *  Refresh the state of the instance based on the contents
-	 *  of the hash representation of a ActiveStorageAttachedMany object.
-	 *  The **attachments** property, if present, is converted to an array of
-	 *  {@sref ActiveStorageAttachment} instances.
-	 * 
-	 * @param {Object} data An object containing a representation of the 
-	 *  proxy object. This representation may be partial.
-	 *
-	 * @return [Boolean] Returns `true` if the state was refreshed from *data*, `false* otherwise.
-	 */
-
-	refresh: function(data) {
-	    if (!this.__super('FlModelBase', 'refresh', data)) return false;
-
-	    if (_.isArray(data.attachments))
-	    {
-		// Since attachments don't have an identifier, they cannot be cached, and we
-		// create them directly.
-		
-		this.attachments = _.map(data.attachments, function(a, idx) {
-		    return new ActiveStorageAttachment(a);
-		});
-	    }
-
-	    return true;
-	}
     },
     class_methods: {
 	/**
@@ -344,7 +293,7 @@ let ActiveStorageAttachedMany = FlClassManager.make_class({
 });
 
 FlGlobalModelFactory.register('fl.active_storage', [
-    { service: ActiveStorageAttachment, class_name: 'ActiveStorage::Attachment' },
+    { service: ActiveStorageAttachment, class_name: 'ActiveStorage::Attachment', identity: 'blob_key' },
     { service: ActiveStorageAttachedOne, class_name: 'ActiveStorage::Attached::One' },
     { service: ActiveStorageAttachedMany, class_name: 'ActiveStorage::Attached::Many' }
 ]);
@@ -13,11 +13,93 @@ const { FlExtensions, FlClassManager } = require('./object_system');
 const {
     FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
 } = require('./model_factory');
+const { FlConflictError } = require('./concurrency');
+const { FlPaginationStrategies } = require('./pagination');
 
 const DEFAULT_SRV_CFG = {
     xsrfCookieName: 'XSRF-TOKEN',
-    xsrfHeaderName: 'X-XSRF-TOKEN',
-    modelFactory: FlModelFactory.defaultFactory()
+    xsrfHeaderName: 'X-XSRF-TOKEN'
+};
+
+// Retries are disabled by default (a single attempt). POST and PATCH are not idempotent, and are
+// therefore not retried unless they are added to the methods list.
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    baseDelay: 200,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    statuses: [ 408, 429, 502, 503, 504 ],
+    methods: [ 'get', 'head', 'put', 'delete' ],
+    network: true,
+    retryAfter: true,
+    shouldRetry: null,
+    onRetry: null
+};
+
+// Middleware is an object with optional request, response, and error functions; a function is
+// shorthand for request middleware.
+
+function _middleware(mw) {
+    let m = (_.isFunction(mw)) ? { request: mw } : mw;
+    if (!_.isObject(m) || !_.some([ 'request', 'response', 'error' ], function(k) { return _.isFunction(m[k]); }))
+    {
+	throw new Error('(FlAPIService): middleware must be a function, or an object containing request, response, or error functions');
+    }
+
+    return m;
+};
+
+// The pagination strategy is a name in FlPaginationStrategies, an object containing the name in
+// :type and the strategy options, or a strategy object. The page strategy takes the :pg_names.
+
+function _pagination_strategy(pagination, pg_names) {
+    let o = (_.isString(pagination)) ? { type: pagination } : pagination;
+    if (_.isNil(o)) o = { type: 'page' };
+    if (_.isObject(o) && _.isFunction(o.query)) return o;
+
+    let factory = (_.isObject(o)) ? FlPaginationStrategies[o.type] : null;
+    if (!_.isFunction(factory))
+    {
+	throw new Error('(FlAPIService): unknown pagination strategy: ' + ((_.isObject(o)) ? o.type : o));
+    }
+
+    return factory(_.assign((o.type == 'page') ? { names: pg_names } : { }, _.omit(o, [ 'type' ])));
+};
+
+// The wait before a retry ends early if the request is canceled; the abort listener is removed when
+// the wait ends, so that long-lived signals don't accumulate them.
+
+function _sleep(ms, signal) {
+    return new Promise(function(resolve) {
+	let timer = null;
+	let _done = function() {
+	    clearTimeout(timer);
+	    if (_.isObject(signal)) signal.removeEventListener('abort', _done);
+	    resolve();
+	};
+
+	timer = setTimeout(_done, ms);
+	if (_.isObject(signal)) signal.addEventListener('abort', _done, { once: true });
+    });
+};
+
+// The Retry-After header contains either a number of seconds or an HTTP date; returns the delay in
+// milliseconds, or null if the header is missing or malformed.
+
+function _retry_after(response) {
+    let headers = (_.isObject(response)) ? response.headers : null;
+    if (!_.isObject(headers)) return null;
+
+    let v = (_.isFunction(headers.get)) ? headers.get('retry-after') : (headers['retry-after'] || headers['Retry-After']);
+    if (_.isNil(v) || (String(v).trim().length < 1)) return null;
+
+    let secs = Number(v);
+    if (_.isFinite(secs)) return Math.max(0, secs * 1000);
+
+    let d = Date.parse(v);
+    return (_.isNaN(d)) ? null : Math.max(0, d - Date.now());
 };
 
 /**
@@ -206,6 +288,44 @@ const DEFAULT_SRV_CFG = {
  * cleaner. On the other hand, if you have a long lived service object that needs to switch target
  * servers, the per-call customization is what you want.
  *
+ * ##### Retries
+ *
+ * Requests that fail with a transient error (a network failure, or a status like 502, 503, or 429)
+ * can be retried automatically with exponential backoff; the retry policy is set in the **retry**
+ * property of the service configuration, either globally with {@sref FlAPIService#setServiceConfig},
+ * per service in the constructor, or per call in the *config* argument:
+ * ```
+ * FlAPIService.setServiceConfig({ retry: { maxAttempts: 3 } });
+ * srv.index(null, { retry: { maxAttempts: 5, statuses: [ 503 ] } });
+ * ```
+ * By default, requests are not retried; `POST` and `PATCH` requests are not retried unless the policy
+ * lists them explicitly. See {@sref FlAPIService#_retry} for the policy options.
+ *
+ * ##### Cancellation and timeouts
+ *
+ * All methods that make requests accept an `AbortSignal` in the **signal** property of their *config*
+ * argument, and a timeout in milliseconds in the **timeout** property; {@sref FlAPIService#cancelAll}
+ * cancels all the requests in flight for a service instance. A canceled request rejects with an
+ * error object whose **type** is `canceled` (`timeout` for timeouts), and does not modify the
+ * {@sref FlAPIService#response} and {@sref FlAPIService#error} properties:
+ * ```
+ * let controller = new AbortController();
+ * srv.index({ q: 'abc' }, { signal: controller.signal, timeout: 5000 }).catch(function(e) {
+ *   if (e.type != 'canceled') report_error(e);
+ * });
+ * controller.abort();
+ * ```
+ *
+ * ##### Middleware
+ *
+ * Middleware intercepts requests: it can rewrite the Axios configuration before each request is sent
+ * (for example, to add authentication headers or locale parameters), modify the response before the
+ * service extracts its data, and map errors before they are converted by
+ * {@sref FlAPIService#response_error}. Middleware is added to a service class (and its subclasses)
+ * with {@sref FlAPIService#use} (the class method), or to a service instance with
+ * {@sref FlAPIService#use}; see the latter for details. Middleware added to {@sref FlAPIService}
+ * itself applies to all services.
+ *
  * ##### The status object
  *
  * The status object as returned by a successful method call contains the following properties:
@@ -236,12 +356,34 @@ const DEFAULT_SRV_CFG = {
  * ##### The pagination info
  *
  * Pagination info is an object that tracks the current state of a multipage query.
- * It contains the following properties:
+ * Its contents depend on the pagination strategy selected by the **pagination** property of the API
+ * configuration; see {@sref FlPaginationStrategies}. The default strategy uses page numbers, and the
+ * pagination info contains the following properties:
  * - **_s** How many results to return per page.
  * - **_p** The next page to fetch, starting at 1 for the first page.
  * - **_c** How many results were returned by the last query. Note that, if `_c < _s`, then
  *   no more results are available.
  *
+ * The `offset` strategy sends offset and limit parameters instead, and the `cursor` strategy sends the
+ * cursor returned by the server with the previous page (keyset pagination):
+ * ```
+ * let srv = new FlAPIService({
+ *   root_url_template: '/my/events',
+ *   data_names: [ 'event', 'events' ],
+ *   pagination: { type: 'cursor', limit: 50 }
+ * });
+ * ```
+ *
+ * {@sref FlAPIService#index} uses and updates the pagination controls in the service, so that
+ * {@sref FlAPIService#nextPage}, {@sref FlAPIService#previousPage}, {@sref FlAPIService#hasMore}, and
+ * {@sref FlAPIService#reset} can move through a listing. To walk a listing without touching that
+ * state, use the iterator returned by {@sref FlAPIService#pages}, or {@sref FlAPIService#indexAll}:
+ * ```
+ * srv.indexAll({ _pg: { _s: 100 } }, { maxPages: 10 }).then(function(models) {
+ *   // models contains the instances from all the pages
+ * });
+ * ```
+ *
  * ##### URL templates
  *
  * The configuration property **root_url_template** is used to generate the root URL.
@@ -358,6 +500,15 @@ let FlAPIService = FlClassManager.make_class({
      *  pagination controls. The service looks up each in the order in which they are listed
      *  in the array, and loads the first match in the pagination controls.
      *  The default value is the array `[ '_pg' ]`.
+     * @property {String|Object} api_cfg.pagination The pagination strategy used by
+     *  {@sref FlAPIService#index} and the pagination helpers: the name of one of the
+     *  {@sref FlPaginationStrategies}, an object containing the name in **type** and the strategy
+     *  options (for example, `{ type: 'cursor', limit: 50 }`), or a strategy object.
+     *  The default is the `page` strategy, which uses **pg_names**.
+     * @property {String|Boolean} api_cfg.locking The optimistic locking token that
+     *  {@sref FlAPIService#update} sends with updates of model instances: `lock_version` or
+     *  `updated_at`. If not present, **lock_version** is used if the instance has it, and
+     *  **updated_at** otherwise; a value of `false` disables the token.
      * @param {Object} srv_cfg Configuration for the service. A few standard properties in the
      *  object are described below; various services may include additional ones.
      *  See the properties section for details.
@@ -366,7 +517,8 @@ let FlAPIService = FlClassManager.make_class({
      *  instance if desired. This feature is often used for testing, to install a mocked version of Axios.
      * @property {Object} srv_cfg.modelFactory The instance of {@sref FlModelFactory} to use to create
      *  model instances.
-     *  Defaults to {@sref FlGlobalModelFactory}.
+     *  If not present, the service uses the default factory that is active when the property is accessed
+     *  (see {@sref FlModelFactory#defaultFactory}); initially, this is {@sref FlGlobalModelFactory}.
      * @property {String} srv_cfg.xsrfCookieName The name of the cookie to use as a value for the XSRF token.
      *  Defaults to `XSRF-TOKEN`.
      * @property {String} srv_cfg.xsrfHeaderName The name of the http header that carries the XSRF token
@@ -374,6 +526,13 @@ let FlAPIService = FlClassManager.make_class({
      *  Defaults to `X-XSRF-TOKEN`.
      * @property {String} srv_cfg.xsrfToken The value of the XSRF token.
      *  Defaults to `undefined`.
+     * @property {AbortSignal} srv_cfg.signal A signal that cancels the requests made by the service;
+     *  this is typically passed in the *config* argument of individual calls instead.
+     *  See {@sref FlAPIService#_send}.
+     * @property {Number} srv_cfg.timeout The timeout for requests, in milliseconds.
+     * @property {Object|Boolean} srv_cfg.retry The retry policy for failed requests; see
+     *  {@sref FlAPIService#_retry}. The default policy makes a single attempt; for example, pass
+     *  `{ retry: { maxAttempts: 3 } }` to retry twice. The value `false` disables retries.
      */
     initializer: function(api_cfg, srv_cfg) {
 	this._api_cfg = _.merge({ }, (_.isObject(api_cfg)) ? api_cfg : { });
@@ -381,9 +540,11 @@ let FlAPIService = FlClassManager.make_class({
 
 	this._http_service = (_.isNil(this._srv_cfg.axios)) ? axios : this._srv_cfg.axios;
 	this._pg_names = (_.isArray(this._api_cfg.pg_names)) ? this._api_cfg.pg_names : [ '_pg' ];
-	if (_.isNil(this._srv_cfg.modelFactory)) this._srv_cfg.modelFactory = FlModelFactory.defaultFactory();
+	this._pagination = _pagination_strategy(this._api_cfg.pagination, this._pg_names);
 
 	this._showDidSucceed = null;
+	this._middleware = [ ];
+	this._controllers = [ ];
 	this.pagination_controls = 'init';
     },
     instance_properties: {
@@ -444,13 +605,17 @@ let FlAPIService = FlClassManager.make_class({
 	 * @name FlAPIService#modelFactory
 	 * @description Getter for **modelFactory** property.
 	 *  This property is just an accessor for the `modelFactory` configuration property
-	 *  from the *srv_cfg* argument to the constructor.
+	 *  from the *srv_cfg* argument to the constructor; if that property is not set, the getter returns
+	 *  the current default factory.
 	 *
 	 * @return {String} Returns the value of the **modelFactory** property in the object.
 	 */
 
 	modelFactory: {
-	    get: function() { return this._srv_cfg.modelFactory; }
+	    get: function() {
+		let f = this._srv_cfg.modelFactory;
+		return (_.isNil(f)) ? FlModelFactory.defaultFactory() : f;
+	    }
 	},
 
 	/**
@@ -522,12 +687,13 @@ let FlAPIService = FlClassManager.make_class({
 	 * @ngdoc property
 	 * @name FlAPIService#pagination_controls
 	 * @description Accessors for pagination_controls.
-	 *  The getter returns a hash containing key/value pairs:
+	 *  The getter returns a hash whose contents depend on the pagination strategy; for the default
+	 *  `page` strategy, it contains the key/value pairs:
 	 *   - *_s* is an integer containing the page size (how many results are returned by the query).
 	 *   - *_p* is an integer containing the 1-based index of the _next_ page to load.
 	 *     For example, a value of 3 indicates that this is the _third_ page loaded.
 	 *
-	 *  The setter takes a hash with the same two key/value pairs, the string `'init'`, or
+	 *  The setter takes a hash with the same key/value pairs, the string `'init'`, or
 	 *  `null`; a value of `'init'` sets the default control values; any other value
 	 *  (including  *null*) disables use of the pagination controls.
 	 */
@@ -552,12 +718,27 @@ let FlAPIService = FlClassManager.make_class({
 	    }
 	},
 
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#hasMore
+	 * @description Check if more pages are available for the current listing; see
+	 *  {@sref FlAPIService#nextPage}. This is `true` before the first page has been loaded.
+	 *
+	 * @return {Boolean} Returns `true` if the last :index call returned a full page.
+	 */
+
+	hasMore: {
+	    get: function() {
+		return this._has_more(this.pagination_controls);
+	    }
+	},
+
 	/**
 	 * @ngdoc property
 	 * @name FlAPIService#initial_pagination_controls
-	 * @description Get the initial pagination_controls.
+	 * @description Get the initial pagination_controls, as returned by the pagination strategy.
 	 *
-	 * @return {Object} Returns a hash containing key/value pairs:
+	 * @return {Object} For the default `page` strategy, returns a hash containing key/value pairs:
 	 *  - *_s* is an integer containing the page size (how many results are returned by
 	 *    the query). The value returned is 20.
 	 *  - *_p* is an integer containing the 1-based index of the _next_ page to load.
@@ -567,7 +748,21 @@ let FlAPIService = FlClassManager.make_class({
 
 	initial_pagination_controls: {
 	    get: function() {
-		return { _s: 20, _p: 1 };
+		return this._pagination.initial();
+	    }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#pagination_strategy
+	 * @description Get the pagination strategy; see {@sref FlPaginationStrategies}.
+	 *
+	 * @return {Object} Returns the strategy object.
+	 */
+
+	pagination_strategy: {
+	    get: function() {
+		return this._pagination;
 	    }
 	}
     },
@@ -665,18 +860,11 @@ let FlAPIService = FlClassManager.make_class({
 
 	get: function(url, config) {
 	    let self = this;
+	    let cfg = this._make_config(config);
 
-	    return this._http_service.get(url, this._make_config(config))
-		.then(function(r) {
- 		    self._error = null;
-		    self._response = r;
-		    return Promise.resolve(r);
-		})
-		.catch(function(e) {
-		    self._error = e;
-		    self._response = e.response;
-		    return Promise.reject(e);
-		});
+	    return this._dispatch('get', url, undefined, config, cfg, function(u, d, c) {
+		return self._http_service.get(u, c);
+	    });
 	},
 
 	/**
@@ -796,18 +984,11 @@ let FlAPIService = FlClassManager.make_class({
 
 	head: function(url, config) {
 	    let self = this;
+	    let cfg = this._make_config(config);
 	    
-	    return this._http_service.head(url, this._make_config(config))
-		.then(function(r) {
-		    self._error = null;
-		    self._response = r;
-		    return Promise.resolve(r);
-		})
-		.catch(function(e) {
-		    self._error = e;
-		    self._response = e.response;
-		    return Promise.reject(e);
-		});
+	    return this._dispatch('head', url, undefined, config, cfg, function(u, d, c) {
+		return self._http_service.head(u, c);
+	    });
 	},
 
 	/**
@@ -829,18 +1010,278 @@ let FlAPIService = FlClassManager.make_class({
 	 */
 
 	index: function(params, config) {
+	    // the pagination parameters apply to this call only: the next pages are loaded from the
+	    // pagination controls, and reset restarts from the initial controls for this call
+
+	    this._index_params = this._pagination.strip(params);
+	    this._index_controls = this._pagination.initial(params);
+	    return this._index_listing(params, config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_index_listing
+	 * @description Load a page of the current listing.
+	 *  This (internal) method makes the :index call for {@sref FlAPIService#index},
+	 *  {@sref FlAPIService#nextPage}, and {@sref FlAPIService#previousPage}: it uses and updates
+	 *  {@sref FlAPIService#pagination_controls}, but it does not modify the parameters of the listing.
+	 *
+	 * @param {Object} [params] Parameters to pass in the request.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Promise} Returns a promise as described in {@sref FlAPIService#index}.
+	 */
+
+	_index_listing: function(params, config) {
 	    let self = this;
+	    let pc = this.pagination_controls;
 
-	    return this.get(this.url_path_for('index'), this._make_index_config(params, config))
+	    return this.get(this.url_path_for('index'), this._make_index_config(params, config, pc))
 		.then(function(r) {
-		    self._set_pagination_controls(r);
-		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
+		    self._set_pagination_controls(r, pc);
+		    return Promise.resolve(self.modelFactory.create(self._model_data(r)));
 		})
 		.catch(function(e) {
 		    return Promise.reject(self.response_error(e));
 		});
 	},
 	
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#nextPage
+	 * @description Load the next page of the current listing.
+	 *  This method makes an :index call with the parameters of the last {@sref FlAPIService#index}
+	 *  call, without the pagination parameters (like **_pg**, or **offset** and **limit**);
+	 *  since **index** updates {@sref FlAPIService#pagination_controls}, this loads the page that
+	 *  follows the last one loaded.
+	 *
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Promise} Returns a promise as described in {@sref FlAPIService#index}; if there are no more
+	 *  pages (see {@sref FlAPIService#hasMore}), returns a promise that resolves to an empty array,
+	 *  and no request is made.
+	 */
+
+	nextPage: function(config) {
+	    if (!this.hasMore) return Promise.resolve([ ]);
+
+	    return this._index_listing(this._index_params, config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#previousPage
+	 * @description Load the page before the last one loaded by {@sref FlAPIService#index}.
+	 *
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Promise} Returns a promise as described in {@sref FlAPIService#index}; if the last page loaded
+	 *  was the first one, returns a promise that resolves to an empty array, and no request is made.
+	 */
+
+	previousPage: function(config) {
+	    let pc = this.pagination_controls;
+	    let prev = (_.isObject(pc)) ? this._pagination.previous(pc) : null;
+	    if (!_.isObject(prev)) return Promise.resolve([ ]);
+
+	    this.pagination_controls = prev;
+	    return this._index_listing(this._index_params, config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#reset
+	 * @description Reset the state of the current listing: the pagination controls are set to their
+	 *  initial value, and {@sref FlAPIService#nextPage} will load the first page. Pagination
+	 *  parameters in *params* (or in the parameters of the last **index** call), like the page size
+	 *  in **_pg._s**, are used to build the initial controls.
+	 *
+	 * @param {Object} [params] The parameters for {@sref FlAPIService#nextPage}; if not present,
+	 *  the parameters of the last **index** call are kept.
+	 *
+	 * @return {FlAPIService} Returns `this`.
+	 */
+
+	reset: function(params) {
+	    if (!_.isUndefined(params))
+	    {
+		this._index_params = this._pagination.strip(params);
+		this._index_controls = this._pagination.initial(params);
+	    }
+	    this.pagination_controls = (_.isObject(this._index_controls)) ? _.clone(this._index_controls) : 'init';
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#pages
+	 * @description Get an iterator over the pages of a listing.
+	 *  The iterator implements the async iteration protocol, and each step loads one page by
+	 *  making an :index call; its value is the array of model instances in the page. Iteration stops
+	 *  after the last page (as reported by the pagination controls), or at the first empty page.
+	 *  For example:
+	 *  ```
+	 *  for await (const models of srv.pages({ _q: { order: 'created_at DESC' } })) {
+	 *    render(models);
+	 *  }
+	 *  ```
+	 *  The iterator keeps its own pagination state, which starts at the first page (the page size
+	 *  can be set in **params._pg._s**, or in the limit parameter of the `offset` and `cursor`
+	 *  strategies); it does not use or modify the
+	 *  {@sref FlAPIService#pagination_controls} of the service, and therefore multiple iterators
+	 *  can walk different listings on the same service instance at the same time.
+	 *  Concurrent calls to **next** are serialized.
+	 *
+	 *  In addition to **next** and **return**, the iterator has a **hasMore** property, and a
+	 *  **pagination_controls** property that contains its current pagination state.
+	 *
+	 * @param {Object} [params] Parameters to pass in the requests, as for {@sref FlAPIService#index}.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Object} Returns the iterator.
+	 */
+
+	pages: function(params, config) {
+	    let self = this;
+	    let p = this._pagination.strip(params);
+	    let state = {
+		controls: this._pagination.initial(params),
+		done: false,
+		queue: Promise.resolve()
+	    };
+
+	    let _next = function() {
+		if (state.done) return Promise.resolve({ done: true, value: undefined });
+
+		return self._index_page(p, config, state.controls).then(function(page) {
+		    state.controls = page.controls;
+		    if (!self._has_more(page.controls)) state.done = true;
+
+		    if (_.isArray(page.data) && (page.data.length < 1))
+		    {
+			state.done = true;
+			return Promise.resolve({ done: true, value: undefined });
+		    }
+
+		    return Promise.resolve({ done: false, value: page.data });
+		});
+	    };
+
+	    let iterator = {
+		next: function() {
+		    let rv = state.queue.then(_next);
+		    state.queue = rv.catch(function() { });
+		    return rv;
+		},
+
+		return: function(value) {
+		    state.done = true;
+		    return Promise.resolve({ done: true, value: value });
+		}
+	    };
+
+	    Object.defineProperty(iterator, 'hasMore', {
+		get: function() { return !state.done; }
+	    });
+	    Object.defineProperty(iterator, 'pagination_controls', {
+		get: function() { return _.clone(state.controls); }
+	    });
+	    iterator[Symbol.asyncIterator] = function() { return this; };
+
+	    return iterator;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#indexAll
+	 * @description Load all the pages of a listing.
+	 *  This method walks the pages with {@sref FlAPIService#pages}, and therefore does not modify the
+	 *  pagination controls of the service.
+	 *
+	 * @param {Object} [params] Parameters to pass in the requests, as for {@sref FlAPIService#index}.
+	 * @param {Object} [opts] Options.
+	 * @property {Integer} opts.maxPages The maximum number of pages to load; if not present, all
+	 *  pages are loaded.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Promise} Returns a promise that resolves to an array containing the model instances
+	 *  from all the pages that were loaded, or rejects with the error from the first failed request.
+	 */
+
+	indexAll: function(params, opts, config) {
+	    let o = (_.isObject(opts)) ? opts : { };
+	    let max_pages = (_.isInteger(o.maxPages) && (o.maxPages > 0)) ? o.maxPages : Infinity;
+	    let iterator = this.pages(params, config);
+	    let loaded = 0;
+	    let all = [ ];
+
+	    let _step = function() {
+		if (loaded >= max_pages) return iterator.return(all).then(function() { return all; });
+
+		return iterator.next().then(function(step) {
+		    if (step.done) return all;
+
+		    loaded += 1;
+		    all = _.concat(all, step.value);
+		    return _step();
+		});
+	    };
+
+	    return _step();
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_index_page
+	 * @description Load a page of a listing with explicit pagination controls.
+	 *  This (internal) method makes an :index call like {@sref FlAPIService#index}, but it does not use
+	 *  or modify the pagination controls of the service.
+	 *
+	 * @param {Object} [params] Parameters to pass in the request.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 * @param {Object} controls The pagination controls for the request.
+	 *
+	 * @return {Promise} Returns a promise that resolves to an object containing **data** (the model
+	 *  instances) and **controls** (the pagination controls returned by the server), or rejects
+	 *  with the error object.
+	 */
+
+	_index_page: function(params, config, controls) {
+	    let self = this;
+
+	    return this.get(this.url_path_for('index'), this._make_index_config(params, config, controls))
+		.then(function(r) {
+		    let pc = self._extract_pagination_controls(r, controls);
+		    return Promise.resolve({
+			data: self.modelFactory.create(self._model_data(r)),
+			controls: (_.isNil(pc)) ? controls : pc
+		    });
+		})
+		.catch(function(e) {
+		    return Promise.reject(self.response_error(e));
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_has_more
+	 * @description Check if pagination controls returned by the server indicate that more pages
+	 *  are available; the check is delegated to the pagination strategy. For the `page` strategy,
+	 *  the last query returned a full page (`_c` is at least `_s`). Controls that have not been loaded
+	 *  from the server indicate that more pages are available.
+	 *
+	 * @param {Object} controls The pagination controls.
+	 *
+	 * @return {Boolean} Returns `true` if there may be more pages.
+	 */
+
+	_has_more: function(controls) {
+	    if (!_.isObject(controls)) return false;
+
+	    return this._pagination.hasMore(controls);
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#setShowDidSucceed
@@ -871,6 +1312,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  been created explicitly, rather than via the {@sref FlModelFactory#create} method: in this case,
 	 *  the instance may not be cached, and using `create` would result in two copies of the
 	 *  object floating around in the system. Use of this method helps avoiding that kind of problem.
+	 *  The change tracking snapshot of a refreshed instance is reset (see {@sref FlModelBase#commit}).
 	 *
 	 * @param {Integer|String|Object} id A string or integer containing the identifier, or a model
 	 *  instance from which the identifier is obtained.
@@ -886,7 +1328,7 @@ let FlAPIService = FlClassManager.make_class({
 	    {
 		// This looks like a model instance, so just refresh it.
 
-		id.refresh(data);
+		id._server_refresh(data);
 		return id;
 	    }
 	    else
@@ -920,7 +1362,7 @@ let FlAPIService = FlClassManager.make_class({
 	    let self = this;
 	    return this.get(this.url_path_for('show', id), this._make_get_config(params, config))
 		.then(function(r) {
-		    let model = self._create_or_refresh_from_id(id, self.response_data(r));
+		    let model = self._create_or_refresh_from_id(id, self._model_data(r));
 
 		    if (_.isFunction(self._showDidSucceed))
 		    {
@@ -965,7 +1407,6 @@ let FlAPIService = FlClassManager.make_class({
 	    let self = this;
 	    let api_data = data;
 	    let cfg = this._make_config(config);
-	    let args;
 	    let um = method.toLowerCase();
 
 	    if (!_.isNil(self.xsrfToken))
@@ -985,22 +1426,18 @@ let FlAPIService = FlClassManager.make_class({
 	    if (um == 'post')
 	    {
 		m = this._http_service.post;
-		args = [ url, api_data, cfg ];
 	    }
 	    else if (um == 'patch')
 	    {
 		m = this._http_service.patch;
-		args = [ url, api_data, cfg ];
 	    }
 	    else if (um == 'put')
 	    {
 		m = this._http_service.put;
-		args = [ url, api_data, cfg ];
 	    }
 	    else if (um == 'delete')
 	    {
 		m = this._http_service.delete;
-		args = [ url, cfg ];
 	    }
 	    else
 	    {
@@ -1009,17 +1446,9 @@ let FlAPIService = FlClassManager.make_class({
 
 	    if (m)
 	    {
-		return m.apply(this._http_service, args)
-		    .then(function(r) {
-			self._error = null;
-			self._response = r;
-			return Promise.resolve(r);
-		    })
-		    .catch(function(e) {
-			self._error = e;
-			self._response = e.response;
-			return Promise.reject(e);
-		    });
+		return this._dispatch(um, url, api_data, config, cfg, function(u, d, c) {
+		    return m.apply(self._http_service, (um == 'delete') ? [ u, c ] : [ u, d, c ]);
+		});
 	    }
 	    else
 	    {
@@ -1050,7 +1479,7 @@ let FlAPIService = FlClassManager.make_class({
 	    
 	    return this.post(this.url_path_for('create'), this._wrap_data(data), config)
 		.then(function(r) {
-		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
+		    return Promise.resolve(self.modelFactory.create(self._model_data(r)));
 		})
 		.catch(function(e) {
 		    return Promise.reject(self.response_error(e));
@@ -1063,6 +1492,14 @@ let FlAPIService = FlClassManager.make_class({
 	 * @description Make a :update call by calling `axios.patch` against the root URL/:id.
 	 *  The actual call is to {@sref FlAPIService#process}, which then dispatches to `axios.patch`.
 	 *
+	 *  If *id* is a model instance, the update uses optimistic locking: the request includes the
+	 *  version of the object that the client has (see the **locking** option to the constructor).
+	 *  A **lock_version** is placed in the wrapped data, where ActiveRecord's optimistic locking
+	 *  picks it up; an **updated_at** timestamp is sent as the unwrapped parameter **_updated_at**.
+	 *  If the server rejects the update as stale, the promise rejects with a {@sref FlConflictError}
+	 *  that contains the local representation of the instance, and the server representation if
+	 *  the error details include it (under one of the **data_names**).
+	 *
 	 * @param {Integer|String|Object} id A string or integer containing the identifier to append to
 	 *  the root URL. You can also pass an object with an `id` property, whose value will be used
 	 * @param {Object} data The data to submit to the server. The object contains two properties,
@@ -1080,13 +1517,79 @@ let FlAPIService = FlClassManager.make_class({
 	update: function(id, data, config) {
 	    let self = this;
 
-	    return this.patch(this.url_path_for('update', id), this._wrap_data(data), config)
+	    return this.patch(this.url_path_for('update', id), this._wrap_data(this._lock_data(id, data)), config)
 		.then(function(r) {
-		    return Promise.resolve(self._create_or_refresh_from_id(id, self.response_data(r)));
+		    return Promise.resolve(self._create_or_refresh_from_id(id, self._model_data(r)));
 		})
 		.catch(function(e) {
-		    return Promise.reject(self.response_error(e));
+		    return Promise.reject(self._conflict_error(id, data, self.response_error(e)));
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_lock_data
+	 * @description Add the optimistic locking token to update data; see {@sref FlAPIService#update}.
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update}; only model
+	 *  instances carry a token.
+	 * @param {Object} data The data to submit.
+	 *
+	 * @return {Object} Returns a copy of *data* that includes the token, or *data* if no token is
+	 *  available.
+	 */
+
+	_lock_data: function(id, data) {
+	    let locking = this._api_cfg.locking;
+	    if ((locking === false) || _.isNil(id) || _.isNil(id.__class) || !_.isFunction(id.refresh)) return data;
+
+	    if (((locking == 'lock_version') || _.isNil(locking)) && !_.isNil(id.lock_version))
+	    {
+		return _.assign({ }, data, {
+		    wrapped: _.assign({ }, data.wrapped, { lock_version: id.lock_version })
 		});
+	    }
+
+	    if (((locking == 'updated_at') || _.isNil(locking)) && !_.isNil(id.updated_at))
+	    {
+		let ts = id.updated_at;
+		if (_.isDate(ts)) ts = ts.toISOString();
+		if (_.isFunction(ts.toISO)) ts = ts.toISO();
+
+		return _.assign({ }, data, {
+		    unwrapped: _.assign({ }, data.unwrapped, { _updated_at: ts })
+		});
+	    }
+
+	    return data;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_conflict_error
+	 * @description Convert the error from a stale update to a {@sref FlConflictError}.
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update}.
+	 * @param {Object} data The *data* argument to {@sref FlAPIService#update}.
+	 * @param {Object} err The error object, as returned by {@sref FlAPIService#response_error}.
+	 *
+	 * @return {Object} Returns a {@sref FlConflictError} if *err* reports a conflict, and *err*
+	 *  otherwise.
+	 */
+
+	_conflict_error: function(id, data, err) {
+	    if (!FlConflictError.isConflict(err)) return err;
+
+	    let is_model = !_.isNil(id) && !_.isNil(id.__class) && _.isFunction(id.refresh);
+	    let details = (_.isObject(err.details)) ? err.details : { };
+	    let server = _.find(_.map(this.data_names, function(n) { return details[n]; }), _.isObject);
+
+	    return new FlConflictError(err.message, {
+		local: (is_model) ? id.toJSON() : data.wrapped,
+		server: server,
+		details: err.details,
+		response: err.response
+	    });
 	},
 
 	/**
@@ -1119,6 +1622,424 @@ let FlAPIService = FlClassManager.make_class({
 		});
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_retry_policy
+	 * @description Build the retry policy for a request.
+	 *  The policy is the default policy, overridden by the **retry** property in the service
+	 *  configuration, and then by the **retry** property in *config*. Properties are replaced rather
+	 *  than merged, so that, for example, a **statuses** array in *config* replaces the default list.
+	 *
+	 * @param {Object} [config] The configuration object passed to the request method.
+	 *
+	 * @return {Object} Returns the retry policy.
+	 */
+
+	_retry_policy: function(config) {
+	    let cfg_retry = (_.isObject(config)) ? config.retry : undefined;
+	    if ((this._srv_cfg.retry === false) || (cfg_retry === false))
+	    {
+		return _.assign({ }, DEFAULT_RETRY_POLICY, { maxAttempts: 1 });
+	    }
+
+	    return _.assign({ }, DEFAULT_RETRY_POLICY,
+			    (_.isObject(this._srv_cfg.retry)) ? this._srv_cfg.retry : { },
+			    (_.isObject(cfg_retry)) ? cfg_retry : { });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_retry
+	 * @description Execute a request, retrying it on transient failures.
+	 *  This (internal) method is used by {@sref FlAPIService#get}, {@sref FlAPIService#head}, and
+	 *  {@sref FlAPIService#process}; the retry policy is built by {@sref FlAPIService#_retry_policy},
+	 *  and contains the following properties:
+	 *  - **maxAttempts** is the maximum number of attempts, including the first one; the default
+	 *    is 1 (no retries).
+	 *  - **baseDelay**, **factor**, and **maxDelay** control the exponential backoff: the delay
+	 *    before retry *n* is `baseDelay * factor^(n-1)` milliseconds, up to **maxDelay**. The
+	 *    defaults are 200, 2, and 10000.
+	 *  - **jitter**: if `true` (the default), the delay is a random value between 0 and the backoff
+	 *    delay, so that clients that failed together don't retry together.
+	 *  - **statuses** lists the response statuses that are retried; the default is 408, 429, 502,
+	 *    503, and 504.
+	 *  - **methods** lists the (lowercase) HTTP methods that are retried; the default is `get`,
+	 *    `head`, `put`, and `delete`. Requests that are not idempotent, like `post`, are retried
+	 *    only if they are added to this list.
+	 *  - **network**: if `true` (the default), requests that failed without a response (for
+	 *    example, because the connection was refused) are retried. Canceled requests are not.
+	 *  - **retryAfter**: if `true` (the default), a `Retry-After` header in the response replaces
+	 *    the backoff delay; if the header asks for a delay longer than **maxDelay**, the request
+	 *    is not retried.
+	 *  - **shouldRetry** is an optional function that overrides the status and network checks;
+	 *    it is called with the error and the attempt number, and returns a boolean.
+	 *  - **onRetry** is an optional function called before each retry, with an object containing
+	 *    **method**, **url**, **attempt** (the number of the failed attempt), **delay**, and
+	 *    **error**.
+	 *
+	 *  For example, to retry failed `GET` requests up to four times, and log the retries:
+	 *  ```
+	 *  let srv = new MyAPIService({
+	 *    retry: {
+	 *      maxAttempts: 5,
+	 *      onRetry: function(info) { console.log('retrying ' + info.url + ' in ' + info.delay + 'ms'); }
+	 *    }
+	 *  });
+	 *  ```
+	 *
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {Object} [config] The configuration object passed to the request method.
+	 * @param {Function} request A function that makes the request and returns a promise; it is
+	 *  called once for each attempt.
+	 * @param {AbortSignal} [signal] A signal that stops the retries.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response from the first successful
+	 *  attempt, or rejects with the error from the last attempt.
+	 */
+
+	_retry: function(method, url, config, request, signal) {
+	    let policy = this._retry_policy(config);
+	    let attempt = 1;
+
+	    let _delay = function(e) {
+		if ((attempt >= policy.maxAttempts) || !_.includes(policy.methods, method)) return null;
+		if (axios.isCancel(e)) return null;
+
+		let response = (_.isObject(e)) ? e.response : undefined;
+		let retryable;
+		if (_.isFunction(policy.shouldRetry))
+		{
+		    retryable = policy.shouldRetry(e, attempt);
+		}
+		else if (_.isObject(response))
+		{
+		    retryable = _.includes(policy.statuses, response.status);
+		}
+		else
+		{
+		    retryable = policy.network;
+		}
+		if (!retryable) return null;
+
+		let ra = (policy.retryAfter) ? _retry_after(response) : null;
+		if (!_.isNil(ra)) return (ra > policy.maxDelay) ? null : ra;
+
+		let d = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+		return (policy.jitter) ? Math.floor(Math.random() * d) : d;
+	    };
+
+	    let _run = function() {
+		if (_.isObject(signal) && signal.aborted) return Promise.reject(new axios.CanceledError());
+
+		return request().catch(function(e) {
+		    let delay = _delay(e);
+		    if (_.isNil(delay)) return Promise.reject(e);
+
+		    if (_.isFunction(policy.onRetry))
+		    {
+			policy.onRetry({ method: method, url: url, attempt: attempt, delay: delay, error: e });
+		    }
+
+		    attempt += 1;
+		    return _sleep(delay, signal).then(_run);
+		});
+	    };
+
+	    return _run();
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#use
+	 * @description Add middleware to this service instance.
+	 *  Middleware intercepts the requests made by the service; it is an object that contains up to
+	 *  three functions, which are called with `this` set to the service:
+	 *  - **request(config, context)** is called before each attempt of a request (including
+	 *    retries), with a copy of the Axios configuration as built by
+	 *    {@sref FlAPIService#_make_config}. It returns the configuration to use, or a promise that
+	 *    resolves to it; if it returns `undefined`, *config* (which it may have modified) is used.
+	 *  - **response(response, context)** is called with the Axios response of a successful request,
+	 *    before it is stored in {@sref FlAPIService#response} and passed to
+	 *    {@sref FlAPIService#response_data}. It returns the response to use, or a promise.
+	 *    Throwing an error (or returning a rejected promise) turns the request into a failure.
+	 *  - **error(error, context)** is called with the error from a failed request, before it is
+	 *    stored in {@sref FlAPIService#error} and passed to {@sref FlAPIService#response_error}.
+	 *    It returns the error to use, or a promise that resolves to it.
+	 *
+	 *  A function can be passed instead of an object; it is used as request middleware.
+	 *  The *context* argument contains **service**, **method** (the lowercase HTTP method), **url**,
+	 *  and **data** (the submission data, if any); request middleware can modify **url** and
+	 *  **data**.
+	 *  Class middleware registered with {@sref FlAPIService#use} (the class method) runs first, from
+	 *  {@sref FlAPIService} down to the class of the service, followed by the instance middleware;
+	 *  within each group, middleware runs in the order it was added. For example:
+	 *  ```
+	 *  srv.use({
+	 *    request: function(config, context) {
+	 *      config.headers = _.assign({ }, config.headers, { Authorization: 'Bearer ' + token() });
+	 *      config.params = _.assign({ }, config.params, { locale: current_locale() });
+	 *      return config;
+	 *    },
+	 *    error: function(e, context) {
+	 *      console.log('(MyApp): ' + context.method + ' ' + context.url + ' failed');
+	 *      return e;
+	 *    }
+	 *  });
+	 *  ```
+	 *
+	 * @param {Object|Function} mw The middleware.
+	 *
+	 * @return {FlAPIService} Returns `this`.
+	 *
+	 * @throws Throws an exception if *mw* is not a function, or an object containing at least one
+	 *  of the middleware functions.
+	 */
+
+	use: function(mw) {
+	    this._middleware.push(_middleware(mw));
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#unuse
+	 * @description Remove middleware added by {@sref FlAPIService#use}.
+	 *
+	 * @param {Object|Function} mw The middleware, as passed to **use**.
+	 *
+	 * @return {FlAPIService} Returns `this`.
+	 */
+
+	unuse: function(mw) {
+	    _.remove(this._middleware, function(m) {
+		return (m === mw) || (m.request === mw);
+	    });
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_run_middleware
+	 * @description Run one stage of the middleware chain.
+	 *
+	 * @param {String} stage The stage: `request`, `response`, or `error`.
+	 * @param {any} value The value to pass through the chain: the configuration, the response, or
+	 *  the error.
+	 * @param {Object} context The middleware context.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the value returned by the last middleware.
+	 */
+
+	_run_middleware: function(stage, value, context) {
+	    let self = this;
+	    let chain = [ this._middleware ];
+
+	    // class middleware runs from FlAPIService down to the class of the service
+
+	    for (let c = this.__class; !_.isNil(c); c = c.__superclass)
+	    {
+		if (c.hasOwnProperty('_middleware')) chain.unshift(c._middleware);
+	    }
+
+	    return _.reduce(_.flatten(chain), function(p, m) {
+		if (!_.isFunction(m[stage])) return p;
+
+		return p.then(function(v) {
+		    return Promise.resolve(m[stage].call(self, v, context)).then(function(rv) {
+			return (_.isUndefined(rv)) ? v : rv;
+		    });
+		});
+	    }, Promise.resolve(value));
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_dispatch
+	 * @description Execute a request through the middleware chain.
+	 *  This (internal) method is the common implementation of {@sref FlAPIService#get},
+	 *  {@sref FlAPIService#head}, and {@sref FlAPIService#process}; it runs the request middleware
+	 *  on each attempt, then the response or error middleware, and stores the result in the
+	 *  {@sref FlAPIService#response} and {@sref FlAPIService#error} properties.
+	 *
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {any} data The submission data, if any.
+	 * @param {Object} config The configuration object passed to the request method.
+	 * @param {Object} cfg The Axios configuration, as built by {@sref FlAPIService#_make_config}.
+	 * @param {Function} call A function that makes the Axios call; it takes three arguments: the
+	 *  URL, the data, and the configuration.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response, or rejects with the error.
+	 */
+
+	_dispatch: function(method, url, data, config, cfg, call) {
+	    let self = this;
+	    let context = { service: this, method: method, url: url, data: data };
+
+	    return this._send(method, url, config, cfg, function() {
+		let ctx = _.assign({ }, context);
+
+		return self._run_middleware('request', _.merge({ }, cfg), ctx).then(function(c) {
+		    return call(ctx.url, ctx.data, c);
+		});
+	    })
+		.then(function(r) {
+		    return self._run_middleware('response', r, context);
+		})
+		.then(function(r) {
+		    self._error = null;
+		    self._response = r;
+		    return Promise.resolve(r);
+		}, function(e) {
+		    return self._run_middleware('error', e, context).then(function(me) {
+			self._set_error(me);
+			return Promise.reject(me);
+		    });
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_send
+	 * @description Execute a request that can be canceled, and that can time out.
+	 *  This (internal) method is used by {@sref FlAPIService#get}, {@sref FlAPIService#head}, and
+	 *  {@sref FlAPIService#process}, and therefore by all the action methods; it wraps
+	 *  {@sref FlAPIService#_retry}.
+	 *  The request can be canceled in two ways: by passing an `AbortSignal` in the **signal**
+	 *  property of the configuration, and by calling {@sref FlAPIService#cancelAll}. If the
+	 *  configuration contains a **timeout** (in milliseconds), the request is also canceled when the
+	 *  timeout expires; the timeout covers all attempts, including retries.
+	 *
+	 *  When a request is canceled, the returned promise rejects immediately, even if the underlying
+	 *  HTTP request can't be aborted; a response that arrives later is ignored.
+	 *  {@sref FlAPIService#extract_response_error} converts the rejection value to an error object
+	 *  whose **type** is `canceled` (or `timeout`).
+	 *
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {Object} config The configuration object passed to the request method.
+	 * @param {Object} cfg The configuration object passed to Axios; its **signal** property is
+	 *  replaced with a signal controlled by the service, and its **timeout** and **retry** properties
+	 *  are removed.
+	 * @param {Function} request A function that makes the request and returns a promise.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response, or rejects with the error
+	 *  from the request, an `axios.CanceledError` if the request was canceled, or an
+	 *  `axios.AxiosError` with code `ECONNABORTED` if the request timed out.
+	 */
+
+	_send: function(method, url, config, cfg, request) {
+	    let self = this;
+	    let controller = new AbortController();
+	    let signal = cfg.signal;
+	    let timeout = cfg.timeout;
+	    let timed_out = false;
+	    let timer = null;
+
+	    let _abort = function() {
+		controller.abort();
+	    };
+
+	    // the service implements the timeout and the retries, so the Axios configuration must not
+	    // contain them: Axios would otherwise apply the timeout separately to each attempt
+
+	    delete cfg.timeout;
+	    delete cfg.retry;
+
+	    if (_.isObject(signal))
+	    {
+		if (signal.aborted) controller.abort();
+		else signal.addEventListener('abort', _abort);
+	    }
+	    cfg.signal = controller.signal;
+	    this._controllers.push(controller);
+
+	    return new Promise(function(resolve, reject) {
+		let _cleanup = function() {
+		    if (!_.isNil(timer)) clearTimeout(timer);
+		    controller.signal.removeEventListener('abort', _cancel);
+		    if (_.isObject(signal)) signal.removeEventListener('abort', _abort);
+		    _.pull(self._controllers, controller);
+		};
+
+		let _cancel = function() {
+		    _cleanup();
+		    if (timed_out)
+		    {
+			reject(new axios.AxiosError('timeout of ' + timeout + 'ms exceeded',
+						    axios.AxiosError.ECONNABORTED, cfg));
+		    }
+		    else
+		    {
+			reject(new axios.CanceledError('request canceled', undefined, cfg));
+		    }
+		};
+
+		if (controller.signal.aborted)
+		{
+		    _cancel();
+		    return;
+		}
+
+		controller.signal.addEventListener('abort', _cancel);
+		if (_.isNumber(timeout) && (timeout > 0))
+		{
+		    timer = setTimeout(function() {
+			timed_out = true;
+			controller.abort();
+		    }, timeout);
+		}
+
+		self._retry(method, url, config, request, controller.signal).then(function(r) {
+		    _cleanup();
+		    resolve(r);
+		}, function(e) {
+		    _cleanup();
+		    reject(e);
+		});
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#cancelAll
+	 * @description Cancel all the requests in flight for this service instance.
+	 *  The promises for the canceled requests reject as described in {@sref FlAPIService#_send}.
+	 *  This is typically called when the component that owns the service is unmounted.
+	 *
+	 * @return {Number} Returns the number of canceled requests.
+	 */
+
+	cancelAll: function() {
+	    let controllers = this._controllers;
+	    this._controllers = [ ];
+
+	    _.forEach(controllers, function(c) {
+		c.abort();
+	    });
+
+	    return controllers.length;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_set_error
+	 * @description Save the error from a failed request in the {@sref FlAPIService#error} and
+	 *  {@sref FlAPIService#response} properties.
+	 *  Canceled requests don't modify the properties, so that a request canceled by a component
+	 *  that is going away does not overwrite the state of requests made by others.
+	 *
+	 * @param {Object} e The error.
+	 */
+
+	_set_error: function(e) {
+	    if (axios.isCancel(e)) return;
+
+	    this._error = e;
+	    this._response = (_.isObject(e)) ? e.response : undefined;
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#_make_config
@@ -1184,28 +2105,25 @@ let FlAPIService = FlClassManager.make_class({
 	 *  merged into *config.params*, and eventually make their way to the query string.
 	 * @param {Object} [config] Configuration object to pass to axios; this object is
 	 *  merged into the default HTTP configuration.
+	 * @param {Object} [controls] The pagination controls to use; if not present, the value of
+	 *  {@sref FlAPIService#pagination_controls} is used.
 	 *
 	 * @return {Object} Returns a configuration object where the values in _config_ have been
 	 *  merged into the default HTTP configuration.
 	 *  Also, the pagination controls are placed in the
-	 *  submission parameters if enabled. The first key name in the pagination control keys
-	 *  array is used as the key.
+	 *  submission parameters if enabled, as returned by the **query** method of the pagination
+	 *  strategy. For the `page` strategy, the first key name in the pagination control keys
+	 *  array is used as the key, and its value in *params* overrides the controls.
 	 */
 
-	_make_index_config: function(params, config) {
+	_make_index_config: function(params, config, controls) {
 	    let cfg = this._make_get_config(params, config);
+	    let pc = (_.isUndefined(controls)) ? this.pagination_controls : controls;
 
-	    if (this.pagination_controls)
+	    if (pc)
 	    {
 		if (!_.isObject(cfg.params)) cfg.params = { };
-		
-		// The pagination controls are the starting set; if *params* contains :_pg, use that
-		// value to override defaults
-		
-		let k = this._pg_names[0];
-		let pg = (_.isObject(cfg.params._pg)) ? cfg.params._pg : { };
-		
-		cfg.params[k] = _.merge({}, this.pagination_controls, pg);
+		_.assign(cfg.params, this._pagination.query(pc, cfg.params));
 	    }
 
 	    return cfg;
@@ -1219,18 +2137,39 @@ let FlAPIService = FlClassManager.make_class({
 	 *  on the first hit.
 	 *
 	 * @param {Object} r The response object.
+	 * @param {Object} controls The pagination controls that were used for the request.
 	 */
 
-	_set_pagination_controls: function(r) {
-	    let self = this;
-	    let data = r.data.payload;
-	    _.forEach(this._pg_names, function(k, idx) {
-		if (!_.isUndefined(data[k]))
-		{
-		    self.pagination_controls = data[k];
-		    return;
-		}
-	    });
+	_set_pagination_controls: function(r, controls) {
+	    let pc = this._extract_pagination_controls(r, controls);
+	    if (!_.isNil(pc)) this.pagination_controls = pc;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_extract_pagination_controls
+	 * @description Look for the pagination controls in the response data; this method calls the
+	 *  **extract** method of the pagination strategy.
+	 *
+	 * @param {Object} r The response object.
+	 * @param {Object} [controls] The pagination controls that were used for the request; if not
+	 *  present, the value of {@sref FlAPIService#pagination_controls} is used, or the initial
+	 *  controls if pagination is disabled.
+	 *
+	 * @return {Object|null} Returns the pagination controls for the next page; for the `page` strategy,
+	 *  these are the controls under the first registered name found in the response payload.
+	 *  Returns `null` if there are none.
+	 */
+
+	_extract_pagination_controls: function(r, controls) {
+	    let pc = (_.isUndefined(controls)) ? this.pagination_controls : controls;
+	    if (!_.isObject(r)) return null;
+	    if (!_.isObject(pc)) pc = this.initial_pagination_controls;
+
+	    let payload = (_.isObject(r.data)) ? r.data.payload : null;
+	    let query = (_.isObject(r.config)) ? r.config.params : null;
+
+	    return this._pagination.extract(payload, this.response_data(r), pc, query);
 	},
 
 	/**
@@ -1337,6 +2276,31 @@ let FlAPIService = FlClassManager.make_class({
 	    return null;
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_model_data
+	 * @description Given a response, return the data to convert to model instances.
+	 *  This (internal) method calls {@sref FlAPIService#response_data}; if the payload also contains
+	 *  a reference table (in the **_refs** or **included** property), the response is in normalized
+	 *  format, and the references in the data are resolved by {@sref FlModelFactory#denormalize}.
+	 *
+	 * @param {Object} response The response.
+	 *
+	 * @return {Object|Array} Returns the response data, where references have been replaced by
+	 *  model instances.
+	 */
+
+	_model_data: function(response) {
+	    let data = this.response_data(response);
+	    let payload = (_.isObject(response) && _.isObject(response.data)) ? response.data.payload : null;
+	    if (!_.isObject(payload)) return data;
+
+	    let refs = (_.isObject(payload._refs)) ? payload._refs : payload.included;
+	    if (!_.isObject(refs) || !_.isObject(data)) return data;
+
+	    return this.modelFactory.denormalize({ data: data, _refs: refs });
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#_expand_url_template
@@ -1554,7 +2518,10 @@ let FlAPIService = FlClassManager.make_class({
 	 */
 
 	modelFactory: {
-	    get: function() { return this._srv_cfg.modelFactory; }
+	    get: function() {
+		let f = this._srv_cfg.modelFactory;
+		return (_.isNil(f)) ? FlModelFactory.defaultFactory() : f;
+	    }
 	},
 
 	/**
@@ -1637,6 +2604,51 @@ let FlAPIService = FlClassManager.make_class({
 	    }
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#use
+	 * @classmethod
+	 * @description Add class middleware, which intercepts the requests made by instances of the class
+	 *  and of its subclasses; middleware added to {@sref FlAPIService} is therefore global.
+	 *  See {@sref FlAPIService#use} (the instance method) for a description of middleware.
+	 *
+	 * @param {Object|Function} mw The middleware.
+	 *
+	 * @return {Function} Returns the class.
+	 *
+	 * @throws Throws an exception if *mw* is not valid middleware.
+	 */
+
+	use: function(mw) {
+	    // subclasses inherit the class properties, so each class gets its own array on first use
+
+	    let m = _middleware(mw);
+	    if (!this.hasOwnProperty('_middleware')) this._middleware = [ ];
+	    this._middleware.push(m);
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#unuse
+	 * @classmethod
+	 * @description Remove class middleware added by {@sref FlAPIService#use}; middleware added to a
+	 *  superclass is not removed.
+	 *
+	 * @param {Object|Function} mw The middleware, as passed to **use**.
+	 *
+	 * @return {Function} Returns the class.
+	 */
+
+	unuse: function(mw) {
+	    if (!this.hasOwnProperty('_middleware')) return this;
+
+	    _.remove(this._middleware, function(m) {
+		return (m === mw) || (m.request === mw);
+	    });
+	    return this;
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#getServiceConfig
@@ -1699,10 +2711,23 @@ let FlAPIService = FlClassManager.make_class({
 	 *    property. Otherwise, it is set to the response status code.
 	 *  - **message** The error message; if the response contains an **_error** object, this is the **message**
 	 *    property. Otherwise, it is set to the message from the response status code.
+	 *
+	 *  Requests that were canceled (see {@sref FlAPIService#_send}) have type `canceled`, and requests
+	 *  that timed out have type `timeout`.
 	 */
 
 	extract_response_error: function(e) {
 	    let err = { };
+
+	    if (axios.isCancel(e))
+	    {
+		return { type: 'canceled', message: (_.isString(e.message)) ? e.message : 'request canceled' };
+	    }
+	    else if (_.isObject(e) && _.isNil(e.response) && _.includes([ 'ECONNABORTED', 'ETIMEDOUT' ], e.code))
+	    {
+		return { type: 'timeout', message: e.message, details: { error: e } };
+	    }
+
 	    let response = e.response;
 
 	    if (_.isObject(response))
@@ -1764,6 +2789,7 @@ let FlAPIService = FlClassManager.make_class({
 });
 
 FlAPIService._srv_cfg = _.merge({ }, DEFAULT_SRV_CFG);
+FlAPIService._middleware = [ ];
 
 /**
  * @ngdoc type
@@ -0,0 +1,139 @@
+/**
+ * @ngdoc module
+ * @name fl.concurrency
+ * @module fl
+ * @description
+ * Support for optimistic concurrency.
+ * This module defines {@sref FlConflictError}, the error returned when the server rejects a stale
+ * update, and {@sref FlMergeStrategies}, the strategies used by {@sref FlModelBase#mergeConflict} to
+ * reconcile local modifications with the server's version of an object.
+ */
+
+const _ = require('lodash');
+
+// Conflicts are detected from the HTTP status (409 Conflict) or from the type in the API error
+// object; the Rails exception for a failed optimistic lock is ActiveRecord::StaleObjectError.
+
+const _CONFLICT_TYPES = [ 409, '409', 'conflict', 'stale_object', 'stale_object_error' ];
+
+/**
+ * @ngdoc type
+ * @name FlConflictError
+ * @module fl.concurrency
+ * @description
+ *  The error returned when the server rejects an update because the object was modified after the
+ *  client loaded it. This is a subclass of `Error`, so that clients can detect it with
+ *  `instanceof`; it also contains the properties of the error objects returned by
+ *  {@sref FlAPIService#extract_response_error}, so that it can be handled like any other API error.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [props] Additional properties for the error.
+ * @property {Object} props.local The local representation of the object: the hash representation of
+ *  the model instance, or the submitted data if the update was not made through an instance.
+ * @property {Object} props.server The server representation of the object, if the server returned one.
+ * @property {Array} props.conflicts The names of the attributes that could not be merged; this is set
+ *  by {@sref FlModelBase#save} when a merge strategy fails.
+ * @property {Object} props.details The details from the API error.
+ * @property {Object} props.response The response object.
+ */
+
+let FlConflictError = (function() {
+    function FlConflictError(message, props) {
+	let p = (_.isObject(props)) ? props : { };
+
+	this.name = 'FlConflictError';
+	this.message = (_.isString(message)) ? message : 'conflict';
+	this.stack = (new Error(this.message)).stack;
+	this.type = 'conflict';
+	this.local = (_.isUndefined(p.local)) ? null : p.local;
+	this.server = (_.isUndefined(p.server)) ? null : p.server;
+	this.conflicts = (_.isArray(p.conflicts)) ? p.conflicts : [ ];
+	this.details = p.details;
+	this.response = p.response;
+    }
+    FlConflictError.prototype = Object.create(Error.prototype);
+    FlConflictError.prototype.constructor = FlConflictError;
+
+    return FlConflictError;
+})();
+
+/**
+ * @ngdoc method
+ * @name FlConflictError#isConflict
+ * @classmethod
+ * @description Check if an API error reports a stale write.
+ *
+ * @param {Object} err An error object, as returned by {@sref FlAPIService#extract_response_error}.
+ *
+ * @return {Boolean} Returns `true` if *err* is a {@sref FlConflictError}, or if its **type** is
+ *  the status 409, `conflict`, or `stale_object_error`.
+ */
+
+FlConflictError.isConflict = function(err) {
+    if (err instanceof FlConflictError) return true;
+
+    return _.isObject(err) && _.includes(_CONFLICT_TYPES, err.type);
+};
+
+// Only attributes that were modified locally take part in a merge; the others are taken from the
+// server representation.
+
+function _local_changes(base, local, same) {
+    return _.filter(_.union(_.keys(base), _.keys(local)), function(k) {
+	return !(_.has(base, k) && _.has(local, k) && same(base[k], local[k]));
+    });
+};
+
+/**
+ * @ngdoc service
+ * @name FlMergeStrategies
+ * @module fl.concurrency
+ * @description
+ * The merge strategies that can be passed to {@sref FlModelBase#mergeConflict} and to the **merge**
+ * option of {@sref FlModelBase#save}. The keys are strategy names, and the values are functions
+ * that take four arguments:
+ * 1. *base*, the attribute values when the instance was last refreshed from the server.
+ * 2. *local*, the current attribute values.
+ * 3. *server*, the attribute values in the server representation, converted as by
+ *    {@sref FlModelBase#refresh}.
+ * 4. *same*, a function that compares two attribute values.
+ *
+ * The function returns an object containing two properties: **values** is an object containing the
+ * local values to apply on top of the server representation, and **conflicts** is an array of the
+ * names of the attributes that could not be merged. The merge fails if **conflicts** is not empty.
+ *
+ * The built-in strategies are:
+ * - **client_wins** keeps all local modifications.
+ * - **server_wins** discards all local modifications.
+ * - **three_way** keeps the local modifications of attributes that the server did not modify; an
+ *   attribute that was modified both locally and on the server, to different values, is a conflict.
+ *
+ * Applications can add their own strategies to this object, and then use them by name.
+ */
+
+const FlMergeStrategies = {
+    client_wins: function(base, local, server, same) {
+	return { values: _.pick(local, _local_changes(base, local, same)), conflicts: [ ] };
+    },
+
+    server_wins: function(base, local, server, same) {
+	return { values: { }, conflicts: [ ] };
+    },
+
+    three_way: function(base, local, server, same) {
+	return _.reduce(_local_changes(base, local, same), function(acc, k) {
+	    if (!_.has(server, k) || same(server[k], base[k]) || same(server[k], local[k]))
+	    {
+		if (_.has(local, k)) acc.values[k] = local[k];
+	    }
+	    else
+	    {
+		acc.conflicts.push(k);
+	    }
+
+	    return acc;
+	}, { values: { }, conflicts: [ ] });
+    }
+};
+
+module.exports = { FlConflictError, FlMergeStrategies };
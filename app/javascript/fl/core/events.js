@@ -0,0 +1,205 @@
+/**
+ * @ngdoc module
+ * @name fl.events
+ * @module fl
+ * @requires fl.object_system
+ * @description
+ * Event notifications.
+ * This module exports {@sref FlEventsExtension}, an extension that adds event listener management
+ * to a class.
+ */
+
+const _ = require('lodash');
+
+// Listeners are stored in a non-enumerable property, so that they don't show up in the state of
+// model instances.
+
+function _listeners(obj, create) {
+    if (!obj.hasOwnProperty('__listeners'))
+    {
+	if (!create) return null;
+
+	Object.defineProperty(obj, '__listeners', {
+	    value: { }, writable: true, configurable: true, enumerable: false
+	});
+    }
+
+    return obj.__listeners;
+};
+
+/**
+ * @ngdoc service
+ * @name FlEventsExtension
+ * @module fl.events
+ * @description
+ * An extension that adds event support to a class.
+ * Classes created by {@sref FlClassManager#make_class} include it in their **extensions** option;
+ * other constructors can install it with {@sref FlExtensions#register}:
+ * ```
+ *   const { FlExtensions } = require('fl/core/object_system');
+ *   const { FlEventsExtension } = require('fl/core/events');
+ *
+ *   function MyEmitter() { };
+ *   FlExtensions.register(FlEventsExtension, MyEmitter);
+ *
+ *   let e = new MyEmitter();
+ *   e.on('ping', function(evt) {
+ *     console.log('ping: ' + evt.count);
+ *   });
+ *   e.emit('ping', { count: 1 });
+ * ```
+ *
+ * Listeners are called synchronously, in the order in which they were registered, with `this` set to
+ * the emitter. An exception raised by a listener is logged, and does not prevent the remaining
+ * listeners from being called.
+ */
+
+const FlEventsExtension = {
+    methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlEventsExtension#on
+	 * @description
+	 *  Register a listener for an event.
+	 *
+	 * @param {String} event The event name.
+	 * @param {Function} cb The listener.
+	 *
+	 * @return {Object} Returns `this`.
+	 */
+
+	on: function(event, cb) {
+	    if (_.isFunction(cb))
+	    {
+		let l = _listeners(this, true);
+		if (!_.isArray(l[event])) l[event] = [ ];
+		l[event].push({ cb: cb, once: false });
+	    }
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventsExtension#once
+	 * @description
+	 *  Register a listener that is removed after it is called the first time.
+	 *
+	 * @param {String} event The event name.
+	 * @param {Function} cb The listener.
+	 *
+	 * @return {Object} Returns `this`.
+	 */
+
+	once: function(event, cb) {
+	    if (_.isFunction(cb))
+	    {
+		let l = _listeners(this, true);
+		if (!_.isArray(l[event])) l[event] = [ ];
+		l[event].push({ cb: cb, once: true });
+	    }
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventsExtension#off
+	 * @description
+	 *  Remove listeners.
+	 *
+	 * @param {String} [event] The event name. If not present, all listeners for all events are
+	 *  removed.
+	 * @param {Function} [cb] The listener to remove. If not present, all listeners for *event* are
+	 *  removed.
+	 *
+	 * @return {Object} Returns `this`.
+	 */
+
+	off: function(event, cb) {
+	    let l = _listeners(this, false);
+	    if (_.isNil(l)) return this;
+
+	    if (_.isNil(event))
+	    {
+		_.forEach(_.keys(l), function(k) {
+		    delete l[k];
+		});
+	    }
+	    else if (_.isNil(cb))
+	    {
+		delete l[event];
+	    }
+	    else if (_.isArray(l[event]))
+	    {
+		l[event] = _.filter(l[event], function(e) {
+		    return e.cb !== cb;
+		});
+		if (l[event].length < 1) delete l[event];
+	    }
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventsExtension#listenerCount
+	 * @description
+	 *  Get the number of listeners for an event.
+	 *
+	 * @param {String} event The event name.
+	 *
+	 * @return {Number} Returns the number of registered listeners.
+	 */
+
+	listenerCount: function(event) {
+	    let l = _listeners(this, false);
+	    return (_.isNil(l) || !_.isArray(l[event])) ? 0 : l[event].length;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventsExtension#emit
+	 * @description
+	 *  Call the listeners for an event.
+	 *
+	 * @param {String} event The event name.
+	 * @param {any} [...args] All the other arguments in the method call are passed to the listeners.
+	 *
+	 * @return {Boolean} Returns `true` if the event had listeners, `false` otherwise.
+	 */
+
+	emit: function(event) {
+	    let self = this;
+	    let l = _listeners(this, false);
+	    if (_.isNil(l) || !_.isArray(l[event]) || (l[event].length < 1)) return false;
+
+	    let args = Array.from(arguments);
+	    args.shift();
+
+	    // we iterate over a copy, so that listeners can safely add or remove listeners
+
+	    let current = l[event].slice();
+	    if (_.some(current, 'once'))
+	    {
+		l[event] = _.reject(l[event], 'once');
+		if (l[event].length < 1) delete l[event];
+	    }
+
+	    _.forEach(current, function(e) {
+		try
+		{
+		    e.cb.apply(self, args);
+		}
+		catch (x)
+		{
+		    console.log("(FlEventsExtension): listener for '" + event + "' raised an exception: " + x);
+		}
+	    });
+
+	    return true;
+	}
+    }
+};
+
+module.exports = { FlEventsExtension };
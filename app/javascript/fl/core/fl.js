@@ -1,4 +1,9 @@
 const objs = require('./object_system');
+const evts = require('./events');
+const mval = require('./model_validation');
+const perm = require('./permissions');
+const conc = require('./concurrency');
+const pagn = require('./pagination');
 const mfac = require('./model_factory');
 
 /**
@@ -10,5 +15,10 @@ const mfac = require('./model_factory');
 
 module.exports = {
     object_system: objs,
+    events: evts,
+    model_validation: mval,
+    permissions: perm,
+    concurrency: conc,
+    pagination: pagn,
     model_factory: mfac
 };
@@ -11,13 +11,414 @@
  * - {@sref FlModelFactory}, a service that creates or refreshes model instances from hash representations.
  *
  * It also exports {@sref FlModelBase}, the base class for all model classes.
+ *
+ * Model instances, the cache, and the factory emit events; see {@sref FlEventsExtension}.
  */
 
 const _ = require('lodash');
-const jscache = require('js-cache');
 const { FlExtensions, FlClassManager } = require('./object_system');
+const { FlEventsExtension } = require('./events');
+const { FlModelErrors, FlModelValidators } = require('./model_validation');
+const { FlGlobalPermissionRegistry } = require('./permissions');
+const { FlConflictError, FlMergeStrategies } = require('./concurrency');
 const { DateTime } = require('luxon');
 
+// Model instances are identified by the presence of the class and a refresh method; this is the same
+// check used by FlAPIService to detect model instances in its arguments.
+
+function _is_model_instance(v) {
+    return !_.isNil(v) && !_.isNil(v.__class) && _.isFunction(v.refresh);
+};
+
+// The names of the properties that hold the state of a model instance; properties whose names start
+// with a double underscore are internal to the object system.
+
+function _attribute_keys(o) {
+    return _.filter(Object.keys(o), function(k) {
+	return !_.startsWith(k, '__');
+    });
+};
+
+// Copies of attribute values are deep, except for nested model instances, which are shared, and Luxon
+// DateTime objects, which are immutable and can therefore also be shared.
+
+function _copy_attribute_value(v) {
+    return _.cloneDeepWith(v, function(cv) {
+	return (_is_model_instance(cv) || DateTime.isDateTime(cv)) ? cv : undefined;
+    });
+};
+
+function _same_attribute_value(v1, v2) {
+    return _.isEqualWith(v1, v2, function(e1, e2) {
+	if (_is_model_instance(e1) || _is_model_instance(e2)) return (e1 === e2);
+	if (DateTime.isDateTime(e1) && DateTime.isDateTime(e2)) return e1.equals(e2);
+	return undefined;
+    });
+};
+
+// Date options are resolved from the attribute descriptor, then from the **dateOptions** class
+// property of the model class and its superclasses, and finally from the default factory.
+
+const _DEFAULT_DATE_OPTIONS = { luxon: false, zone: 'utc' };
+
+function _date_options(o, desc) {
+    let copts = { };
+    for (let c = o.__class; !_.isNil(c); c = c.__superclass)
+    {
+	if (_.isObject(c.dateOptions)) copts = _.assign({ }, c.dateOptions, copts);
+    }
+
+    return _.assign({ }, _DEFAULT_DATE_OPTIONS, FlModelFactory.defaultFactory().dateOptions(), copts,
+		    _.pick(desc, [ 'luxon', 'zone' ]));
+};
+
+function _timestamp_value(o, name, d) {
+    let opts = _date_options(o, _.get(o.__class.__attributes, name));
+    return (opts.luxon) ? DateTime.fromJSDate(d).setZone(opts.zone) : d;
+};
+
+// Relationships are implemented as accessors installed in the instance: belongs_to references (model
+// instances or fingerprints) are stored in __relations, and has_many collections in __collections.
+// Both are non-enumerable, so that they don't show up in the state of the instance.
+
+function _hidden_store(o, name) {
+    if (!o.hasOwnProperty(name))
+    {
+	Object.defineProperty(o, name, {
+	    value: { }, writable: true, configurable: true, enumerable: false
+	});
+    }
+
+    return o[name];
+};
+
+// The value of an attribute for change tracking and submission: belongs_to relationships use the
+// reference, so that unresolved references are not reported as null.
+
+function _attribute_value(o, k) {
+    return (_.isObject(o.__relations) && _.has(o.__relations, k)) ? o.__relations[k] : o[k];
+};
+
+// References are belongs_to relationships that are meant to be loaded, and are therefore included with them.
+
+function _relationships(o, type) {
+    let types = (type == 'belongs_to') ? [ 'belongs_to', 'reference' ] : [ type ];
+
+    return _.reduce(o.__class.__attributes, function(acc, desc, k) {
+	if (_.includes(types, desc.type)) acc[k] = desc;
+	return acc;
+    }, { });
+};
+
+function _reference_fingerprint(ref) {
+    return (_is_model_instance(ref)) ? ref.fingerprint : ref;
+};
+
+function _refers_to(ref, target) {
+    if (_.isNil(ref) || _.isNil(target)) return false;
+    if (ref === target) return true;
+
+    let fp = _reference_fingerprint(ref);
+    return _.isString(fp) && (fp == target.fingerprint);
+};
+
+// Relationships are resolved through the factory that created the instance, so that instances from a
+// child factory find their targets outside of withFactory; other instances use the default factory.
+
+function _owning_factory(o) {
+    return (_.isObject(o) && _.isObject(o.__factory)) ? o.__factory : FlModelFactory.defaultFactory();
+};
+
+// A reference is resolved from the cache of the owning factory of *o*; a miss resolves to null.
+
+function _resolve_reference(o, ref) {
+    if (_is_model_instance(ref)) return ref;
+    if (!_.isString(ref)) return null;
+
+    let idx = ref.indexOf('/');
+    if (idx < 1) return null;
+
+    return _.defaultTo(_owning_factory(o).cache().get({
+	type: ref.substr(0, idx), fingerprint: ref, id: ref.substr(idx + 1)
+    }), null);
+};
+
+// Hash representations are converted through the owning factory of *o*, and stored as fingerprints so that
+// the reference does not hold on to the instance; scalar values are fingerprints, or identifiers if
+// the relationship declares the target class.
+
+function _reference_value(o, v, desc) {
+    if (_.isNil(v)) return null;
+    if (_is_model_instance(v)) return v;
+
+    if (_.isPlainObject(v))
+    {
+	let h = (_.isString(desc.class_name) && _.isNil(v.type)) ? _.merge({ type: desc.class_name }, v) : v;
+	let m = _owning_factory(o).create(h, true);
+	if (_.isNil(m)) return (_.isString(v.fingerprint)) ? v.fingerprint : null;
+	return (_.isString(m.fingerprint)) ? m.fingerprint : m;
+    }
+
+    if (_.isString(v) && (v.indexOf('/') > 0)) return v;
+    if ((_.isString(v) || _.isInteger(v)) && _.isString(desc.class_name)) return desc.class_name + '/' + v;
+
+    console.log("(FlModelBase): cannot convert '" + v + "' to a model reference");
+    return null;
+};
+
+// The has_many collections of *target* that are kept in step with the *name* relationship of *child*.
+
+function _inverse_collections(target, child, name) {
+    let collections = target.__collections;
+    if (!_.isObject(collections)) return [ ];
+
+    return _.reduce(_relationships(target, 'has_many'), function(acc, desc, k) {
+	if ((desc.inverse == name) && _.isArray(collections[k])
+	    && (!_.isString(desc.class_name) || (desc.class_name == child.type)))
+	{
+	    acc.push(collections[k]);
+	}
+	return acc;
+    }, [ ]);
+};
+
+function _link_child(target, child, name) {
+    _.forEach(_inverse_collections(target, child, name), function(c) {
+	if (!_.includes(c, child)) c.push(child);
+    });
+};
+
+function _unlink_child(target, child, name) {
+    _.forEach(_inverse_collections(target, child, name), function(c) {
+	_.pull(c, child);
+    });
+};
+
+function _install_belongs_to(o, name, desc) {
+    let refs = _hidden_store(o, '__relations');
+    refs[name] = undefined;
+
+    Object.defineProperty(o, name, {
+	configurable: true,
+	enumerable: true,
+	get: function() {
+	    return _resolve_reference(o, refs[name]);
+	},
+	set: function(v) {
+	    let old_target = _resolve_reference(o, refs[name]);
+
+	    refs[name] = _reference_value(o, v, desc);
+
+	    let new_target = _resolve_reference(o, refs[name]);
+	    if (old_target !== new_target)
+	    {
+		if (!_.isNil(old_target)) _unlink_child(old_target, o, name);
+		if (!_.isNil(new_target)) _link_child(new_target, o, name);
+	    }
+	}
+    });
+};
+
+// A collection is loaded from the cache when it is first accessed, and is then kept in step by the
+// belongs_to accessors of its elements.
+
+function _load_collection(o, desc) {
+    if (!_.isString(desc.inverse)) return [ ];
+
+    let items = [ ];
+    _owning_factory(o).cache().forEach(function(m) {
+	if (_.isString(desc.class_name) && (m.type != desc.class_name)) return;
+	if (_.isObject(m.__relations) && _refers_to(m.__relations[desc.inverse], o)) items.push(m);
+    });
+
+    return items;
+};
+
+function _install_has_many(o, name, desc) {
+    let collections = _hidden_store(o, '__collections');
+
+    Object.defineProperty(o, name, {
+	configurable: true,
+	enumerable: false,
+	get: function() {
+	    if (!_.isArray(collections[name])) collections[name] = _load_collection(o, desc);
+	    return collections[name];
+	},
+	set: function(v) {
+	    let factory = _owning_factory(o);
+	    let items = _.reduce((_.isNil(v)) ? [ ] : _.castArray(v), function(acc, e) {
+		let m = e;
+		if (_.isPlainObject(e))
+		{
+		    let h = (_.isString(desc.class_name) && _.isNil(e.type)) ? _.merge({ type: desc.class_name }, e) : e;
+		    m = factory.create(h, true);
+		}
+		if (_is_model_instance(m)) acc.push(m);
+		return acc;
+	    }, [ ]);
+
+	    // the collection object is preserved, so that clients holding on to it see the new contents
+
+	    if (!_.isArray(collections[name])) collections[name] = [ ];
+	    collections[name].splice(0, collections[name].length, ...items);
+
+	    if (_.isString(desc.inverse))
+	    {
+		let ref = (_.isString(o.fingerprint)) ? o.fingerprint : o;
+		_.forEach(items, function(m) {
+		    if (!_.isObject(m.__relations) || !_.has(m.__relations, desc.inverse)) return;
+		    if (_refers_to(m.__relations[desc.inverse], o)) return;
+
+		    let clean = !m.isDirty();
+		    m[desc.inverse] = ref;
+		    if (clean) m.commit();
+		});
+	    }
+	}
+    });
+};
+
+// Properties that are generated by the server, and are therefore not included in submission data.
+
+const _READ_ONLY_KEYS = [ 'type', 'virtual_type', 'fingerprint', 'id', 'permissions',
+			  'api_root', 'url_path', 'created_at', 'updated_at' ];
+
+// The submission value of a property: dates are converted to ISO strings, and nested model instances
+// to their fingerprints (or to their submission data, if they don't have one). Other class instances,
+// like File objects, are passed through so that FlAPIService can detect them.
+
+function _submission_value(v) {
+    return _.cloneDeepWith(v, function(cv) {
+	if (_is_model_instance(cv)) return (_.isNil(cv.fingerprint)) ? cv.to_submission() : cv.fingerprint;
+	if (_.isDate(cv)) return cv.toISOString();
+	if (DateTime.isDateTime(cv)) return cv.toISO();
+	if (_.isObject(cv) && !_.isPlainObject(cv) && !_.isArray(cv)) return cv;
+	return undefined;
+    });
+};
+
+// Snapshots contain the hash representation of the state: nested instances become snapshots (if they
+// have no fingerprint, or if requested) or references in the format used by normalized payloads, and
+// dates become ISO strings. Instances already on the path are always references, to break cycles.
+
+function _snapshot_state(o, nested, path) {
+    let p = _.concat(path, [ o ]);
+
+    return _.reduce(_attribute_keys(o), function(acc, k) {
+	let v = _attribute_value(o, k);
+	if (!_.isUndefined(v)) acc[k] = _snapshot_value(v, nested, p);
+	return acc;
+    }, { });
+};
+
+function _snapshot_value(v, nested, path) {
+    return _.cloneDeepWith(v, function(cv) {
+	if (_is_model_instance(cv))
+	{
+	    if (_.isNil(cv.fingerprint) || ((nested == 'snapshot') && !_.includes(path, cv)))
+	    {
+		return _snapshot_state(cv, nested, path);
+	    }
+
+	    return { _ref: cv.fingerprint };
+	}
+	if (_.isDate(cv)) return cv.toISOString();
+	if (DateTime.isDateTime(cv)) return cv.toISO();
+	if (_.isObject(cv) && !_.isPlainObject(cv) && !_.isArray(cv)) return cv;
+	return undefined;
+    });
+};
+
+// Parts of a new snapshot that are equal to the previous one are replaced by the previous (frozen)
+// values, so that stores can detect changes by reference.
+
+function _share_snapshot(prev, next) {
+    if (_.isEqual(prev, next)) return prev;
+
+    if (_.isArray(prev) && _.isArray(next))
+    {
+	return _.map(next, function(v, idx) {
+	    return _share_snapshot(prev[idx], v);
+	});
+    }
+    else if (_.isPlainObject(prev) && _.isPlainObject(next))
+    {
+	return _.mapValues(next, function(v, k) {
+	    return _share_snapshot(prev[k], v);
+	});
+    }
+
+    return next;
+};
+
+function _deep_freeze(v) {
+    if ((_.isPlainObject(v) || _.isArray(v)) && !Object.isFrozen(v))
+    {
+	_.forEach(v, function(cv) {
+	    _deep_freeze(cv);
+	});
+	Object.freeze(v);
+    }
+
+    return v;
+};
+
+// The API service for a model instance is looked up in the API service registry by data type.
+// The api_services module loads this module, so we load it on demand to avoid a circular dependency.
+
+function _api_service(type, opts) {
+    let o = (_.isObject(opts)) ? opts : { };
+    if (_.isObject(o.service)) return o.service;
+    if (!_.isString(type)) return null;
+
+    let registry = o.registry;
+    if (_.isNil(registry)) registry = require('./api_services').FlGlobalAPIServiceRegistry;
+
+    let args = (_.isArray(o.service_args)) ? o.service_args : [ ];
+    return registry.create(type, ...args);
+};
+
+function _model_api_service(model, opts) {
+    let type = model.virtual_type || model.type;
+    if (!_.isString(type) && _.isFunction(model.__class.type_class)) type = model.__class.type_class();
+
+    return _api_service(type, opts);
+};
+
+// Only errors that carry validation details, or that report the 422 (Unprocessable Entity) status, are
+// merged into the errors of an instance; network failures, timeouts, and other API errors are not.
+
+function _is_validation_error(e) {
+    if (!_.isObject(e)) return false;
+    if ((e.type == 422) || (_.isObject(e.response) && (e.response.status == 422))) return true;
+
+    let details = e.details;
+    return _.isObject(details) && (_.isObject(details.messages) || _.isArray(details.full_messages));
+};
+
+// Resolve a stale update: merge with the server representation (fetched if the error does not include
+// it), and submit the merged state again. The retry does not merge, so that repeated conflicts fail.
+
+function _resolve_conflict(model, srv, e, opts) {
+    let server = (_.isObject(e.server))
+	? Promise.resolve(e.server)
+	: srv.get(srv.url_path_for('show', model)).then(function(r) {
+	    return Promise.resolve(srv.response_data(r));
+	});
+
+    return server.then(function(data) {
+	let conflicts = model.mergeConflict(data, opts.merge);
+	if (conflicts.length > 0)
+	{
+	    e.server = data;
+	    e.conflicts = conflicts;
+	    return Promise.reject(e);
+	}
+
+	return (model.isDirty()) ? model.save(_.assign({ }, opts, { merge: null })) : Promise.resolve(model);
+    });
+};
+
 /**
  * @ngdoc type
  * @name FlModelBase
@@ -91,6 +492,244 @@ const { DateTime } = require('luxon');
  * <pre ng-non-bindable>
  *   let concat = obj.my_method('one', 'two');
  * </pre>
+ *
+ *  ##### Attribute schemas
+ *
+ *  Most model classes override {@sref FlModelBase#refresh} only to convert some of the properties
+ *  in the hash representation: timestamps to `Date` objects, JSON strings to objects, and nested
+ *  hashes to model instances. Instead, a class can declare these conversions in the **attributes**
+ *  option to {@sref FlClassManager#make_class}, and {@sref FlModelBase#refresh} applies them
+ *  automatically. The keys are property names, and the values are either the attribute type, or an
+ *  object containing the **type** property and type-specific options:
+ *  - **date** converts a string (or object) representation to a `Date`, or to a Luxon `DateTime`;
+ *    see {@sref FlModelBase#_convert_date_value} and "Dates and time zones" below.
+ *  - **json** converts a JSON string to a Javascript value; see {@sref FlModelBase#_convert_JSON_value}.
+ *  - **integer** converts a string or number to an integer.
+ *  - **boolean** converts strings like `true`, `false`, `1`, and `0` (and numbers) to a boolean.
+ *  - **enum** checks that the value is one of the elements in the **values** option; if not, the
+ *    property is set to the value of the **default** option (or to `null` if no default is given).
+ *  - **model** converts a hash representation to a model instance through the model factory.
+ *    If the option **class_name** is present, it is used as the data class when the hash does not
+ *    contain a **type** property.
+ *  - **model_array** converts an array of hash representations to an array of model instances.
+ *  - **attachment** converts a hash representation, or an array of them, to model instances that
+ *    are not cached; this is used for objects like ActiveStorage attachments, which don't have an
+ *    identifier. It supports the **class_name** option.
+ *  - **belongs_to**, **reference**, and **has_many** declare relationships; see below.
+ *
+ *
+ *  Any descriptor may also set the **read_only** option to `true`, in which case the attribute is not
+ *  included in submission data (see {@sref FlModelBase#to_submission}), and the **validations** option
+ *  described below. The **type** can be omitted for attributes that only declare validations.
+ *  `null` and `undefined` values are never converted.
+ *  For example, this class converts the **owner** and **contents_json** properties, and needs no
+ *  custom **refresh** method:
+ *  ```
+ *  let MyDatum = FlClassManager.make_class({
+ *    name: 'MyDatum',
+ *    superclass: 'FlModelBase',
+ *    attributes: {
+ *      owner: 'model',
+ *      contents_json: 'json',
+ *      published_at: 'date',
+ *      state: { type: 'enum', values: [ 'draft', 'published' ], default: 'draft' }
+ *    }
+ *  });
+ *  ```
+ *
+ *  ##### Dates and time zones
+ *
+ *  By default, date attributes and the **created_at** and **updated_at** timestamps are converted
+ *  to `Date` objects. To work in the actor's time zone, they can instead be kept as Luxon `DateTime`
+ *  objects. This is controlled by two date options: **luxon** (`true` for `DateTime` values) and
+ *  **zone** (the IANA name of the time zone for `DateTime` values; the default is `utc`).
+ *  The options are resolved, from highest to lowest priority, from:
+ *  - the attribute descriptor; for example, `{ starts_at: { type: 'date', zone: 'Europe/Rome' } }`.
+ *  - the **dateOptions** class property of the model class, or of one of its superclasses.
+ *  - the options of the default factory; see {@sref FlModelFactory#setDateOptions}.
+ *
+ *  The server's `Fl::Core::TimeZone.tzinfo_name` converts Rails time zone names to IANA names.
+ *  For example:
+ *  ```
+ *  FlModelFactory.defaultFactory().setDateOptions({ luxon: true, zone: current_user.time_zone });
+ *
+ *  let MyEvent = FlClassManager.make_class({
+ *    name: 'MyEvent',
+ *    superclass: 'FlModelBase',
+ *    attributes: {
+ *      starts_at: 'date',
+ *      logged_at: { type: 'date', zone: 'utc' }
+ *    }
+ *  });
+ *  ```
+ *  Regardless of the options, {@sref FlModelBase#dateTime} and {@sref FlModelBase#formatDate} return
+ *  date attributes as `DateTime` objects and formatted strings in the actor's zone.
+ *
+ *  ##### Computed properties
+ *
+ *  Derived values, like display names or URLs, can be declared in the **computed** option to
+ *  {@sref FlClassManager#make_class}, which memoizes them until one of their dependencies changes.
+ *  Computed properties are not part of the instance state: they are not tracked for changes,
+ *  values for them in hash representations are ignored by {@sref FlModelBase#refresh}, and they are
+ *  included in submission data only on request. {@sref FlModelBase#toJSON} includes those whose
+ *  descriptor sets the **serialize** option:
+ *  ```
+ *  let MyUser = FlClassManager.make_class({
+ *    name: 'MyUser',
+ *    superclass: 'FlModelBase',
+ *    computed: {
+ *      full_name: {
+ *        depends: [ 'first_name', 'last_name' ],
+ *        serialize: true,
+ *        get: function() { return this.first_name + ' ' + this.last_name; }
+ *      }
+ *    }
+ *  });
+ *  ```
+ *
+ *  ##### Validation
+ *
+ *  The **validations** option in an attribute descriptor declares the checks run by
+ *  {@sref FlModelBase#validate}; the keys are validator names (see {@sref FlModelValidators} for the
+ *  built-in ones), and the values are the validator options, or `true` for validators that need none.
+ *  Errors are collected in {@sref FlModelBase#errors}, together with the validation errors returned by
+ *  the server when {@sref FlModelBase#save} fails, so that forms can display both in the same way:
+ *  ```
+ *  let MyDatum = FlClassManager.make_class({
+ *    name: 'MyDatum',
+ *    superclass: 'FlModelBase',
+ *    attributes: {
+ *      title: { validations: { required: true, length: { maximum: 40 } } },
+ *      state: { type: 'enum', values: [ 'draft', 'published' ], validations: { inclusion: [ 'draft', 'published' ] } },
+ *      count: { type: 'integer', validations: { numericality: { greater_than_or_equal_to: 0 } } }
+ *    }
+ *  });
+ *
+ *  let d = new MyDatum({ type: 'My::Datum', count: -1 });
+ *  d.validate();   // false
+ *  d.errors.get('count');   // [ 'must be greater than or equal to 0' ]
+ *  ```
+ *
+ *  ##### Relationships
+ *
+ *  The **belongs_to** attribute type declares a reference to another model instance. The property
+ *  is an accessor that resolves the reference lazily from the cache of the model factory that created
+ *  the instance (or of the default factory, for instances created with `new`), and returns `null` if
+ *  the instance is not in the cache. The property can be set to a model instance,
+ *  a hash representation (which is converted by the model factory), or a fingerprint; if the
+ *  descriptor includes the **class_name** option, it can also be set to an object identifier.
+ *  Without **class_name**, the relationship is polymorphic: references are resolved by fingerprint,
+ *  and the target can be an instance of any class.
+ *  Change tracking and submission data use the reference rather than the resolved instance, so that
+ *  references to instances that are not in the cache are submitted as fingerprints.
+ *
+ *  The **has_many** attribute type declares the inverse side: the property is an array containing the
+ *  instances whose **belongs_to** relationship named by the **inverse** option refers to this
+ *  instance, optionally restricted to instances of the data class in the **class_name** option.
+ *  The array is loaded from the cache when it is first accessed, and is then kept in step as
+ *  instances are created, as their references change, and when they are destroyed. If the hash
+ *  representation contains the collection, the array is set to those elements, and their references
+ *  are set to this instance. **has_many** properties are not enumerable, and are therefore not
+ *  included in the instance state or in submission data.
+ *  For example:
+ *  ```
+ *  let MyList = FlClassManager.make_class({
+ *    name: 'MyList',
+ *    superclass: 'FlModelBase',
+ *    attributes: {
+ *      items: { type: 'has_many', class_name: 'My::Item', inverse: 'list' }
+ *    }
+ *  });
+ *
+ *  let MyItem = FlClassManager.make_class({
+ *    name: 'MyItem',
+ *    superclass: 'FlModelBase',
+ *    attributes: {
+ *      list: { type: 'belongs_to', class_name: 'My::List' }
+ *    }
+ *  });
+ *  ```
+ *  With these declarations, `list.items` lists the cached items in the list, and an item created
+ *  with `{ list: 'My::List/10' }` is added to the collection of list 10.
+ *
+ *  The **reference** attribute type is a **belongs_to** relationship whose target is expected to be
+ *  loaded on demand. As for **belongs_to**, the property returns the cached instance, or `null`;
+ *  {@sref FlModelBase#load} returns a promise that resolves to the instance, and loads it from the
+ *  server if it is not in the cache. This is useful for server representations that contain bare
+ *  fingerprints, like `"owner": "TestActor/12"`: `d.load('owner')` resolves to the owner whether or
+ *  not it was already cached. Reading the property never makes a request.
+ *
+ *  ##### Change tracking
+ *
+ *  Model instances keep a snapshot of their state as it was after the last successful
+ *  {@sref FlModelBase#refresh} (typically, the state returned by the server); clients that modify
+ *  the properties of an instance, for example in an edit form, can then find out what has changed.
+ *  See {@sref FlModelBase#isDirty}, {@sref FlModelBase#changedAttributes}, {@sref FlModelBase#changes},
+ *  {@sref FlModelBase#revert}, and {@sref FlModelBase#commit}.
+ *  Subclasses that override **refresh** and modify properties after calling the superclass
+ *  implementation do not need to take any special action if the refresh is triggered by the
+ *  constructor, the model factory, or an API service (which refresh through
+ *  {@sref FlModelBase#_server_refresh}); otherwise, they should call {@sref FlModelBase#commit} at the
+ *  end of the refresh.
+ *
+ *  ##### Change notifications
+ *
+ *  Model classes include {@sref FlEventsExtension}, and instances emit a **change** event when
+ *  {@sref FlModelBase#commit} records modifications; this includes refreshes from the server, for
+ *  example when {@sref FlModelFactory#create} refreshes a cached instance with newer data from an
+ *  unrelated API call. Views can use this event to re-render when a shared instance changes:
+ *  ```
+ *  let d = FlGlobalModelFactory.create(data);
+ *  d.on('change', function(evt) {
+ *    // evt.model is d, and evt.changes lists the modified properties (see FlModelBase#changes)
+ *    render(evt.model);
+ *  });
+ *  ```
+ *  Note that if a subclass modifies the state after the base refresh, listeners may be called twice
+ *  for a single refresh: once for the base properties, and once for the subclass-specific ones.
+ *
+ *  ##### Persistence
+ *
+ *  Model instances can save themselves to, reload themselves from, and delete themselves in the server,
+ *  using the API service registered for their data type in {@sref FlGlobalAPIServiceRegistry}:
+ *  ```
+ *  let d = new MyDatum({ type: 'My::Datum', title: 'new datum' });
+ *  d.save().then(function(d) {
+ *    d.title = 'new title';
+ *    return d.save();
+ *  });
+ *  ```
+ *  See {@sref FlModelBase#save}, {@sref FlModelBase#reload}, and {@sref FlModelBase#destroy}.
+ *
+ *  ##### Optimistic concurrency
+ *
+ *  Updates carry the version of the object that the client has, and the server rejects stale
+ *  writes; the promise returned by {@sref FlModelBase#save} then rejects with a {@sref FlConflictError}
+ *  (see {@sref FlAPIService#update}). If the **merge** option is passed to **save**, the instance
+ *  instead reconciles its modifications with the server version by means of a merge strategy
+ *  (see {@sref FlMergeStrategies}), and submits the result:
+ *  ```
+ *  d.title = 'new title';
+ *  d.save({ merge: 'three_way' }).catch(function(e) {
+ *    if (e instanceof FlConflictError) show_conflicts(e.conflicts, e.server);
+ *  });
+ *  ```
+ *  When {@sref FlModelBase#refresh} loads newer data that overwrites local modifications, for example
+ *  because an unrelated API call returned the object, the instance emits a **conflict** event whose
+ *  listener is passed an object containing **model**, **attributes** (the names of the overwritten
+ *  attributes), and **data**, the hash representation.
+ *
+ *  ##### Immutable snapshots
+ *
+ *  Model instances are shared and mutable, which does not fit state management libraries that
+ *  expect immutable values. {@sref FlModelBase#snapshot} returns a deep-frozen plain copy of the
+ *  state, which shares structure with the previous snapshot, and
+ *  {@sref FlModelFactory#fromSnapshot} turns it back into a live instance:
+ *  ```
+ *  store.dispatch({ type: 'datum/loaded', datum: d.snapshot() });
+ *  ...
+ *  let d = FlGlobalModelFactory.fromSnapshot(store.getState().datum);
+ *  ```
  * 
  * @param {Object} data The data associated with the instance.
  */
@@ -98,8 +737,19 @@ const { DateTime } = require('luxon');
 let FlModelBase = FlClassManager.make_class({
     name: 'FlModelBase',
     initializer: function(data) {
+	let self = this;
+
 	this.__super_init('FlRoot');
+
+	_.forEach(_relationships(this, 'belongs_to'), function(desc, k) {
+	    _install_belongs_to(self, k, desc);
+	});
+	_.forEach(_relationships(this, 'has_many'), function(desc, k) {
+	    _install_has_many(self, k, desc);
+	});
+
 	this.refresh(data);
+	this.commit();
     },
     instance_methods: {
 	/**
@@ -144,6 +794,7 @@ let FlModelBase = FlClassManager.make_class({
 	 *    }
 	 *  });
 	 *  ```
+	 *  On a successful refresh, the change tracking snapshot is reset; see {@sref FlModelBase#commit}.
 	 *
 	 * @throws Throws an exception if the properties **type** and **fingerprint** already exist
 	 *  in `this`, and their value is different from those in *data*.
@@ -173,130 +824,1127 @@ let FlModelBase = FlClassManager.make_class({
 		}
 	    }
 	    
+	    // computed properties are derived from the state, so values in data (for example, from a
+	    // JSON representation that includes them) are ignored
+
+	    let computed = this.__class.__computed || { };
+	    let modified = (_.isObject(this.__snapshot)) ? this.changedAttributes() : [ ];
+	    let overwritten = [ ];
 	    _.forEach(data, function(v, k) {
-		self[k] = self._convert_value(v);
+		if (_.has(computed, k)) return;
+
+		let cv = self._convert_attribute(k, v);
+		if (_.includes(modified, k) && !_same_attribute_value(cv, _attribute_value(self, k))) overwritten.push(k);
+		self[k] = cv;
 	    });
 
-	    if (!_.isNil(data.created_at)) self.created_at = new Date(data.created_at);
-	    if (!_.isNil(updated_at)) self.updated_at = updated_at;
+	    if (!_.isNil(data.created_at)) self.created_at = _timestamp_value(self, 'created_at', new Date(data.created_at));
+	    if (!_.isNil(updated_at)) self.updated_at = _timestamp_value(self, 'updated_at', updated_at);
+
+	    this.commit();
+	    if (overwritten.length > 0) this.emit('conflict', { model: this, attributes: overwritten, data: data });
 
 	    return true;
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlModelBase#has_permission
+	 * @name FlModelBase#commit
 	 * @description
-	 *  Check if the object has granted a permission to the current user.
-	 *  This method looks up the property **permissions**, and if present it then supports two
-	 *  types of checks. If **permissions** is an object, and *op* is a property of **permissions**
-	 *  with value `true`, then it returns `true`.
-	 *  If **permissions** is an array that includes *op*, then it returns `true`.
-	 *  Otherwise, it returns `false`.
-	 * 
-	 * @param {String} op The name of the permission to check; for example, `read` or `write`.
+	 *  Mark the current state of the instance as unmodified.
+	 *  The method takes a snapshot of the instance's properties, which is then used by the change
+	 *  tracking methods to detect modifications. Nested model instances are not copied into the
+	 *  snapshot, and therefore changes to their state are not tracked by this instance.
 	 *
-	 * @return {Boolean} Returns `true` if permission is granted, `false` otherwise.
+	 *  If the state has been modified since the previous snapshot, the method emits a **change**
+	 *  event; the listeners are passed an object containing the properties **model** (`this`), and
+	 *  **changes** (the return value from {@sref FlModelBase#changes}).
+	 *
+	 * @return {FlModelBase} Returns `this`.
 	 */
 
-	has_permission: function(op) {
-	    // We need to do the array check first because an array will also return true for isObject
+	commit: function() {
+	    let self = this;
+	    let changes = (this.listenerCount('change') > 0) ? this.changes() : { };
+	    let snapshot = _.reduce(_attribute_keys(this), function(acc, k) {
+		acc[k] = _copy_attribute_value(_attribute_value(self, k));
+		return acc;
+	    }, { });
 
-	    if (_.isArray(this.permissions))
-	    {
-		return _.includes(this.permissions, op);
-	    }
-	    else if (_.isObject(this.permissions))
-	    {
-		return (this.permissions[op] == true);
-	    }
-	    else
-	    {
-		return false;
-	    }
-	},
+	    Object.defineProperty(this, '__snapshot', {
+		value: snapshot, writable: true, configurable: true, enumerable: false
+	    });
 
-	_convert_value: function(value) {
-	    let self = this;
-		
-	    if (_.isArray(value))
-	    {
-		return _.map(value, function(av, aidx) {
-		    return self._convert_value(av);
-		});
-	    }
-	    else if (_.isObject(value))
-	    {
-		return _.reduce(value, function(acc, ov, ok) {
-		    acc[ok] = self._convert_value(ov);
-		    return acc;
-		}, { });
-	    }
-	    else
-	    {
-		return value;
-	    }
+	    if (!_.isEmpty(changes)) this.emit('change', { model: this, changes: changes });
+
+	    return this;
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlModelBase#_convert_JSON_value
+	 * @name FlModelBase#_server_refresh
 	 * @description
-	 *  Convert a JSON representation to a Javascript value.
-	 *  If *value* is a string: if it is the string `null`, convert to the `null` value; otherwise,
-	 *  convert to Javascript via a call to `JSON.parse`.
-	 *  If *value* is not a string, return it as is.
-	 * 
-	 * @param {any} value The value to convert.
+	 *  Refresh the instance from a server representation, and mark the result as unmodified.
+	 *  The base {@sref FlModelBase#refresh} commits its changes, but subclasses that override it set
+	 *  their own state after calling the superclass implementation; this (internal) method commits
+	 *  again after the complete refresh, so that the instance is clean. The model factory and the API
+	 *  services use it for all refreshes from server data.
 	 *
-	 * @return {any} Returns the converted value.
+	 * @param {Object} data The hash representation of the object.
+	 *
+	 * @return {Boolean} Returns the value returned by {@sref FlModelBase#refresh}: `false` if the
+	 *  refresh was rejected (and the instance was not modified), `true` otherwise.
 	 */
-	
-	_convert_JSON_value: function(value) {
-	    if (_.isString(value)) {
-		return (value == 'null') ? null : JSON.parse(value);
-	    }
 
-	    return value;
+	_server_refresh: function(data) {
+	    if (this.refresh(data) === false) return false;
+
+	    this.commit();
+	    return true;
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlModelBase#_convert_date_value
+	 * @name FlModelBase#changedAttributes
 	 * @description
-	 *  Convert a datetime representation to a Javascript Date object.
-	 *  If *value* is a string, use `luxon` to convert it to a Date; otherwise, return as is.
+	 *  List the properties that have been modified since the last refresh or commit.
+	 *  This includes properties that were added to, or deleted from, the instance.
+	 *
+	 * @return {Array} Returns an array containing the names of the modified properties.
+	 */
+
+	changedAttributes: function() {
+	    let self = this;
+	    let snapshot = (_.isObject(this.__snapshot)) ? this.__snapshot : { };
+
+	    return _.filter(_.union(_.keys(snapshot), _attribute_keys(this)), function(k) {
+		return !(_.has(snapshot, k) && _.has(self, k) && _same_attribute_value(snapshot[k], _attribute_value(self, k)));
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#isDirty
+	 * @description
+	 *  Check if the instance has been modified since the last refresh or commit.
+	 *
+	 * @return {Boolean} Returns `true` if at least one property has been modified.
+	 */
+
+	isDirty: function() {
+	    return (this.changedAttributes().length > 0);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#changes
+	 * @description
+	 *  Get the modifications since the last refresh or commit.
+	 *
+	 * @return {Object} Returns an object whose keys are the names of the modified properties, and whose
+	 *  values are objects containing two properties: **old** is the value in the snapshot, and
+	 *  **new** is the current value. A value of `undefined` indicates that the property was
+	 *  added (for **old**) or deleted (for **new**).
+	 */
+
+	changes: function() {
+	    let self = this;
+	    let snapshot = (_.isObject(this.__snapshot)) ? this.__snapshot : { };
+
+	    return _.reduce(this.changedAttributes(), function(acc, k) {
+		acc[k] = { old: snapshot[k], new: _attribute_value(self, k) };
+		return acc;
+	    }, { });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#revert
+	 * @description
+	 *  Discard modifications since the last refresh or commit.
+	 *  Properties are restored to their snapshot values, and properties that were added since the
+	 *  snapshot was taken are deleted.
+	 *
+	 * @return {FlModelBase} Returns `this`.
+	 */
+
+	revert: function() {
+	    let self = this;
+	    let snapshot = (_.isObject(this.__snapshot)) ? this.__snapshot : { };
+
+	    _.forEach(this.changedAttributes(), function(k) {
+		if (_.has(snapshot, k))
+		{
+		    self[k] = _copy_attribute_value(snapshot[k]);
+		}
+		else
+		{
+		    delete self[k];
+		}
+	    });
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#to_submission
+	 * @description
+	 *  Convert the instance to the format expected by the server in submission data; this is
+	 *  the reverse of the conversion performed by {@sref FlModelBase#refresh}, and the return value is
+	 *  typically used as the **wrapped** data for {@sref FlAPIService#create} and
+	 *  {@sref FlAPIService#update}.
+	 *  The conversion is as follows:
+	 *  - Nested model instances are converted to their fingerprints; instances without a fingerprint,
+	 *    like attachments, are converted to their submission data.
+	 *  - `Date` and Luxon `DateTime` objects are converted to ISO 8601 strings.
+	 *  - Properties declared with the **json** attribute type are converted back to JSON strings.
+	 *  - Other class instances, like `File` objects, are returned as is.
+	 *
+	 *  Read-only properties are not included: these are properties generated by the server
+	 *  (**type**, **virtual_type**, **fingerprint**, **id**, **permissions**, **api_root**,
+	 *  **url_path**, **created_at**, and **updated_at**), and attributes whose descriptor sets the
+	 *  **read_only** option.
+	 *
+	 * @param {Object} [opts] Options for the conversion.
+	 * @property {Array} opts.only An array of property names; only these properties are included.
+	 * @property {Array} opts.except An array of property names to leave out.
+	 * @property {Boolean} opts.changed If `true`, include only the modified properties
+	 *  (see {@sref FlModelBase#changedAttributes}).
+	 * @property {Boolean} opts.read_only If `true`, include the read-only properties.
+	 * @property {Boolean|Array} opts.computed Include computed properties (see
+	 *  {@sref FlClassManager#make_class}): `true` includes all of them, and an array includes the
+	 *  named ones. Computed properties are not included by default. The **except** option applies
+	 *  to computed properties as well.
+	 *
+	 * @return {Object} Returns a plain object containing the converted properties.
+	 */
+
+	to_submission: function(opts) {
+	    let self = this;
+	    let o = (_.isObject(opts)) ? opts : { };
+	    let attributes = this.__class.__attributes || { };
+	    let keys = (o.changed) ? this.changedAttributes() : _attribute_keys(this);
+
+	    if (_.isArray(o.only)) keys = _.intersection(keys, o.only);
+	    if (_.isArray(o.except)) keys = _.difference(keys, o.except);
+	    if (!o.read_only)
+	    {
+		keys = _.filter(keys, function(k) {
+		    return !_.includes(_READ_ONLY_KEYS, k) && !(attributes[k] && attributes[k].read_only);
+		});
+	    }
+
+	    let rv = _.reduce(keys, function(acc, k) {
+		let v = _attribute_value(self, k);
+		if (_.isUndefined(v)) return acc;
+
+		let desc = attributes[k];
+		acc[k] = (desc && (desc.type == 'json') && !_.isNil(v)) ? JSON.stringify(v) : _submission_value(v);
+		return acc;
+	    }, { });
+
+	    let computed = _.keys(this.__class.__computed);
+	    if (_.isArray(o.computed)) computed = _.intersection(computed, o.computed);
+	    if (_.isArray(o.except)) computed = _.difference(computed, o.except);
+	    if (o.computed)
+	    {
+		_.forEach(computed, function(k) {
+		    let v = self[k];
+		    if (!_.isUndefined(v)) rv[k] = _submission_value(v);
+		});
+	    }
+
+	    return rv;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#toJSON
+	 * @description
+	 *  Return the JSON representation of the instance; this method is called by `JSON.stringify`.
+	 *  The representation is generated by {@sref FlModelBase#to_submission}, and it includes the
+	 *  read-only properties, and the computed properties whose descriptor sets the **serialize**
+	 *  option to `true`.
+	 *
+	 * @return {Object} Returns a plain object containing the converted properties.
+	 */
+
+	toJSON: function() {
+	    let computed = _.reduce(this.__class.__computed, function(acc, cv, ck) {
+		if (cv.serialize) acc.push(ck);
+		return acc;
+	    }, [ ]);
+
+	    return this.to_submission({ read_only: true, computed: (computed.length > 0) ? computed : false });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#snapshot
+	 * @description
+	 *  Return an immutable copy of the state of the instance, for use in state management libraries.
+	 *  The snapshot is a deep-frozen plain object containing the same properties as the hash
+	 *  representation that the instance was created from:
+	 *  - `Date` and Luxon `DateTime` objects are converted to ISO 8601 strings.
+	 *  - Nested model instances are converted to references in the format used by normalized
+	 *    payloads, `{ _ref: fingerprint }` (see {@sref FlModelFactory#denormalize}), or to their own
+	 *    snapshots; instances without a fingerprint, like attachments, are always converted to snapshots.
+	 *  - Unresolved **belongs_to** references are stored as fingerprints; **has_many** collections and
+	 *    computed properties are not included.
+	 *
+	 *  Snapshots share structure: parts of the state that have not changed since the previous call
+	 *  return the same (frozen) objects, and if nothing has changed the method returns the previous
+	 *  snapshot. Therefore, stores can detect changes with a reference comparison.
+	 *  Call {@sref FlModelFactory#fromSnapshot} to get a live instance back.
+	 *
+	 * @param {Object} [opts] Options for the conversion.
+	 * @property {String} opts.nested How to convert nested model instances: `reference` (the default)
+	 *  or `snapshot`. In `snapshot` mode, an instance that contains itself (directly or indirectly)
+	 *  is converted to a reference at the point of the cycle.
+	 *
+	 * @return {Object} Returns the frozen snapshot.
+	 */
+
+	snapshot: function(opts) {
+	    let nested = (_.isObject(opts) && (opts.nested == 'snapshot')) ? 'snapshot' : 'reference';
+	    let snapshots = _hidden_store(this, '__frozen_snapshots');
+
+	    snapshots[nested] = _deep_freeze(_share_snapshot(snapshots[nested], _snapshot_state(this, nested, [ ])));
+	    return snapshots[nested];
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#isNew
+	 * @description
+	 *  Check if the instance has not yet been saved to the server; this is the case if the instance
+	 *  does not have an identifier.
+	 *
+	 * @return {Boolean} Returns `true` if the instance has no **id**.
+	 */
+
+	isNew: function() {
+	    return _.isNil(this.id);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#isDestroyed
+	 * @description
+	 *  Check if the instance was deleted by a call to {@sref FlModelBase#destroy}.
+	 *
+	 * @return {Boolean} Returns `true` if the instance has been destroyed.
+	 */
+
+	isDestroyed: function() {
+	    return (this.__destroyed === true);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#validate
+	 * @description
+	 *  Validate the instance.
+	 *  The method clears the client errors in {@sref FlModelBase#errors}, and then runs the validators
+	 *  declared in the attribute descriptors (see the class documentation), adding an error for each
+	 *  failed check. Server errors are left in place.
+	 *  Subclasses can override this method to add custom checks; they should call the superclass
+	 *  implementation first, and then add their errors to **this.errors**.
+	 *
+	 * @param {Object} [opts] Options for the validation.
+	 * @property {Array} opts.only An array of attribute names; only these attributes are validated.
+	 *
+	 * @return {Boolean} Returns `true` if the instance has no errors, `false` otherwise.
+	 */
+
+	validate: function(opts) {
+	    let self = this;
+	    let o = (_.isObject(opts)) ? opts : { };
+	    let errors = this.errors;
+
+	    errors.clear('client');
+
+	    _.forEach(this.__class.__attributes, function(desc, k) {
+		if (!_.isObject(desc.validations)) return;
+		if (_.isArray(o.only) && !_.includes(o.only, k)) return;
+
+		let value = self[k];
+		_.forEach(desc.validations, function(vopts, vname) {
+		    let validator = FlModelValidators[vname];
+		    if (!_.isFunction(validator))
+		    {
+			console.log("(FlModelBase): unknown validator '" + vname + "' for attribute '" + k + "'");
+			return;
+		    }
+
+		    if (_.isRegExp(vopts))
+		    {
+			vopts = { with: vopts };
+		    }
+		    else if (_.isArray(vopts))
+		    {
+			vopts = { in: vopts };
+		    }
+		    else if (!_.isObject(vopts))
+		    {
+			if (!vopts) return;
+			vopts = { };
+		    }
+
+		    let message = validator(value, vopts, self);
+		    if (_.isString(message)) errors.add(k, message);
+		});
+	    });
+
+	    return errors.isEmpty();
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#save
+	 * @description
+	 *  Save the instance to the server.
+	 *  The method looks up the API service for the instance's data type in the API service registry
+	 *  (see {@sref FlAPIServiceRegistry#create}); the type is the value of **virtual_type** or
+	 *  **type**, or the return value of the class method `type_class`.
+	 *  If the instance is new (see {@sref FlModelBase#isNew}), it calls {@sref FlAPIService#create}
+	 *  with all properties except those generated by the server (like **id**, **fingerprint**, and
+	 *  the timestamps); it then refreshes the instance from the response, and places it in the
+	 *  model cache in place of the instance created by the service.
+	 *  Otherwise, it calls {@sref FlAPIService#update} with the modified properties
+	 *  (see {@sref FlModelBase#changedAttributes}), and the service refreshes the instance in place;
+	 *  if there are no modifications, no request is made.
+	 *  The submission data are generated by {@sref FlModelBase#to_submission}.
+	 *
+	 *  Before making the request, the method validates the instance (see {@sref FlModelBase#validate})
+	 *  and clears the server errors; if the server rejects the submission as invalid, the errors in the
+	 *  response are merged into {@sref FlModelBase#errors} (see {@sref FlModelErrors#merge_server}).
+	 *  Only errors that contain validation details (**messages** or **full_messages**), or that have
+	 *  the status 422, are merged; other failures, like network errors, timeouts, and missing objects,
+	 *  just reject the promise.
+	 *  Stale updates are the exception: they reject with a {@sref FlConflictError}, and are resolved
+	 *  with the **merge** option (see "Optimistic concurrency" in the class documentation).
+	 *
+	 * @param {Object} [opts] Options for the call.
+	 * @property {Object} opts.wrapped Submit these data instead of the instance's properties.
+	 * @property {Object} opts.unwrapped Additional data to place outside of the namespace;
+	 *  see {@sref FlAPIService#_wrap_data}.
+	 * @property {Boolean} opts.force If `true`, submit an update even if the instance is not dirty.
+	 * @property {Object} opts.config The configuration to pass to the API service call.
+	 * @property {FlAPIService} opts.service Use this API service instead of looking one up.
+	 * @property {FlAPIServiceRegistry} opts.registry Look up the API service in this registry;
+	 *  the default is {@sref FlGlobalAPIServiceRegistry}.
+	 * @property {Array} opts.service_args Arguments to pass to the API service constructor.
+	 * @property {Boolean} opts.validate If `false`, the instance is not validated before the request.
+	 * @property {String|Function} opts.merge The merge strategy to use if the server rejects an update
+	 *  as stale; see {@sref FlModelBase#mergeConflict}. If the merge succeeds and the instance still
+	 *  has modifications, the update is submitted again (once). If not present, a stale update
+	 *  rejects with the {@sref FlConflictError}.
+	 *
+	 * @return {Promise} Returns a promise that resolves to `this` on success, and rejects with the
+	 *  error from the API service on failure. If no API service is available, the promise rejects
+	 *  with an `Error`. If validation fails, no request is made, and the promise rejects with an
+	 *  object in the same format as an API error: the **type** is `validation_failure`, and the
+	 *  **details** contain the **messages** and **full_messages** from {@sref FlModelBase#errors}.
+	 *  If a merge fails, the promise rejects with the {@sref FlConflictError}, whose **conflicts**
+	 *  property lists the attributes that could not be merged.
+	 */
+
+	save: function(opts) {
+	    let self = this;
+	    let o = (_.isObject(opts)) ? opts : { };
+	    let srv = _model_api_service(this, o);
+	    if (_.isNil(srv)) return Promise.reject(new Error('no API service for model ' + this.__class.__name));
+
+	    let is_new = this.isNew();
+	    if (!is_new && !o.force && !this.isDirty() && _.isNil(o.wrapped)) return Promise.resolve(this);
+
+	    this.errors.clear('server');
+	    if ((o.validate !== false) && !this.validate())
+	    {
+		return Promise.reject({
+		    type: 'validation_failure',
+		    message: 'validation failed',
+		    details: { messages: this.errors.messages(), full_messages: this.errors.full_messages() }
+		});
+	    }
+
+	    let _merge_errors = function(e) {
+		if (_is_validation_error(e)) self.errors.merge_server(e);
+		return Promise.reject(e);
+	    };
+
+	    let data = {
+		wrapped: (_.isObject(o.wrapped)) ? o.wrapped : this.to_submission({ changed: !is_new }),
+		unwrapped: o.unwrapped
+	    };
+
+	    if (is_new)
+	    {
+		return srv.create(data, o.config).then(function(m) {
+		    self._server_refresh(srv.response_data(srv.response));
+		    srv.modelFactory.cache().put(self);
+		    return Promise.resolve(self);
+		}, _merge_errors);
+	    }
+	    else
+	    {
+		return srv.update(this, data, o.config).then(function(m) {
+		    return Promise.resolve(self);
+		}, function(e) {
+		    // conflicts are not validation errors, so they are not merged into the errors
+
+		    if (!FlConflictError.isConflict(e)) return _merge_errors(e);
+		    return (_.isNil(o.merge)) ? Promise.reject(e) : _resolve_conflict(self, srv, e, o);
+		});
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#mergeConflict
+	 * @description
+	 *  Reconcile the local modifications with the server representation of the object.
+	 *  The merge strategy is called with the values at the last refresh (the snapshot), the current
+	 *  values, and the server values; if it reports no conflicts, the instance is refreshed from
+	 *  *data*, and the values returned by the strategy are then applied as local modifications.
+	 *  If there are conflicts, the instance is not modified.
+	 * 
+	 * @param {Object} data The server representation of the object.
+	 * @param {String|Function} strategy The merge strategy: the name of a strategy in
+	 *  {@sref FlMergeStrategies}, or a function with the same signature.
+	 *
+	 * @return {Array} Returns an array containing the names of the attributes that could not be
+	 *  merged; the array is empty if the merge succeeded.
+	 *
+	 * @throws Throws an exception if *strategy* is not a function or the name of a known strategy.
+	 */
+
+	mergeConflict: function(data, strategy) {
+	    let self = this;
+	    let merge = (_.isFunction(strategy)) ? strategy : FlMergeStrategies[strategy];
+	    if (!_.isFunction(merge)) throw new Error('unknown merge strategy: ' + strategy);
+
+	    let computed = this.__class.__computed || { };
+	    let local = _.reduce(_attribute_keys(this), function(acc, k) {
+		acc[k] = _attribute_value(self, k);
+		return acc;
+	    }, { });
+	    let server = _.reduce(data, function(acc, v, k) {
+		if (!_.has(computed, k)) acc[k] = self._convert_attribute(k, v);
+		return acc;
+	    }, { });
+
+	    let rv = merge((_.isObject(this.__snapshot)) ? this.__snapshot : { }, local, server, _same_attribute_value);
+	    if (rv.conflicts.length > 0) return rv.conflicts;
+
+	    // the local modifications are reapplied after the refresh, so we revert them first; otherwise,
+	    // the refresh would report them as overwritten
+
+	    this.revert();
+	    this.refresh(data);
+	    _.forEach(rv.values, function(v, k) {
+		self[k] = v;
+	    });
+
+	    return [ ];
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#reload
+	 * @description
+	 *  Reload the instance from the server by calling {@sref FlAPIService#show}.
+	 *  Local modifications are discarded (see {@sref FlModelBase#revert}) before the request is made,
+	 *  and the instance is refreshed in place.
+	 *
+	 * @param {Object} [opts] Options for the call; this method supports the **config**, **service**,
+	 *  **registry**, and **service_args** options described in {@sref FlModelBase#save}, and:
+	 * @property {Object} opts.params Parameters to pass to {@sref FlAPIService#show}.
+	 *
+	 * @return {Promise} Returns a promise that resolves to `this` on success, and rejects with the
+	 *  error from the API service on failure. If no API service is available, or if the instance
+	 *  is new, the promise rejects with an `Error`.
+	 */
+
+	reload: function(opts) {
+	    let self = this;
+	    let o = (_.isObject(opts)) ? opts : { };
+	    if (this.isNew()) return Promise.reject(new Error('cannot reload a new model instance'));
+
+	    let srv = _model_api_service(this, o);
+	    if (_.isNil(srv)) return Promise.reject(new Error('no API service for model ' + this.__class.__name));
+
+	    this.revert();
+	    return srv.show(this, o.params, o.config).then(function(m) {
+		return Promise.resolve(self);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#destroy
+	 * @description
+	 *  Delete the instance from the server by calling {@sref FlAPIService#destroy}.
+	 *  On success, the instance is removed from the model cache and from the **has_many** collections
+	 *  of the instances it refers to, and it is marked as destroyed (see {@sref FlModelBase#isDestroyed}).
+	 *
+	 * @param {Object} [opts] Options for the call; this method supports the **config**, **service**,
+	 *  **registry**, and **service_args** options described in {@sref FlModelBase#save}.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the response status on success, and
+	 *  rejects with the error from the API service on failure. If no API service is available, or
+	 *  if the instance is new, the promise rejects with an `Error`.
+	 */
+
+	destroy: function(opts) {
+	    let self = this;
+	    let o = (_.isObject(opts)) ? opts : { };
+	    if (this.isNew()) return Promise.reject(new Error('cannot destroy a new model instance'));
+
+	    let srv = _model_api_service(this, o);
+	    if (_.isNil(srv)) return Promise.reject(new Error('no API service for model ' + this.__class.__name));
+
+	    return srv.destroy(this, o.config).then(function(status) {
+		_.forEach(_relationships(self, 'belongs_to'), function(desc, k) {
+		    let target = _resolve_reference(self, self.__relations[k]);
+		    if (!_.isNil(target)) _unlink_child(target, self, k);
+		});
+
+		srv.modelFactory.cache().remove(self);
+		Object.defineProperty(self, '__destroyed', {
+		    value: true, writable: true, configurable: true, enumerable: false
+		});
+		return Promise.resolve(status);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#load
+	 * @description
+	 *  Load the target of a **belongs_to** or **reference** relationship.
+	 *  If the target is in the cache of the factory that created the instance, the promise resolves to
+	 *  it without making a request; otherwise, the target is loaded with {@sref FlModelFactory#fetch}.
+	 *
+	 * @param {String} name The name of the relationship.
+	 * @param {Object} [opts] Options for {@sref FlModelFactory#fetch}.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the target instance, or to `null` if the
+	 *  relationship is not set. The promise rejects with an `Error` if *name* is not a **belongs_to**
+	 *  or **reference** relationship, and with the error from {@sref FlModelFactory#fetch} if the
+	 *  target cannot be loaded.
+	 */
+
+	load: function(name, opts) {
+	    if (!_.has(_relationships(this, 'belongs_to'), name))
+	    {
+		return Promise.reject(new Error('not a belongs_to relationship: ' + name));
+	    }
+
+	    let ref = this.__relations[name];
+	    let target = _resolve_reference(this, ref);
+	    if (!_.isNil(target) || !_.isString(ref)) return Promise.resolve(target);
+
+	    return _owning_factory(this).fetch(ref, opts);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#has_permission
+	 * @description
+	 *  Check if the object has granted a permission to the current user.
+	 *  This method looks up the property **permissions**, and if present it then supports two
+	 *  types of checks. If **permissions** is an object, and *op* is a property of **permissions**
+	 *  with value `true`, then it returns `true`.
+	 *  If **permissions** is an array that includes *op*, then it returns `true`.
+	 *  Otherwise, it returns `false`.
+	 * 
+	 * @param {String} op The name of the permission to check; for example, `read` or `write`.
+	 *
+	 * @return {Boolean} Returns `true` if permission is granted, `false` otherwise.
+	 */
+
+	has_permission: function(op) {
+	    // We need to do the array check first because an array will also return true for isObject
+
+	    if (_.isArray(this.permissions))
+	    {
+		return _.includes(this.permissions, op);
+	    }
+	    else if (_.isObject(this.permissions))
+	    {
+		return (this.permissions[op] == true);
+	    }
+	    else
+	    {
+		return false;
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#can
+	 * @description
+	 *  Check if the object has granted a permission to the current user, taking implied permissions
+	 *  into account.
+	 *  Unlike {@sref FlModelBase#has_permission}, which checks only for *op*, this method also
+	 *  checks for the permissions that grant *op*, as defined in the permission registry.
+	 *  For example, with the standard permissions `can('write')` returns `true` if the object
+	 *  grants `write`, `edit`, or `manage`. This is consistent with the access checks on the server,
+	 *  so that UI code can hide controls for operations that the server would reject.
+	 *
+	 * @param {String} op The name of the permission to check.
+	 * @param {FlPermissionRegistry} [registry] The permission registry to use; the default is
+	 *  {@sref FlGlobalPermissionRegistry}.
+	 *
+	 * @return {Boolean} Returns `true` if permission is granted, `false` otherwise.
+	 */
+
+	can: function(op, registry) {
+	    let self = this;
+	    let reg = (_.isNil(registry)) ? FlGlobalPermissionRegistry : registry;
+
+	    return _.some(reg.grantors(op), function(p) {
+		return self.has_permission(p);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#canAny
+	 * @description
+	 *  Check if the object has granted at least one of a list of permissions; the check for each
+	 *  permission is done by {@sref FlModelBase#can}.
+	 *
+	 * @param {Array} ops The names of the permissions to check.
+	 * @param {FlPermissionRegistry} [registry] The permission registry to use.
+	 *
+	 * @return {Boolean} Returns `true` if any permission is granted; returns `false` if none is
+	 *  granted, or if *ops* is empty.
+	 */
+
+	canAny: function(ops, registry) {
+	    let self = this;
+
+	    return _.some(_.castArray(ops), function(op) {
+		return self.can(op, registry);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#canAll
+	 * @description
+	 *  Check if the object has granted all permissions in a list; the check for each
+	 *  permission is done by {@sref FlModelBase#can}.
+	 *
+	 * @param {Array} ops The names of the permissions to check.
+	 * @param {FlPermissionRegistry} [registry] The permission registry to use.
+	 *
+	 * @return {Boolean} Returns `true` if all permissions are granted, or if *ops* is empty;
+	 *  returns `false` otherwise.
+	 */
+
+	canAll: function(ops, registry) {
+	    let self = this;
+
+	    return _.every(_.castArray(ops), function(op) {
+		return self.can(op, registry);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_attribute
+	 * @description
+	 *  Convert the value of a property in the hash representation.
+	 *  If the class has an attribute descriptor for *name*, the value is converted according to the
+	 *  descriptor's type (see the class documentation); otherwise, it is converted with
+	 *  {@sref FlModelBase#_convert_value}.
+	 * 
+	 * @param {String} name The property name.
+	 * @param {any} value The value to convert.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+
+	_convert_attribute: function(name, value) {
+	    let desc = (_.isObject(this.__class.__attributes)) ? this.__class.__attributes[name] : undefined;
+
+	    if (_.isNil(desc) || _.isNil(desc.type)) return this._convert_value(value);
+	    if (_.isNil(value)) return value;
+
+	    switch (desc.type)
+	    {
+	    case 'date':
+		return this._convert_date_value(value, _date_options(this, desc));
+	    case 'json':
+		return this._convert_JSON_value(value);
+	    case 'integer':
+		return this._convert_integer_value(value);
+	    case 'boolean':
+		return this._convert_boolean_value(value);
+	    case 'enum':
+		return this._convert_enum_value(value, desc);
+	    case 'model':
+		return this._convert_model_value(value, desc);
+	    case 'model_array':
+		return this._convert_model_array_value(value, desc);
+	    case 'attachment':
+		return this._convert_attachment_value(value, desc);
+	    case 'belongs_to':
+	    case 'reference':
+	    case 'has_many':
+		// the relationship accessors convert the value
+		return value;
+	    default:
+		console.log("(FlModelBase): unknown type '" + desc.type + "' for attribute '" + name + "'");
+		return this._convert_value(value);
+	    }
+	},
+
+	_convert_value: function(value) {
+	    let self = this;
+		
+	    if (_is_model_instance(value))
+	    {
+		// for example, references resolved by FlModelFactory#denormalize
+
+		return value;
+	    }
+	    else if (_.isArray(value))
+	    {
+		return _.map(value, function(av, aidx) {
+		    return self._convert_value(av);
+		});
+	    }
+	    else if (_.isObject(value))
+	    {
+		return _.reduce(value, function(acc, ov, ok) {
+		    acc[ok] = self._convert_value(ov);
+		    return acc;
+		}, { });
+	    }
+	    else
+	    {
+		return value;
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_JSON_value
+	 * @description
+	 *  Convert a JSON representation to a Javascript value.
+	 *  If *value* is a string: if it is the string `null`, convert to the `null` value; otherwise,
+	 *  convert to Javascript via a call to `JSON.parse`.
+	 *  If *value* is not a string, return it as is.
+	 * 
+	 * @param {any} value The value to convert.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+	
+	_convert_JSON_value: function(value) {
+	    if (_.isString(value)) {
+		return (value == 'null') ? null : JSON.parse(value);
+	    }
+
+	    return value;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_date_value
+	 * @description
+	 *  Convert a datetime representation to a Javascript Date object, or to a Luxon `DateTime`.
+	 *  If *value* is a string, use `luxon` to parse it; strings that don't include an offset are
+	 *  interpreted as UTC, which is how the server generates timestamps. `Date` objects, `DateTime`
+	 *  objects, and objects containing the date and time components are also converted; other
+	 *  values, and strings that can't be parsed, are returned as is.
+	 *
+	 *  If the **luxon** option is `true`, the value is returned as a `DateTime` in the time zone
+	 *  given by the **zone** option; otherwise, it is returned as a `Date`.
 	 * 
 	 * @param {any} value The value to convert.
+	 * @param {Object} [opts] The date options; if not present, use the options for the instance,
+	 *  as described in the class documentation.
+	 * @property {Boolean} opts.luxon Return a Luxon `DateTime` instead of a `Date`.
+	 * @property {String} opts.zone The time zone for `DateTime` values.
 	 *
 	 * @return {any} Returns the converted value.
 	 */
 	
-	_convert_date_value: function(value) {
+	_convert_date_value: function(value, opts) {
+	    let o = (_.isObject(opts)) ? _.assign({ }, _DEFAULT_DATE_OPTIONS, opts) : _date_options(this);
+	    let l = null;
+
 	    if (_.isString(value)) {
-		let l = DateTime.fromISO(value, { zone: 'utc' });
-		if (l.isValid) return l.toJSDate();
+		const PARSERS = [ 'fromISO', 'fromRFC2822', 'fromHTTP', 'fromSQL' ];
+
+		_.find(PARSERS, function(p) {
+		    l = DateTime[p](value, { zone: 'utc' });
+		    return l.isValid;
+		});
+		if (!l.isValid) return value;
+	    } else if (_.isDate(value)) {
+		l = DateTime.fromJSDate(value);
+	    } else if (DateTime.isDateTime(value)) {
+		l = value;
+	    } else if (_.isObject(value)) {
+		l = DateTime.fromObject(value, { zone: 'utc' });
+	    } else {
+		return value;
+	    }
+
+	    return (o.luxon) ? l.setZone(o.zone) : l.toJSDate();
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#dateTime
+	 * @description
+	 *  Get the value of a date attribute as a Luxon `DateTime`, regardless of whether the attribute
+	 *  holds a `Date` or a `DateTime`.
+	 * 
+	 * @param {String} name The attribute name; for example, `created_at`.
+	 * @param {String} [zone] The time zone; if not present, use the zone from the date options for
+	 *  the attribute, which is typically the actor's zone.
+	 *
+	 * @return {DateTime} Returns a `DateTime` in the requested zone; if the attribute has no value,
+	 *  or the value is not a valid date, returns `null`.
+	 */
+
+	dateTime: function(name, zone) {
+	    let v = this[name];
+	    if (_.isNil(v)) return null;
+
+	    let opts = _date_options(this, _.get(this.__class.__attributes, name));
+	    let l = this._convert_date_value(v, { luxon: true, zone: (_.isString(zone)) ? zone : opts.zone });
+
+	    return (DateTime.isDateTime(l) && l.isValid) ? l : null;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#formatDate
+	 * @description
+	 *  Format the value of a date attribute in the actor's time zone.
+	 *  For example, if the default factory has been configured with
+	 *  `setDateOptions({ zone: 'America/New_York' })`, then
+	 *  `formatDate('created_at', 'yyyy-MM-dd HH:mm')` returns the creation time in New York.
+	 * 
+	 * @param {String} name The attribute name.
+	 * @param {String|Object} [format] If a string, a Luxon format string (see `DateTime#toFormat`);
+	 *  if an object, a Luxon preset like `DateTime.DATE_FULL` (see `DateTime#toLocaleString`).
+	 *  The default is `DateTime.DATETIME_MED`.
+	 * @param {String} [zone] The time zone; if not present, use the zone from the date options
+	 *  for the attribute.
+	 *
+	 * @return {String} Returns the formatted value; if the attribute has no value, or the value is
+	 *  not a valid date, returns `null`.
+	 */
+
+	formatDate: function(name, format, zone) {
+	    let l = this.dateTime(name, zone);
+	    if (_.isNil(l)) return null;
 
-		l = DateTime.fromRFC2822(value, { zone: 'utc' });
-		if (l.isValid) return l.toJSDate();
+	    return (_.isString(format)) ? l.toFormat(format)
+		: l.toLocaleString((_.isObject(format)) ? format : DateTime.DATETIME_MED);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_integer_value
+	 * @description
+	 *  Convert a value to an integer.
+	 *  Strings are parsed as base 10 integers, and numbers are truncated; if the conversion fails,
+	 *  *value* is returned as is.
+	 * 
+	 * @param {any} value The value to convert.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
 
-		l = DateTime.fromHTTP(value, { zone: 'utc' });
-		if (l.isValid) return l.toJSDate();
+	_convert_integer_value: function(value) {
+	    if (_.isString(value)) {
+		let i = parseInt(value, 10);
+		return (_.isNaN(i)) ? value : i;
+	    } else if (_.isNumber(value)) {
+		return Math.trunc(value);
+	    } else {
+		return value;
+	    }
+	},
 
-		l = DateTime.fromSQL(value, { zone: 'utc' });
-		if (l.isValid) return l.toJSDate();
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_boolean_value
+	 * @description
+	 *  Convert a value to a boolean.
+	 *  The strings `true`, `t`, `yes`, `on`, and `1` are converted to `true`, and `false`, `f`, `no`,
+	 *  `off`, `0`, and the empty string to `false` (the comparison is case insensitive).
+	 *  Numbers are `true` if nonzero. Other values are returned as is.
+	 * 
+	 * @param {any} value The value to convert.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
 
+	_convert_boolean_value: function(value) {
+	    if (_.isString(value)) {
+		let lv = value.trim().toLowerCase();
+		if (_.includes([ 'true', 't', 'yes', 'on', '1' ], lv)) return true;
+		if (_.includes([ 'false', 'f', 'no', 'off', '0', '' ], lv)) return false;
 		return value;
-	    } else if (_.isObject(value, { zone: 'utc' })) {
-		return DateTime.fromObject(value, { zone: 'utc' }).toJSDate();
+	    } else if (_.isNumber(value)) {
+		return (value != 0);
 	    } else {
 		return value;
 	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_enum_value
+	 * @description
+	 *  Check that a value is one of the values allowed by an enumeration.
+	 * 
+	 * @param {any} value The value to convert.
+	 * @param {Object} desc The attribute descriptor; **desc.values** is the array of allowed values,
+	 *  and **desc.default** the value to use if *value* is not in the array.
+	 *
+	 * @return {any} Returns *value* if it is in **desc.values**; otherwise, returns **desc.default**,
+	 *  or `null` if no default is defined.
+	 */
+
+	_convert_enum_value: function(value, desc) {
+	    if (_.includes(desc.values, value)) return value;
+
+	    return (_.isUndefined(desc.default)) ? null : desc.default;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_model_value
+	 * @description
+	 *  Convert a hash representation to a model instance by calling {@sref FlModelFactory#create}
+	 *  on the default model factory.
+	 *  If *value* is not an object, it is returned as is.
+	 * 
+	 * @param {any} value The value to convert.
+	 * @param {Object} desc The attribute descriptor; if **desc.class_name** is defined, it is used
+	 *  as the type of hashes that don't have a **type** property.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+
+	_convert_model_value: function(value, desc) {
+	    if (!_.isPlainObject(value)) return value;
+
+	    if (_.isString(desc.class_name) && _.isNil(value.type))
+	    {
+		value = _.merge({ type: desc.class_name }, value);
+	    }
+	    
+	    return FlModelFactory.defaultFactory().create(value);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_model_array_value
+	 * @description
+	 *  Convert an array of hash representations to an array of model instances.
+	 *  Each element is converted by {@sref FlModelBase#_convert_model_value}; if *value* is not an
+	 *  array, it is converted as a single element.
+	 * 
+	 * @param {any} value The value to convert.
+	 * @param {Object} desc The attribute descriptor.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+
+	_convert_model_array_value: function(value, desc) {
+	    let self = this;
+	    
+	    if (!_.isArray(value)) return this._convert_model_value(value, desc);
+
+	    return _.map(value, function(v, idx) {
+		return self._convert_model_value(v, desc);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_convert_attachment_value
+	 * @description
+	 *  Convert a hash representation, or an array of hash representations, to model instances.
+	 *  This is meant for objects like ActiveStorage attachments, which don't have an identifier:
+	 *  if the model cache can identify the object (for example, because an identity strategy based on
+	 *  the storage blob key is registered for its type; see {@sref FlModelCache}), the instance is
+	 *  created through the model factory like for {@sref FlModelBase#_convert_model_value}.
+	 *  Otherwise, the instance is created directly from the class registered with the model factory,
+	 *  and is not placed in the cache.
+	 *  Values for which no model class is registered are returned as is.
+	 * 
+	 * @param {any} value The value to convert.
+	 * @param {Object} desc The attribute descriptor; if **desc.class_name** is defined, it is used
+	 *  as the type of hashes that don't have a **type** property.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+
+	_convert_attachment_value: function(value, desc) {
+	    let self = this;
+	    
+	    if (_.isArray(value))
+	    {
+		return _.map(value, function(v, idx) {
+		    return self._convert_attachment_value(v, desc);
+		});
+	    }
+
+	    if (!_.isPlainObject(value)) return value;
+
+	    let factory = FlModelFactory.defaultFactory();
+	    let h = (_.isNil(value.type) && _.isString(desc.class_name)) ? _.assign({ type: desc.class_name }, value) : value;
+	    if (!_.isUndefined(factory.cache().identify(h))) return factory.create(h);
+
+	    let srv = factory.service_for(value);
+	    if (_.isNil(srv) && _.isString(desc.class_name)) srv = factory.service_for(desc.class_name);
+
+	    return (_.isNil(srv)) ? value : new srv(value);
+	}
+    },
+    instance_properties: {
+	/**
+	 * @ngdoc property
+	 * @name FlModelBase#errors
+	 * @description Getter for the **errors** property.
+	 *  The errors are populated by {@sref FlModelBase#validate}, and by {@sref FlModelBase#save}
+	 *  when the server rejects the submission.
+	 *
+	 * @return {FlModelErrors} Returns the instance of {@sref FlModelErrors} that holds the errors.
+	 */
+
+	errors: {
+	    get: function() {
+		if (!this.hasOwnProperty('__errors'))
+		{
+		    Object.defineProperty(this, '__errors', {
+			value: new FlModelErrors(), writable: true, configurable: true, enumerable: false
+		    });
+		}
+
+		return this.__errors;
+	    }
 	}
     },
     class_methods: {
     },
-    extensions: [ ]
+    extensions: [ FlEventsExtension ]
 });
 
 /**
@@ -306,6 +1954,80 @@ let FlModelBase = FlClassManager.make_class({
  * @description
  * A service that manages a cache of model instances.
  * This cache is global across the application.
+ *
+ * By default, the cache is unbounded, and instances stay in it until they are removed explicitly.
+ * Long-running applications can limit its size and the lifetime of its entries:
+ * - If a **capacity** is configured, the cache holds at most that many instances; when a new
+ *   instance is added to a full cache, the least recently used instance is evicted.
+ * - If a time-to-live is configured (globally, or by data type), an instance that has been in the cache
+ *   longer than its time-to-live is dropped the next time it is looked up, and the lookup is reported as
+ *   a miss. Entries are timestamped when they are put in the cache; the model factory puts instances
+ *   back after each refresh, so that the time-to-live measures the time since the last server update.
+ *
+ * Note that evicted or expired instances are not modified; however, the model factory will create
+ * a new instance the next time it sees the same object, and therefore clients that hold on to the
+ * old instance won't see updates.
+ * The cache keeps counters of hits, misses, evictions, and expirations; see {@sref FlModelCache#stats}.
+ *
+ * The cache includes {@sref FlEventsExtension}, and emits the following events:
+ * - **evicted** when an instance is dropped by the cache itself. The listener is passed an object
+ *   containing **id** (the cache identifier, in the form `type/id`), **model** (the instance, which is
+ *   `undefined` if it was garbage collected), and **reason**: `capacity`, `expired`, or `collected`.
+ * - **removed** when an instance is removed by a call to {@sref FlModelCache#remove}. The listener
+ *   is passed an object containing **id** and **model**.
+ *
+ * If a storage adapter is configured (see {@sref FlModelStorageAdapter}), the cache also writes the
+ * hash representation of each instance that is put in it (as returned by {@sref FlModelBase#toJSON})
+ * to the storage, keyed by its cache identifier, and removes it when the instance is removed.
+ * Instances that are evicted or expire stay in the storage. A page can then use
+ * {@sref FlModelFactory#rehydrate} to create instances from the stored data, and render them while
+ * it fetches fresh data from the server (a stale-while-revalidate strategy).
+ * Storage operations are asynchronous, and errors are logged but otherwise ignored; use
+ * {@sref FlModelCache#flush} to wait for pending operations.
+ *
+ * Instances are identified by a cache identifier in the form `type/id`, where `type` is the data
+ * class name with the colons removed, and `id` is extracted from the instance (or its hash
+ * representation) by an *identity strategy*. A strategy is either a function that takes the object and
+ * returns its identifier (or `undefined` if the object cannot be identified), or the name of one of
+ * the built-in strategies in {@sref FlModelCache.IdentityStrategies}:
+ * - **standard** (the default) uses the identifier in the **fingerprint** if one is present, and the
+ *   value of **id** otherwise.
+ * - **fingerprint** uses the identifier in the **fingerprint**; everything after the first slash is
+ *   the identifier, so that identifiers like UUIDs or composite keys containing slashes are supported.
+ * - **id** uses the value of **id**.
+ * - **paperclip** uses the URL of the original file for Paperclip attachments.
+ * - **blob_key** uses the key of the storage blob, for ActiveStorage attachments.
+ *
+ * Strategies can be set per data type, either with {@sref FlModelCache#setIdentity} or by including
+ * an **identity** property in the service descriptors passed to {@sref FlModelFactory#register}.
+ * Objects that cannot be identified are not cached.
+ *
+ * The default backend holds strong references to the instances, which therefore stay in memory
+ * as long as they are in the cache. The **weak** backend holds them through `WeakRef` objects instead:
+ * {@sref FlModelFactory#create} still returns the same instance for an object as long as some part of the
+ * application holds a reference to it, but once the instance is no longer referenced it can be
+ * garbage collected, and its cache entry is dropped. Capacity and time-to-live limits apply to the
+ * weak backend as well.
+ *
+ * @param {Object} [opts] Configuration options.
+ * @property {String} opts.backend The storage backend: `strong` (the default) or `weak`.
+ *  The weak backend requires `WeakRef` and `FinalizationRegistry`.
+ * @property {Number} opts.capacity The maximum number of instances in the cache; if not present, the
+ *  cache is unbounded.
+ * @property {Number} opts.ttl The default time-to-live for cache entries, in milliseconds; if not
+ *  present, entries don't expire.
+ * @property {Object} opts.ttl_by_type Time-to-live values for specific data types; the keys are data
+ *  class names (like `My::Datum`), and the values are in milliseconds. These values override
+ *  **opts.ttl**; use a value of `0` to disable expiration for a type.
+ * @property {FlModelStorageAdapter} opts.storage A storage adapter used to persist the hash
+ *  representations of cached instances; see below.
+ * @property {String|Function} opts.identity The default identity strategy; see below.
+ *  The default value is `standard`.
+ * @property {Object} opts.identity_by_type Identity strategies for specific data types; the keys are
+ *  data class names, and the values identity strategies.
+ *
+ * @throws Throws an exception if **opts.backend** is not a known backend, or if the weak backend is
+ *  requested and the runtime does not support weak references.
  */
 
 let FlModelCache = (function() {
@@ -314,67 +2036,253 @@ let FlModelCache = (function() {
 	return (_.isNil(s)) ? null : s.replace(/::/g, '');
     };
 
-    function _id(h) {
-	if (h.hasOwnProperty('fingerprint'))
+    function _strategy(strategy) {
+	if (_.isFunction(strategy)) return strategy;
+
+	let f = FlModelCache.IdentityStrategies[strategy];
+	if (!_.isFunction(f)) throw new Error('unknown model identity strategy: ' + strategy);
+	return f;
+    };
+
+    function _empty_stats() {
+	return { hits: 0, misses: 0, evictions: 0, expirations: 0, collected: 0 };
+    };
+
+    function FlModelCache(opts) {
+	let o = (_.isObject(opts)) ? opts : { };
+
+	this._capacity = (_.isInteger(o.capacity) && (o.capacity > 0)) ? o.capacity : null;
+	this._ttl = (_.isNumber(o.ttl) && (o.ttl > 0)) ? o.ttl : null;
+	this._ttl_by_type = _.reduce(o.ttl_by_type, function(acc, tv, tk) {
+	    if (_.isNumber(tv)) acc[_type(tk)] = tv;
+	    return acc;
+	}, { });
+
+	// A Map iterates in insertion order, and entries are reinserted on access, so that the first
+	// entry is always the least recently used one.
+
+	this._model_cache = new Map();
+	this._stats = _empty_stats();
+	this._storage = (_.isNil(o.storage)) ? null : o.storage;
+	this._pending = new Set();
+
+	this._identity = _strategy((_.isNil(o.identity)) ? 'standard' : o.identity);
+	this._identity_by_type = _.reduce(o.identity_by_type, function(acc, sv, sk) {
+	    acc[_type(sk)] = _strategy(sv);
+	    return acc;
+	}, { });
+
+	this._backend = (_.isNil(o.backend)) ? 'strong' : o.backend;
+	if (this._backend == 'weak')
+	{
+	    if ((typeof WeakRef === 'undefined') || (typeof FinalizationRegistry === 'undefined'))
+	    {
+		throw new Error('the weak model cache backend requires WeakRef and FinalizationRegistry');
+	    }
+
+	    // The finalizer drops the entry for a collected instance, unless it has since been replaced
+	    // with a live one.
+
+	    let self = this;
+	    this._finalizer = new FinalizationRegistry(function(id) {
+		let entry = self._model_cache.get(id);
+		if (!_.isNil(entry) && _.isUndefined(entry.ref.deref()))
+		{
+		    self._model_cache.delete(id);
+		    self._stats.collected += 1;
+		    self.emit('evicted', { id: id, model: undefined, reason: 'collected' });
+		}
+	    });
+	}
+	else if (this._backend != 'strong')
+	{
+	    throw new Error('unknown model cache backend: ' + this._backend);
+	}
+    };
+    FlModelCache.prototype.constructor = FlModelCache;
+
+    /**
+     * @ngdoc property
+     * @name FlModelCache.IdentityStrategies
+     * @description The built-in identity strategies; see the class documentation.
+     *  Applications can add their own strategies to this object, and then refer to them by name.
+     */
+
+    FlModelCache.IdentityStrategies = {
+	fingerprint: function(h) {
+	    if (!_.isString(h.fingerprint)) return undefined;
+
+	    let idx = h.fingerprint.indexOf('/');
+	    return ((idx < 0) || (idx == (h.fingerprint.length - 1))) ? undefined : h.fingerprint.substr(idx + 1);
+	},
+
+	id: function(h) {
+	    return (_.isNil(h.id)) ? undefined : h.id;
+	},
+
+	standard: function(h) {
+	    let id = FlModelCache.IdentityStrategies.fingerprint(h);
+	    return (_.isUndefined(id)) ? FlModelCache.IdentityStrategies.id(h) : id;
+	},
+
+	paperclip: function(h) {
+	    let url = (_.isObject(h.urls)) ? h.urls.original : h.original;
+	    return (_.isString(url)) ? url : undefined;
+	},
+
+	blob_key: function(h) {
+	    if (_.isString(h.blob_key)) return h.blob_key;
+	    return (_.isObject(h.blob) && _.isString(h.blob.key)) ? h.blob.key : undefined;
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#setIdentity
+     * @description
+     *  Set the identity strategy for a data type.
+     *
+     * @param {String} type The data class name; for example, `My::Datum`.
+     * @param {String|Function} strategy The strategy: a function, or the name of a strategy in
+     *  {@sref FlModelCache.IdentityStrategies}. A `null` value removes the type-specific strategy,
+     *  so that the default one is used.
+     *
+     * @throws Throws an exception if *strategy* is not a known strategy name.
+     */
+
+    FlModelCache.prototype.setIdentity = function(type, strategy) {
+	let t = _type(type);
+
+	if (_.isNil(strategy))
 	{
-	    return _.split(h.fingerprint, '/')[1];
+	    delete this._identity_by_type[t];
 	}
-	else if (h.hasOwnProperty('id'))
+	else
 	{
-	    return h.id;
+	    this._identity_by_type[t] = _strategy(strategy);
 	}
-	else if (h.type == 'Paperclip::Attachment')
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#identify
+     * @description
+     *  Get the cache identifier for an object.
+     *
+     * @param {Object} h A model instance, or a hash representation of one.
+     *
+     * @return {String} Returns the cache identifier, in the form `type/id`; if the object cannot be
+     *  identified, returns `undefined`.
+     */
+
+    FlModelCache.prototype.identify = function(h) {
+	if (!_.isObject(h)) return undefined;
+
+	let t = _type(h);
+	if (_.isNil(t)) return undefined;
+
+	let strategy = (_.has(this._identity_by_type, t)) ? this._identity_by_type[t] : this._identity;
+	let id = strategy(h);
+	return (_.isNil(id)) ? undefined : (t + '/' + id);
+    };
+
+    FlModelCache.prototype._make_entry = function(id, o) {
+	let entry = { expires_at: this._expires_at(o) };
+	if (this._backend == 'weak')
 	{
-	    if (h.hasOwnProperty('urls'))
-	    {
-		return h.urls.original;
-	    }
-	    else
-	    {
-		return h.original;
-	    }
+	    entry.ref = new WeakRef(o);
+	    this._finalizer.register(o, id);
 	}
 	else
 	{
-	    return undefined;
+	    entry.value = o;
 	}
+
+	return entry;
     };
 
-    function _cache_id(h) {
-	let id = _id(h);
-	return (id == undefined) ? undefined : (_type(h) + '/' + id);
+    FlModelCache.prototype._entry_value = function(entry) {
+	return (_.isNil(entry.ref)) ? entry.value : entry.ref.deref();
     };
 
-    function FlModelCache() {
-	this._model_cache = new jscache();
+    FlModelCache.prototype._expires_at = function(o) {
+	let t = _type(o);
+	let ttl = (_.has(this._ttl_by_type, t)) ? this._ttl_by_type[t] : this._ttl;
+	return (_.isNumber(ttl) && (ttl > 0)) ? (Date.now() + ttl) : null;
+    };
+
+    FlModelCache.prototype._store = function(op, id, entry) {
+	if (_.isNil(this._storage)) return;
+
+	let self = this;
+	let p = ((op == 'set') ? this._storage.set(id, entry) : this._storage.remove(id))
+	    .catch(function(e) {
+		console.log("(FlModelCache): storage " + op + " failed for '" + id + "': " + e);
+	    })
+	    .then(function() {
+		self._pending.delete(p);
+	    });
+
+	this._pending.add(p);
+    };
+
+    FlModelCache.prototype._is_expired = function(entry, now) {
+	return !_.isNil(entry.expires_at) && (now >= entry.expires_at);
     };
-    FlModelCache.prototype.constructor = FlModelCache;
     
     /**
      * @ngdoc method
      * @name FlModelCache#get
      * @description
      *  Gets a model instance from the cache, if one is present.
-     * @param {Object} h An object containing the model's description. The factory
-     *  typically expects two properties, *type* and *id*, as described below.
-     *  However, it can also handle Paperclip attachments, which don't have an *id*
-     *  property since they don't really live in the database (Paperclip attachments are
-     *  manufactured on the fly from specialized attributes in a Rails model): in that
-     *  case, the identifier is the URL of the original file representation.
+     *  A successful lookup marks the instance as the most recently used one.
+     *
+     * @param {Object} h An object containing the model's description. The cache
+     *  typically expects two properties, *type* and *fingerprint* (or *id*), as described below;
+     *  the identifier is extracted by the identity strategy for the type (see the class documentation).
      * 
      * @property {String} h.type A string containing the Rails name of the model class,
      *  for example *Fl::Core::User*.
+     * @property {String} h.fingerprint The object fingerprint, for example *Fl::Core::User/1234*.
      * @property h.id An integer or string value containing the object identifier in the
      *  database.
-     * @property {Object} h.urls If this is a Paperclip attachment, this is an object containing
-     *  the attachment's URLs; the identifier is the value of the *original* property.
      * 
-     * @return Returns an instance of a model service, if one is present in the cache.
+     * @return Returns an instance of a model service, if one is present in the cache and has not
+     *  expired; otherwise, returns `undefined`. If no identifier can be extracted from *h*, returns `null`.
      */
 
     FlModelCache.prototype.get = function(h) {
-	let id = _cache_id(h);
-	return (id == undefined) ? null : this._model_cache.get(id);
+	let id = this.identify(h);
+	if (id == undefined) return null;
+
+	let entry = this._model_cache.get(id);
+	if (_.isNil(entry))
+	{
+	    this._stats.misses += 1;
+	    return undefined;
+	}
+
+	this._model_cache.delete(id);
+	let o = this._entry_value(entry);
+	if (this._is_expired(entry, Date.now()))
+	{
+	    this._stats.expirations += 1;
+	    this._stats.misses += 1;
+	    this.emit('evicted', { id: id, model: o, reason: 'expired' });
+	    return undefined;
+	}
+
+	if (_.isUndefined(o))
+	{
+	    this._stats.collected += 1;
+	    this._stats.misses += 1;
+	    this.emit('evicted', { id: id, model: o, reason: 'collected' });
+	    return undefined;
+	}
+
+	this._model_cache.set(id, entry);
+	this._stats.hits += 1;
+	return o;
     };
 
     /**
@@ -382,99 +2290,478 @@ let FlModelCache = (function() {
      * @name FlModelCache# put
      * @description
      *  Puts a model instance in the cache.
+     *  The instance becomes the most recently used one, and its time-to-live is reset.
+     *  If the cache is full, the least recently used instance is evicted.
+     *  If the cache has a storage adapter, the instance's hash representation is also stored.
      * 
      * @param o The model instance to place in the cache.
+     * @param {Object} [opts] Options.
+     * @property {Boolean} opts.persist Set to `false` to skip the storage adapter.
      */
 
-    FlModelCache.prototype.put = function(o) {
-	let id = _cache_id(o);
-	if (id != undefined) this._model_cache.set(id, o);
+    FlModelCache.prototype.put = function(o, opts) {
+	let id = this.identify(o);
+	if (id == undefined) return;
+
+	this._model_cache.delete(id);
+	this._model_cache.set(id, this._make_entry(id, o));
+
+	if (!(_.isObject(opts) && (opts.persist === false)))
+	{
+	    let data = (_.isFunction(o.toJSON)) ? o.toJSON() : o;
+	    this._store('set', id, { data: data, stored_at: Date.now() });
+	}
+
+	if (!_.isNil(this._capacity))
+	{
+	    while (this._model_cache.size > this._capacity)
+	    {
+		let lru = this._model_cache.keys().next().value;
+		let lru_entry = this._model_cache.get(lru);
+
+		this._model_cache.delete(lru);
+		this._stats.evictions += 1;
+		this.emit('evicted', { id: lru, model: this._entry_value(lru_entry), reason: 'capacity' });
+	    }
+	}
     };
 
     /**
      * @ngdoc method
      * @name FlModelCache#remove
      * @description
-     *  Removes a model instance from the cache.
+     *  Removes a model instance from the cache, and from the storage if the cache has a storage
+     *  adapter.
      * 
      * @param o The model instance to remove from the cache.
      */
 
-    FlModelCache.prototype.remove = function(o) {
-	let id = _cache_id(o);
-	if (id != undefined) this._model_cache.del(id);
+    FlModelCache.prototype.remove = function(o) {
+	let id = this.identify(o);
+	if (id == undefined) return;
+
+	this._store('remove', id);
+	if (this._model_cache.has(id))
+	{
+	    let entry = this._model_cache.get(id);
+
+	    this._model_cache.delete(id);
+	    this.emit('removed', { id: id, model: this._entry_value(entry) });
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#clear
+     * @description
+     *  Clears the cache.
+     *  The storage is not modified; call `clear` on the storage adapter to remove the persisted data.
+     */
+
+    FlModelCache.prototype.clear = function() {
+	this._model_cache.clear();
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#prune
+     * @description
+     *  Removes all expired instances from the cache, and, for the weak backend, the entries for
+     *  instances that have been garbage collected.
+     *  Expired instances are otherwise dropped only when they are looked up.
+     *
+     * @return {Number} Returns the number of entries that were removed.
+     */
+
+    FlModelCache.prototype.prune = function() {
+	let self = this;
+	let now = Date.now();
+	let expired = [ ];
+	let collected = [ ];
+
+	this._model_cache.forEach(function(entry, id) {
+	    if (self._is_expired(entry, now))
+	    {
+		expired.push({ id: id, model: self._entry_value(entry), reason: 'expired' });
+	    }
+	    else if (_.isUndefined(self._entry_value(entry)))
+	    {
+		collected.push({ id: id, model: undefined, reason: 'collected' });
+	    }
+	});
+
+	this._stats.expirations += expired.length;
+	this._stats.collected += collected.length;
+	_.forEach(_.concat(expired, collected), function(evt) {
+	    self._model_cache.delete(evt.id);
+	    self.emit('evicted', evt);
+	});
+
+	return expired.length + collected.length;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#forEach
+     * @description
+     *  Iterate over the cached instances.
+     *  Expired and collected entries are skipped; the iteration does not modify the order of the
+     *  entries or the statistics.
+     *
+     * @param {Function} cb The function to call for each instance; it is passed the instance and the
+     *  cache identifier.
+     */
+
+    FlModelCache.prototype.forEach = function(cb) {
+	let self = this;
+	let now = Date.now();
+	let entries = [ ];
+
+	this._model_cache.forEach(function(entry, id) {
+	    if (self._is_expired(entry, now)) return;
+
+	    let o = self._entry_value(entry);
+	    if (!_.isNil(o)) entries.push([ o, id ]);
+	});
+
+	_.forEach(entries, function(e) {
+	    cb(e[0], e[1]);
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#size
+     * @description
+     *  Returns the number of cached records.
+     *  Expired instances that have not yet been dropped are included in the count;
+     *  call {@sref FlModelCache#prune} first for an exact count. Similarly, for the weak backend the
+     *  count includes instances that have been garbage collected, but whose entries have not yet
+     *  been dropped.
+     *
+     * @return Returns the number of objects in the cache.
+     */
+
+    FlModelCache.prototype.size = function() {
+	return this._model_cache.size;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#stats
+     * @description
+     *  Returns usage statistics for the cache.
+     *  The counters are accumulated since the cache was created, or since the last call to
+     *  {@sref FlModelCache#resetStats}.
+     *
+     * @return {Object} Returns an object containing the following properties:
+     *  - **hits** is the number of lookups that returned an instance.
+     *  - **misses** is the number of lookups that did not return an instance, including those that
+     *    found an expired one.
+     *  - **evictions** is the number of instances evicted because the cache was full.
+     *  - **expirations** is the number of instances dropped because their time-to-live had elapsed.
+     *  - **collected** is the number of entries dropped because their instance was garbage collected
+     *    (weak backend only).
+     *  - **size** is the current number of instances in the cache.
+     *  - **capacity** is the maximum number of instances, or `null` if the cache is unbounded.
+     *  - **backend** is the name of the storage backend.
+     */
+
+    FlModelCache.prototype.stats = function() {
+	return _.merge({ }, this._stats, { size: this.size(), capacity: this._capacity, backend: this._backend });
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#resetStats
+     * @description
+     *  Resets the usage counters returned by {@sref FlModelCache#stats}.
+     */
+
+    FlModelCache.prototype.resetStats = function() {
+	this._stats = _empty_stats();
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#storage
+     * @description
+     *  Returns the storage adapter.
+     *
+     * @return {FlModelStorageAdapter} Returns the storage adapter, or `null` if the cache does not
+     *  persist its contents.
+     */
+
+    FlModelCache.prototype.storage = function() {
+	return this._storage;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#flush
+     * @description
+     *  Wait for pending storage operations.
+     *
+     * @return {Promise} Returns a promise that resolves when all storage operations that were
+     *  started before the call have completed.
+     */
+
+    FlModelCache.prototype.flush = function() {
+	return Promise.all(Array.from(this._pending)).then(function() {
+	    return Promise.resolve();
+	});
+    };
+
+    FlExtensions.register(FlEventsExtension, FlModelCache);
+
+    return FlModelCache;
+})();
+
+/**
+ * @ngdoc service
+ * @name FlModelFactory
+ * @module fl.model_factory
+ * @description
+ * A service that manages a registry of names of model services.
+ *
+ *  For example, a module registers its known model services as follows:
+ *  <pre ng-non-bindable>
+ *    const { FlClassManager } = require('fl/framework/object_system');
+ *    const { FlModelBase, FlGlobalModelFactory } = require('fl/framework/model_factory');
+ *
+ *    let MyModelOne = FlClassManager.make_class({
+ *      name: 'MyModelOne',
+ *      superclass: 'FlModelBase',
+ *      ...
+ *    });
+ *
+ *    let MyModelTwo = FlClassManager.make_class({
+ *      name: 'MyModelTwo',
+ *      superclass: 'FlModelBase',
+ *      ...
+ *    });
+ *
+ *    FlGlobalModelFactory.register('my_module_name', [
+ *      { service: MyModelOne, class_name: 'My::Model::One' },
+ *      { service: MyModelTwo, class_name: 'My::Other::Model' }
+ *    ]);
+ *  </pre>
+ *
+ *  The factory includes {@sref FlEventsExtension}, and emits the following events:
+ *  - **created** when {@sref FlModelFactory#create} creates a new instance. The listener is passed
+ *    an object containing **model**, the new instance.
+ *  - **refreshed** when {@sref FlModelFactory#create} refreshes a cached instance. The listener is
+ *    passed an object containing **model**, the refreshed instance.
+ *  - **evicted** and **removed** are forwarded from the factory's cache; see {@sref FlModelCache}.
+ *
+ *  #### Child factories and scoping
+ *
+ *  A factory can be created as the child of another factory, either by passing the **parent** option
+ *  to the constructor, or by calling {@sref FlModelFactory#child}. A child factory has its own cache
+ *  and its own registrations, but it also resolves the services registered with its ancestors; this
+ *  makes it possible to isolate the instances used by different applications on the same page, by
+ *  server side rendering requests, or by tests, without having to register the model services again:
+ *  <pre ng-non-bindable>
+ *    let factory = FlGlobalModelFactory.child();
+ *    let d = factory.create({ type: 'My::Model::One', id: 10 });
+ *  </pre>
+ *
+ *  Model classes that convert nested objects call {@sref FlModelFactory#defaultFactory}, so the
+ *  default factory can be changed with {@sref FlModelFactory#setDefaultFactory}, or temporarily with
+ *  {@sref FlModelFactory#withFactory}. {@sref FlModelFactory#create} runs within the scope of the
+ *  factory it is called on, so that nested objects are created by the same factory as their container.
+ *
+ *  #### Polymorphic types
+ *
+ *  The server may return objects whose data class has no registered service, typically subclasses
+ *  created by single table inheritance. The factory resolves them to the service of the nearest
+ *  registered superclass, as declared by {@sref FlModelFactory#declareHierarchy} or by the
+ *  **subclasses** property of a registration, and then to a fallback service, if one is registered.
+ *  Representations that still can't be resolved are passed to the hook set by
+ *  {@sref FlModelFactory#setUnknownTypeHook}, if any:
+ *  <pre ng-non-bindable>
+ *    FlGlobalModelFactory.register('my_module_name', [
+ *      { service: MyModelOne, class_name: 'My::Model::One', subclasses: [ 'My::Special::Model::One' ] },
+ *      { service: MyGenericModel, fallback: true }
+ *    ]);
+ *  </pre>
+ *
+ *  #### Normalized payloads
+ *
+ *  Responses that contain many objects sharing the same associated objects (for example, a list of
+ *  comments by a few authors) can be returned in normalized form: the shared objects are listed once,
+ *  in a reference table keyed by fingerprint, and the data refers to them with `{ _ref: fingerprint }`
+ *  objects. {@sref FlModelFactory#hydrate} builds each distinct object once and wires the references;
+ *  {@sref FlAPIService} does this automatically when a response payload contains a reference table.
+ */
+
+let FlModelFactory = (function() {
+    function _type(h) {
+	let s = (_.isString(h)) ? h : ((_.isString(h.virtual_type)) ? h.virtual_type : h.type);
+	return (_.isNil(s)) ? null : s.replace(/::/g, '');
+    };
+
+    // A representation that has both a virtual type and a type is looked up under both, in that order.
+
+    function _candidate_types(h) {
+	if (_.isString(h)) return [ _type(h) ];
+
+	return _.uniq(_.compact(_.map([ h.virtual_type, h.type ], function(t) {
+	    return (_.isString(t)) ? _type(t) : null;
+	})));
+    };
+
+    // Split a fingerprint into the properties that the cache uses for lookups.
+
+    function _parse_fingerprint(fingerprint) {
+	let idx = (_.isString(fingerprint)) ? fingerprint.indexOf('/') : -1;
+	if ((idx < 1) || (idx == (fingerprint.length - 1))) return null;
+
+	return { type: fingerprint.substr(0, idx), id: fingerprint.substr(idx + 1), fingerprint: fingerprint };
+    };
+
+    // References in normalized payloads are objects whose only property is **_ref**.
+
+    function _is_ref(v) {
+	return _.isPlainObject(v) && _.isString(v._ref) && (_.size(v) == 1);
+    };
+
+    function _has_ref(v) {
+	if (_is_ref(v)) return true;
+	if (_.isArray(v) || _.isPlainObject(v)) return _.some(v, _has_ref);
+	return false;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {Object} [opts] Configuration options.
+     * @property {FlModelCache|Object} opts.cache The model cache to use: either an instance of
+     *  {@sref FlModelCache}, or an object containing the options to pass to the {@sref FlModelCache}
+     *  constructor; for example, pass `{ cache: { backend: 'weak' } }` for a cache that holds
+     *  weak references to instances, or `{ cache: { storage: new FlLocalStorageAdapter() } }` for a
+     *  cache that persists its contents. If not present, the factory uses an unbounded cache.
+     * @property {String|Function} opts.identity The default identity strategy for a cache created
+     *  by the factory; see {@sref FlModelCache}.
+     * @property {FlModelFactory} opts.parent The parent factory. If present, the factory resolves
+     *  services registered with the parent, and a cache created by the factory uses the identity
+     *  strategies that the parent's cache has at the time the factory is created.
+     * @property {Object} opts.dates The date options for the instances created by the factory;
+     *  see {@sref FlModelFactory#setDateOptions}.
+     * @property {Function} opts.unknown_type A hook that is called when no service is registered
+     *  for a representation; see {@sref FlModelFactory#setUnknownTypeHook}.
+     */
+
+    function FlModelFactory(opts) {
+	let self = this;
+	let o = (_.isObject(opts)) ? opts : { };
+
+	this._parent = (o.parent instanceof FlModelFactory) ? o.parent : null;
+	this._model_cache = (o.cache instanceof FlModelCache)
+	    ? o.cache
+	    : new FlModelCache(_.assign(this._inherited_identity(),
+					_.omitBy({ identity: o.identity }, _.isNil), o.cache));
+	this._model_services = { };
+	this._rehydrating = false;
+	this._fetches = new Map();
+	this._date_options = _.pick(o.dates, [ 'luxon', 'zone' ]);
+	this._hierarchy = { };
+	this._fallback = null;
+	this._unknown_type = (_.isFunction(o.unknown_type)) ? o.unknown_type : null;
+
+	this._model_cache.on('evicted', function(evt) {
+	    self.emit('evicted', evt);
+	});
+	this._model_cache.on('removed', function(evt) {
+	    self.emit('removed', evt);
+	});
+    }
+    FlModelFactory.prototype.constructor = FlModelFactory;
+
+    FlModelFactory.prototype._inherited_identity = function() {
+	if (_.isNil(this._parent)) return { };
+
+	let pc = this._parent.cache();
+	return { identity: pc._identity, identity_by_type: _.clone(pc._identity_by_type) };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#parent
+     * @description Gets the parent factory.
+     * 
+     * @return {FlModelFactory} Returns the parent factory, or `null` if this is a root factory.
+     */
+
+    FlModelFactory.prototype.parent = function() {
+	return this._parent;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#child
+     * @description Create a child factory; see the class documentation.
+     * 
+     * @param {Object} [opts] Configuration options for the child; see the constructor.
+     *  The **parent** option is set to this factory.
+     *
+     * @return {FlModelFactory} Returns the new factory.
+     */
+
+    FlModelFactory.prototype.child = function(opts) {
+	return new FlModelFactory(_.assign({ }, opts, { parent: this }));
     };
 
     /**
      * @ngdoc method
-     * @name FlModelCache#clear
-     * @description
-     *  Clears the cache.
+     * @name FlModelFactory#dateOptions
+     * @description Gets the date options.
+     * 
+     * @return {Object} Returns an object containing the date options set in this factory, merged
+     *  over those of its ancestors. The options are **luxon** and **zone**; see {@sref FlModelBase}.
      */
 
-    FlModelCache.prototype.clear = function() {
-	this._model_cache.clear();
+    FlModelFactory.prototype.dateOptions = function() {
+	let popts = (_.isNil(this._parent)) ? { } : this._parent.dateOptions();
+	return _.assign(popts, this._date_options);
     };
 
     /**
      * @ngdoc method
-     * @name FlModelCache#size
-     * @description
-     *  Returns the number of cached records.
+     * @name FlModelFactory#setDateOptions
+     * @description Sets the date options.
+     *  The options are used when converting date attributes of instances created (or refreshed)
+     *  while the factory is the default factory, unless the model class or the attribute descriptor
+     *  overrides them. Typically, **zone** is set to the actor's time zone when the application starts.
+     * 
+     * @param {Object} opts The date options; the values are merged into the current ones, and a
+     *  `null` value removes an option, so that it is inherited from the parent factory again.
+     * @property {Boolean} opts.luxon If `true`, date attributes are converted to Luxon `DateTime`
+     *  objects; otherwise, they are converted to `Date` objects.
+     * @property {String} opts.zone The IANA name of the time zone for `DateTime` values.
      *
-     * @return Returns the number of objects in the cache.
+     * @return {Object} Returns the new date options.
      */
 
-    FlModelCache.prototype.size = function() {
-	return this._model_cache.size();
-    };
-
-    return FlModelCache;
-})();
+    FlModelFactory.prototype.setDateOptions = function(opts) {
+	let self = this;
 
-/**
- * @ngdoc service
- * @name FlModelFactory
- * @module fl.model_factory
- * @description
- * A service that manages a registry of names of model services.
- *
- *  For example, a module registers its known model services as follows:
- *  <pre ng-non-bindable>
- *    const { FlClassManager } = require('fl/framework/object_system');
- *    const { FlModelBase, FlGlobalModelFactory } = require('fl/framework/model_factory');
- *
- *    let MyModelOne = FlClassManager.make_class({
- *      name: 'MyModelOne',
- *      superclass: 'FlModelBase',
- *      ...
- *    });
- *
- *    let MyModelTwo = FlClassManager.make_class({
- *      name: 'MyModelTwo',
- *      superclass: 'FlModelBase',
- *      ...
- *    });
- *
- *    FlGlobalModelFactory.register('my_module_name', [
- *      { service: MyModelOne, class_name: 'My::Model::One' },
- *      { service: MyModelTwo, class_name: 'My::Other::Model' }
- *    ]);
- *  </pre>
- */
+	_.forEach(_.pick(opts, [ 'luxon', 'zone' ]), function(ov, ok) {
+	    if (_.isNil(ov))
+	    {
+		delete self._date_options[ok];
+	    }
+	    else
+	    {
+		self._date_options[ok] = ov;
+	    }
+	});
 
-let FlModelFactory = (function() {
-    function _type(h) {
-	let s = (_.isString(h)) ? h : ((_.isString(h.virtual_type)) ? h.virtual_type : h.type);
-	return (_.isNil(s)) ? null : s.replace(/::/g, '');
+	return this.dateOptions();
     };
 
-    function FlModelFactory() {
-	this._model_cache = new FlModelCache();
-	this._model_services = { };
-    }
-    FlModelFactory.prototype.constructor = FlModelFactory;
-
     /**
      * @ngdoc method
      * @name FlModelFactory#register
@@ -485,12 +2772,31 @@ let FlModelFactory = (function() {
      *  Each element is an object that contains two properties: **service** is the class object for
      *  the model service, and **class_name** is the name of the (Rails) class associated with this model.
      *  The value of **class_name** is used as the lookup key in the model service registry.
+     *  An element may also contain the following optional properties:
+     *  - **identity** is the identity strategy for the data class; see {@sref FlModelCache#setIdentity}.
+     *  - **subclasses** is an array of names of (Rails) subclasses of **class_name**; the service is
+     *    used for them unless they have their own registration. See {@sref FlModelFactory#declareHierarchy}.
+     *  - **fallback**, if `true`, registers the service as the fallback, which is used for data
+     *    classes that don't resolve to any other service; see {@sref FlModelFactory#service_for}.
+     *    A fallback registration does not need a **class_name**.
      */
 
     FlModelFactory.prototype.register = function(module, services) {
 	let self = this;
 	
 	_.forEach(services, function(srv, idx) {
+	    if (srv.fallback === true)
+	    {
+		if (_.isNil(srv.service))
+		{
+		    console.log("(FlModelFactory): missing fallback service object in '" + module + "'");
+		    return;
+		}
+
+		self._fallback = _.merge({ module: module }, srv);
+		if (_.isNil(srv.class_name)) return;
+	    }
+
 	    if (_.isNil(srv.class_name))
 	    {
 		console.log("(FlModelFactory): missing service class name in '" + module + "'");
@@ -515,6 +2821,10 @@ let FlModelFactory = (function() {
 		    }
 			
 		    self._model_services[name] = _.merge({ module: module }, srv);
+		    if (!_.isNil(srv.identity)) self._model_cache.setIdentity(srv.class_name, srv.identity);
+		    _.forEach(srv.subclasses, function(sc) {
+			self._hierarchy[_type(sc)] = name;
+		    });
 		}
 	    }
 	});
@@ -524,7 +2834,8 @@ let FlModelFactory = (function() {
      * @ngdoc method
      * @name FlModelFactory#unregister
      * @description Unregister the model factory services provided by a module.
-     *  This method is provided mostly to support testing.
+     *  This method is provided mostly to support testing; services registered with a parent factory
+     *  are not affected.
      * 
      * @param {String} module The module's name.
      */
@@ -533,6 +2844,103 @@ let FlModelFactory = (function() {
 	let name = _type(module);
 
 	if (!_.isNil(this._model_services[name])) delete this._model_services[name];
+	if (!_.isNil(this._fallback) && (this._fallback.module == module)) this._fallback = null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#declareHierarchy
+     * @description Declare the superclasses of data classes.
+     *  The server may return objects whose class is a subclass (for example, through single table
+     *  inheritance) that has no model service of its own; the hierarchy lets
+     *  {@sref FlModelFactory#service_for} find the service for the nearest registered superclass.
+     *  For example, with this declaration, `My::Special::Datum` objects are created by the service
+     *  registered for `My::Datum`, unless `My::Special::Datum` has its own registration:
+     *  <pre ng-non-bindable>
+     *    FlGlobalModelFactory.declareHierarchy({
+     *      'My::Special::Datum': 'My::Datum',
+     *      'My::Very::Special::Datum': 'My::Special::Datum'
+     *    });
+     *  </pre>
+     *  Child factories inherit the hierarchy of their ancestors, and can extend or override it.
+     * 
+     * @param {Object} hierarchy An object whose keys are data class names, and whose values are the
+     *  names of their superclasses; a `null` value removes a declaration.
+     */
+
+    FlModelFactory.prototype.declareHierarchy = function(hierarchy) {
+	let self = this;
+
+	_.forEach(hierarchy, function(sv, sk) {
+	    if (_.isNil(sv))
+	    {
+		delete self._hierarchy[_type(sk)];
+	    }
+	    else
+	    {
+		self._hierarchy[_type(sk)] = _type(sv);
+	    }
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#superclassOf
+     * @description Get the declared superclass of a data class.
+     * 
+     * @param {String} cname The data class name.
+     *
+     * @return {String} Returns the name of the superclass, with the colons stripped, as declared in
+     *  this factory or in its nearest ancestor; if no superclass is declared, returns `null`.
+     */
+
+    FlModelFactory.prototype.superclassOf = function(cname) {
+	let name = _type(cname);
+	if (_.has(this._hierarchy, name)) return this._hierarchy[name];
+
+	return (_.isNil(this._parent)) ? null : this._parent.superclassOf(name);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#setUnknownTypeHook
+     * @description Set the hook for unknown data classes.
+     *  When {@sref FlModelFactory#create} can't find a service for a representation, it calls the hook
+     *  with two arguments: the representation, and the value of *null_on_failure*; `this` is
+     *  the factory. If the hook returns a value other than `undefined`, that value is returned by
+     *  **create**; otherwise, **create** returns `null` or the representation, as usual. Hooks can
+     *  map the representation to a registered type and call {@sref FlModelFactory#create}, log the
+     *  problem, or throw an exception to make it fatal.
+     *  Child factories use the hook of their nearest ancestor if they don't have their own.
+     * 
+     * @param {Function} hook The hook; pass `null` to remove it.
+     *
+     * @return {Function} Returns the previous hook.
+     */
+
+    FlModelFactory.prototype.setUnknownTypeHook = function(hook) {
+	let prev = this._unknown_type;
+
+	this._unknown_type = (_.isFunction(hook)) ? hook : null;
+	return prev;
+    };
+
+    FlModelFactory.prototype._unknown_type_hook = function() {
+	if (!_.isNil(this._unknown_type)) return this._unknown_type;
+
+	return (_.isNil(this._parent)) ? null : this._parent._unknown_type_hook();
+    };
+
+    FlModelFactory.prototype._registered_service = function(name) {
+	if (_.isObject(this._model_services[name])) return this._model_services[name].service;
+
+	return (_.isNil(this._parent)) ? null : this._parent._registered_service(name);
+    };
+
+    FlModelFactory.prototype._fallback_service = function() {
+	if (!_.isNil(this._fallback)) return this._fallback.service;
+
+	return (_.isNil(this._parent)) ? null : this._parent._fallback_service();
     };
     
     /**
@@ -547,14 +2955,39 @@ let FlModelFactory = (function() {
      *  The virtual type is defined by some classes that want to use a generic type name instead of the
      *  specific one; for example, a class that is stored via ActiveRecord and one stored in Neo4j may both
      *  map to a generic one at the API level.
+     *  If no service is registered under the virtual type, the method also tries **type**.
+     *
+     *  The lookup is inheritance-aware: if a data class has no registered service, the method walks
+     *  up the hierarchy declared with {@sref FlModelFactory#declareHierarchy} and uses the service
+     *  of the nearest registered superclass. If that fails as well, the fallback service is used,
+     *  if one was registered (see {@sref FlModelFactory#register}).
      *
-     * @return {Object} Returns the service object that was registered under _cname_; if no service
-     *  object is registered under that name, returns `null`.
+     * @return {Object} Returns the service object that was registered under _cname_ (or one of its
+     *  superclasses), either with this factory or with one of its ancestors; otherwise, returns the
+     *  fallback service, or `null` if there is none.
      */
 
     FlModelFactory.prototype.service_for = function(cname) {
-	let cn = _type(cname);
-	return (_.isObject(this._model_services[cn])) ? this._model_services[cn].service : null;
+	let self = this;
+	let srv = null;
+	let candidates = _candidate_types(cname);
+	if (candidates.length < 1) return null;
+
+	_.find(candidates, function(name) {
+	    // the visited list protects against cycles in the declared hierarchy
+
+	    let visited = [ ];
+	    for (let n = name; !_.isNil(n) && !_.includes(visited, n); n = self.superclassOf(n))
+	    {
+		srv = self._registered_service(n);
+		if (!_.isNil(srv)) return true;
+		visited.push(n);
+	    }
+
+	    return false;
+	});
+
+	return (_.isNil(srv)) ? this._fallback_service() : srv;
     };
     
     /**
@@ -562,7 +2995,8 @@ let FlModelFactory = (function() {
      * @name FlModelFactory#services
      * @description Gets the registered services.
      * 
-     * @return {Object} Returns an object listing all registered model services; the properties
+     * @return {Object} Returns an object listing all registered model services, including those
+     *  registered with the ancestors; the properties
      *  are data class names, and the values are objects containing the service description:
      *  - **name** is the data class name.
      *  - **service** is the service object.
@@ -570,7 +3004,9 @@ let FlModelFactory = (function() {
      */
 
     FlModelFactory.prototype.services = function() {
-	return this._model_services;
+	if (_.isNil(this._parent)) return this._model_services;
+
+	return _.assign({ }, this._parent.services(), this._model_services);
     };
     
     /**
@@ -587,10 +3023,20 @@ let FlModelFactory = (function() {
     };
 
     FlModelFactory.prototype._create_internal = function(h, null_on_failure) {
+	// elements of a denormalized payload may already be instances
+
+	if (_is_model_instance(h)) return h;
+
 	let o = this._model_cache.get(h);
 	if (o)
 	{
-	    o.refresh(h);
+	    // putting the instance back restarts its time-to-live
+
+	    if (o._server_refresh(h))
+	    {
+		this._model_cache.put(o, { persist: !this._rehydrating });
+		this.emit('refreshed', { model: o });
+	    }
 	}
 	else
 	{
@@ -598,11 +3044,18 @@ let FlModelFactory = (function() {
 	    if (srv)
 	    {
 		o = new srv(h);
-		this._model_cache.put(o);
+		Object.defineProperty(o, '__factory', {
+		    value: this, writable: true, configurable: true, enumerable: false
+		});
+		this._model_cache.put(o, { persist: !this._rehydrating });
+		this.emit('created', { model: o });
 	    }
 	    else
 	    {
-		o = (null_on_failure) ? null : h;
+		let hook = this._unknown_type_hook();
+		let rv = (_.isNil(hook)) ? undefined : hook.call(this, h, null_on_failure);
+
+		o = (!_.isUndefined(rv)) ? rv : ((null_on_failure) ? null : h);
 	    }
 	}
 
@@ -629,19 +3082,22 @@ let FlModelFactory = (function() {
      */
 
     FlModelFactory.prototype.create = function(obj_or_array, null_on_failure) {
+	let self = this;
+
 	if (obj_or_array)
 	{
-	    if (_.isArray(obj_or_array))
-	    {
-		let self = this;
-		return _.map(obj_or_array, function(v, idx) {
-		    return self._create_internal(v, null_on_failure);
-		});
-	    }
-	    else
-	    {
-		return this._create_internal(obj_or_array, null_on_failure);
-	    }
+	    return FlModelFactory.withFactory(this, function() {
+		if (_.isArray(obj_or_array))
+		{
+		    return _.map(obj_or_array, function(v, idx) {
+			return self._create_internal(v, null_on_failure);
+		    });
+		}
+		else
+		{
+		    return self._create_internal(obj_or_array, null_on_failure);
+		}
+	    });
 	}
 	else
 	{
@@ -649,6 +3105,263 @@ let FlModelFactory = (function() {
 	}
     };
 
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#fetch
+     * @description Get the instance with a given fingerprint, loading it from the server if it is
+     *  not in the cache.
+     *  A missing instance is loaded by calling {@sref FlAPIService#show} on the API service registered
+     *  for the data class in the fingerprint; concurrent calls for the same fingerprint share a single
+     *  request. Note that the loaded instance is created by the model factory of the API service,
+     *  which is typically the default factory.
+     * 
+     * @param {String} fingerprint The fingerprint; for example, `My::Datum/1234`.
+     * @param {Object} [opts] Options for the call.
+     * @property {FlAPIService} opts.service The API service to use. If not present, the service is
+     *  created from the registry.
+     * @property {FlAPIServiceRegistry} opts.registry The API service registry to use; the default is
+     *  {@sref FlGlobalAPIServiceRegistry}.
+     * @property {Array} opts.service_args Arguments to pass to the API service constructor.
+     *
+     * @return {Promise} Returns a promise that resolves to the instance. The promise rejects with an
+     *  `Error` if *fingerprint* is malformed or no API service is available, and with the error from
+     *  the API service if the request fails.
+     */
+
+    FlModelFactory.prototype.fetch = function(fingerprint, opts) {
+	let self = this;
+	let fp = _parse_fingerprint(fingerprint);
+	if (_.isNil(fp)) return Promise.reject(new Error('malformed fingerprint: ' + fingerprint));
+
+	let m = this._model_cache.get(fp);
+	if (!_.isNil(m)) return Promise.resolve(m);
+
+	if (this._fetches.has(fingerprint)) return this._fetches.get(fingerprint);
+
+	let srv = _api_service(fp.type, opts);
+	if (_.isNil(srv)) return Promise.reject(new Error('no API service for data class ' + fp.type));
+
+	let p = srv.show(fp.id).then(function(m) {
+	    self._fetches.delete(fingerprint);
+	    return Promise.resolve(m);
+	}, function(e) {
+	    self._fetches.delete(fingerprint);
+	    return Promise.reject(e);
+	});
+
+	this._fetches.set(fingerprint, p);
+	return p;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#denormalize
+     * @description Resolve the references in a normalized payload.
+     *  A normalized payload lists each object that is shared by the elements of a response once, in
+     *  a reference table, and the elements refer to them by fingerprint. This is the format:
+     *  <pre ng-non-bindable>
+     *    {
+     *      data: [
+     *        { type: 'My::Comment', id: 1, ..., author: { _ref: 'My::User/10' } },
+     *        { type: 'My::Comment', id: 2, ..., author: { _ref: 'My::User/10' } }
+     *      ],
+     *      _refs: {
+     *        'My::User/10': { type: 'My::User', id: 10, fingerprint: 'My::User/10', ... }
+     *      }
+     *    }
+     *  </pre>
+     *  The reference table is the **_refs** or **included** property; it is either an object whose keys
+     *  are fingerprints, or an array of hash representations. Objects in the table can also contain
+     *  references, including circular ones.
+     *
+     *  Each object in the table is created (or, if cached, refreshed) once by
+     *  {@sref FlModelFactory#create}; the references are then replaced by the model instances.
+     *  References to objects that are not in the table are resolved from the cache; if the object is
+     *  not cached, the reference is replaced by its fingerprint, which attributes declared as
+     *  **belongs_to** or **reference** resolve lazily (see {@sref FlModelBase}).
+     * 
+     * @param {Object} payload The normalized payload.
+     *
+     * @return {Object|Array} Returns the value of the **data** property in *payload*, where references
+     *  have been replaced by model instances; the hash representations in **data** are not converted.
+     */
+
+    FlModelFactory.prototype.denormalize = function(payload) {
+	let self = this;
+	if (!_.isObject(payload)) return payload;
+
+	let table = (_.isObject(payload._refs)) ? payload._refs : payload.included;
+	let refs = { };
+
+	_.forEach(table, function(h, k) {
+	    let fp = (_.isString(h.fingerprint)) ? h.fingerprint : (_.isString(k) ? k : self._model_cache.identify(h));
+	    if (_.isString(fp)) refs[fp] = { data: h, model: null };
+	});
+
+	let _resolve = function(v) {
+	    if (_is_ref(v))
+	    {
+		let r = refs[v._ref];
+		if (!_.isNil(r) && !_.isNil(r.model)) return r.model;
+
+		let fp = _parse_fingerprint(v._ref);
+		let m = (_.isNil(fp)) ? null : self._model_cache.get(fp);
+		return (_.isNil(m)) ? v._ref : m;
+	    }
+	    else if (_.isArray(v))
+	    {
+		return _.map(v, _resolve);
+	    }
+	    else if (_.isPlainObject(v))
+	    {
+		return _.mapValues(v, _resolve);
+	    }
+
+	    return v;
+	};
+
+	return FlModelFactory.withFactory(this, function() {
+	    // the objects are first built without the properties that contain references, so that all
+	    // targets exist when the references are resolved
+
+	    _.forEach(refs, function(r) {
+		r.model = self._create_internal(_.omitBy(r.data, _has_ref), false);
+	    });
+
+	    _.forEach(refs, function(r) {
+		let linked = _.mapValues(_.pickBy(r.data, _has_ref), _resolve);
+		if (_.isEmpty(linked)) return;
+
+		if (_is_model_instance(r.model))
+		{
+		    r.model._server_refresh(linked);
+		}
+		else
+		{
+		    _.assign(r.model, linked);
+		}
+	    });
+
+	    return _resolve(payload.data);
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#hydrate
+     * @description Create model instances from a normalized payload.
+     *  The references in the payload are resolved by {@sref FlModelFactory#denormalize}, and the
+     *  elements of **data** are then converted by {@sref FlModelFactory#create}; elements that are
+     *  themselves references are returned as the referenced instances.
+     *  Compared to calling **create** on a denormalized response, where shared objects are repeated
+     *  inside each element, each distinct object is transferred, created, and refreshed only once.
+     * 
+     * @param {Object} payload The normalized payload.
+     * @param {Boolean} [null_on_failure] Passed to {@sref FlModelFactory#create}.
+     *
+     * @return {Object|Array} Returns the model instance, or array of model instances, for **data**.
+     */
+
+    FlModelFactory.prototype.hydrate = function(payload, null_on_failure) {
+	return this.create(this.denormalize(payload), null_on_failure);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#fromSnapshot
+     * @description Get live model instances from snapshots generated by {@sref FlModelBase#snapshot}.
+     *  The snapshot is copied (since it is frozen), its references are resolved as by
+     *  {@sref FlModelFactory#denormalize}, and the result is passed to {@sref FlModelFactory#create}.
+     *  Therefore, if the instance is cached it is refreshed from the snapshot (and, like any other
+     *  refresh, a snapshot that is older than the instance's **updated_at** is ignored); otherwise, a
+     *  new instance is created.
+     *  Nested snapshots are converted according to the attribute descriptors, and references to
+     *  instances that are not cached are left as fingerprints.
+     * 
+     * @param {Object|Array} snapshot The snapshot, or an array of snapshots.
+     * @param {Boolean} [null_on_failure] Passed to {@sref FlModelFactory#create}.
+     *
+     * @return {Object|Array} Returns the model instance, or array of model instances.
+     */
+
+    FlModelFactory.prototype.fromSnapshot = function(snapshot, null_on_failure) {
+	return this.hydrate({ data: _.cloneDeep(snapshot) }, null_on_failure);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#rehydrate
+     * @description Create model instances from the data persisted by the cache's storage adapter
+     *  (see {@sref FlModelCache}).
+     *  The instances are created by {@sref FlModelFactory#create}, and therefore are placed in the cache;
+     *  instances that are already cached are refreshed if the stored data are newer.
+     *  Since rehydration does not rewrite the storage entries, their age still reflects the time when
+     *  the data were last received.
+     *  Note that nested model instances are stored as fingerprints.
+     *
+     * @param {Object} [opts] Options.
+     * @property {String|Array} opts.type A data class name, or an array of names; only entries for
+     *  these types are rehydrated. If not present, all entries are rehydrated.
+     * @property {Number} opts.max_age The maximum age of the entries to rehydrate, in milliseconds;
+     *  older entries are removed from the storage. If not present, all entries are used.
+     *
+     * @return {Promise} Returns a promise that resolves to an array containing the rehydrated instances.
+     *  If the cache has no storage adapter, the array is empty.
+     */
+
+    FlModelFactory.prototype.rehydrate = function(opts) {
+	let self = this;
+	let o = (_.isObject(opts)) ? opts : { };
+	let storage = this._model_cache.storage();
+	if (_.isNil(storage)) return Promise.resolve([ ]);
+
+	let prefixes = _.map(_.castArray(_.isNil(o.type) ? [ ] : o.type), function(t) {
+	    return _type(t) + '/';
+	});
+
+	return storage.keys()
+	    .then(function(keys) {
+		let selected = _.filter(keys, function(k) {
+		    return (prefixes.length < 1) || _.some(prefixes, function(p) { return _.startsWith(k, p); });
+		});
+
+		return Promise.all(_.map(selected, function(k) {
+		    return storage.get(k).then(function(entry) {
+			return Promise.resolve({ key: k, entry: entry });
+		    });
+		}));
+	    })
+	    .then(function(entries) {
+		let now = Date.now();
+		let models = [ ];
+
+		self._rehydrating = true;
+		try
+		{
+		    _.forEach(entries, function(e) {
+			if (_.isNil(e.entry) || !_.isObject(e.entry.data)) return;
+
+			if (_.isNumber(o.max_age) && ((now - e.entry.stored_at) > o.max_age))
+			{
+			    self._model_cache._store('remove', e.key);
+			    return;
+			}
+
+			let m = self.create(e.entry.data, true);
+			if (!_.isNil(m)) models.push(m);
+		    });
+		}
+		finally
+		{
+		    self._rehydrating = false;
+		}
+
+		return Promise.resolve(models);
+	    });
+    };
+
+    FlExtensions.register(FlEventsExtension, FlModelFactory);
+
     return FlModelFactory;
 })();
 
@@ -667,7 +3380,7 @@ let _default_factory = FlGlobalModelFactory;
 
 /**
  * @ngdoc method
- * @name FlModelFactory#create
+ * @name FlModelFactory#defaultFactory
  * @classmethod
  * @description Return the default model factory instance.
  *  The initial value is {@sref FlGlobalModelFactory}.
@@ -679,4 +3392,57 @@ FlModelFactory.defaultFactory = function() {
     return _default_factory;
 };
 
+/**
+ * @ngdoc method
+ * @name FlModelFactory#setDefaultFactory
+ * @classmethod
+ * @description Set the default model factory instance.
+ * 
+ * @param {FlModelFactory} factory The new default factory; if `null`, {@sref FlGlobalModelFactory}
+ *  is restored as the default.
+ *
+ * @return Returns the previous default factory.
+ *
+ * @throws Throws an exception if *factory* is not an instance of {@sref FlModelFactory}.
+ */
+
+FlModelFactory.setDefaultFactory = function(factory) {
+    if (!_.isNil(factory) && !(factory instanceof FlModelFactory))
+    {
+	throw new Error('the default model factory must be an instance of FlModelFactory');
+    }
+
+    let prev = _default_factory;
+    _default_factory = (_.isNil(factory)) ? FlGlobalModelFactory : factory;
+    return prev;
+};
+
+/**
+ * @ngdoc method
+ * @name FlModelFactory#withFactory
+ * @classmethod
+ * @description Call a function with a different default model factory; the previous default
+ *  factory is restored when the function returns, or if it throws.
+ *  Note that the scope is synchronous: if the function returns a promise, code that runs when the
+ *  promise settles sees the default factory that is active at that time.
+ * 
+ * @param {FlModelFactory} factory The default factory to use while *fn* runs.
+ * @param {Function} fn The function to call.
+ *
+ * @return Returns the value returned by *fn*.
+ */
+
+FlModelFactory.withFactory = function(factory, fn) {
+    let prev = FlModelFactory.setDefaultFactory(factory);
+
+    try
+    {
+	return fn();
+    }
+    finally
+    {
+	_default_factory = prev;
+    }
+};
+
 module.exports = { FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory };
@@ -0,0 +1,373 @@
+/**
+ * @ngdoc module
+ * @name fl.model_storage
+ * @module fl
+ * @requires fl.object_system
+ * @description
+ * Persistent storage for the model cache.
+ * This module defines the storage adapter interface used by {@sref FlModelCache} to persist the
+ * hash representations of model instances across page loads, and implements adapters for the
+ * browser's `localStorage` and IndexedDB, as well as an in-memory adapter. A file-based adapter for
+ * Node is available in the **fl.model_storage_file** module.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+
+/**
+ * @ngdoc type
+ * @name FlModelStorageAdapter
+ * @module fl.model_storage
+ * @description
+ *  The base class for storage adapters.
+ *  A storage adapter is a key/value store with an asynchronous interface: all methods return promises.
+ *  Keys are cache identifiers in the form `type/id` (for example, `MyDatum/1234`), and values are
+ *  objects containing two properties:
+ *  - **data** is the hash representation of the model instance, as returned by
+ *    {@sref FlModelBase#toJSON}.
+ *  - **stored_at** is the time when the entry was stored, in milliseconds since the epoch.
+ *
+ *  Subclasses must implement all methods; the base implementations return rejected promises.
+ */
+
+let FlModelStorageAdapter = FlClassManager.make_class({
+    name: 'FlModelStorageAdapter',
+    /**
+     * @ngdoc method
+     * @name FlModelStorageAdapter#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {Object} [opts] Configuration options; see the subclasses for details.
+     */
+    initializer: function(opts) {
+	this.__super_init('FlRoot');
+	this._opts = _.merge({ }, (_.isObject(opts)) ? opts : { });
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlModelStorageAdapter#get
+	 * @description Get an entry.
+	 *
+	 * @param {String} key The entry key.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the entry, or to `null` if no entry
+	 *  is stored under *key*.
+	 */
+
+	get: function(key) {
+	    return this._not_implemented('get');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelStorageAdapter#set
+	 * @description Store an entry.
+	 *
+	 * @param {String} key The entry key.
+	 * @param {Object} entry The entry; see the class documentation.
+	 *
+	 * @return {Promise} Returns a promise that resolves when the entry has been stored.
+	 */
+
+	set: function(key, entry) {
+	    return this._not_implemented('set');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelStorageAdapter#remove
+	 * @description Remove an entry.
+	 *
+	 * @param {String} key The entry key.
+	 *
+	 * @return {Promise} Returns a promise that resolves when the entry has been removed.
+	 */
+
+	remove: function(key) {
+	    return this._not_implemented('remove');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelStorageAdapter#keys
+	 * @description List the stored keys.
+	 *
+	 * @return {Promise} Returns a promise that resolves to an array containing the keys.
+	 */
+
+	keys: function() {
+	    return this._not_implemented('keys');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelStorageAdapter#clear
+	 * @description Remove all entries.
+	 *
+	 * @return {Promise} Returns a promise that resolves when the entries have been removed.
+	 */
+
+	clear: function() {
+	    return this._not_implemented('clear');
+	},
+
+	_not_implemented: function(name) {
+	    return Promise.reject(new Error('(' + this.__class.__name + '): ' + name + ' is not implemented'));
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlMemoryStorageAdapter
+ * @extends FlModelStorageAdapter
+ * @module fl.model_storage
+ * @description
+ *  A storage adapter that keeps entries in memory; entries are serialized to JSON, so that the
+ *  adapter behaves like the persistent ones. This adapter is mostly useful for testing.
+ */
+
+let FlMemoryStorageAdapter = FlClassManager.make_class({
+    name: 'FlMemoryStorageAdapter',
+    superclass: 'FlModelStorageAdapter',
+    initializer: function(opts) {
+	this.__super_init('FlModelStorageAdapter', opts);
+	this._entries = new Map();
+    },
+    instance_methods: {
+	get: function(key) {
+	    let s = this._entries.get(key);
+	    return Promise.resolve((_.isNil(s)) ? null : JSON.parse(s));
+	},
+
+	set: function(key, entry) {
+	    this._entries.set(key, JSON.stringify(entry));
+	    return Promise.resolve();
+	},
+
+	remove: function(key) {
+	    this._entries.delete(key);
+	    return Promise.resolve();
+	},
+
+	keys: function() {
+	    return Promise.resolve(Array.from(this._entries.keys()));
+	},
+
+	clear: function() {
+	    this._entries.clear();
+	    return Promise.resolve();
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlLocalStorageAdapter
+ * @extends FlModelStorageAdapter
+ * @module fl.model_storage
+ * @description
+ *  A storage adapter that places entries in the browser's `localStorage`.
+ *  Keys are prefixed, so that the adapter can share the storage with other clients.
+ *  Note that `localStorage` has limited capacity; if an entry does not fit, the promise returned by
+ *  {@sref FlModelStorageAdapter#set} rejects.
+ *
+ * @param {Object} [opts] Configuration options.
+ * @property {String} opts.prefix The prefix for the keys; the default is `fl.model_cache.`.
+ * @property {Object} opts.storage The storage object; the default is the global `localStorage`.
+ *  Any object that implements the Web Storage interface can be used.
+ *
+ * @throws Throws an exception if no storage object is available.
+ */
+
+let FlLocalStorageAdapter = FlClassManager.make_class({
+    name: 'FlLocalStorageAdapter',
+    superclass: 'FlModelStorageAdapter',
+    initializer: function(opts) {
+	this.__super_init('FlModelStorageAdapter', opts);
+
+	this._prefix = (_.isString(this._opts.prefix)) ? this._opts.prefix : 'fl.model_cache.';
+	this._storage = (_.isNil(opts) || _.isNil(opts.storage))
+	    ? ((typeof localStorage === 'undefined') ? null : localStorage)
+	    : opts.storage;
+	if (_.isNil(this._storage)) throw new Error('(FlLocalStorageAdapter): localStorage is not available');
+    },
+    instance_methods: {
+	get: function(key) {
+	    try
+	    {
+		let s = this._storage.getItem(this._prefix + key);
+		return Promise.resolve((_.isNil(s)) ? null : JSON.parse(s));
+	    }
+	    catch (x)
+	    {
+		return Promise.reject(x);
+	    }
+	},
+
+	set: function(key, entry) {
+	    try
+	    {
+		this._storage.setItem(this._prefix + key, JSON.stringify(entry));
+		return Promise.resolve();
+	    }
+	    catch (x)
+	    {
+		return Promise.reject(x);
+	    }
+	},
+
+	remove: function(key) {
+	    this._storage.removeItem(this._prefix + key);
+	    return Promise.resolve();
+	},
+
+	keys: function() {
+	    return Promise.resolve(this._prefixed_keys());
+	},
+
+	clear: function() {
+	    let self = this;
+
+	    _.forEach(this._prefixed_keys(), function(k) {
+		self._storage.removeItem(self._prefix + k);
+	    });
+	    return Promise.resolve();
+	},
+
+	_prefixed_keys: function() {
+	    let keys = [ ];
+
+	    for (let idx = 0; idx < this._storage.length; idx++)
+	    {
+		let k = this._storage.key(idx);
+		if (_.startsWith(k, this._prefix)) keys.push(k.substr(this._prefix.length));
+	    }
+
+	    return keys;
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlIndexedDBStorageAdapter
+ * @extends FlModelStorageAdapter
+ * @module fl.model_storage
+ * @description
+ *  A storage adapter that places entries in an IndexedDB object store.
+ *  The database is opened (and, if necessary, created) on first use.
+ *
+ * @param {Object} [opts] Configuration options.
+ * @property {String} opts.database The database name; the default is `fl_model_cache`.
+ * @property {String} opts.store The object store name; the default is `models`.
+ * @property {Object} opts.indexedDB The IndexedDB factory; the default is the global `indexedDB`.
+ *
+ * @throws Throws an exception if IndexedDB is not available.
+ */
+
+let FlIndexedDBStorageAdapter = FlClassManager.make_class({
+    name: 'FlIndexedDBStorageAdapter',
+    superclass: 'FlModelStorageAdapter',
+    initializer: function(opts) {
+	this.__super_init('FlModelStorageAdapter', opts);
+
+	this._database = (_.isString(this._opts.database)) ? this._opts.database : 'fl_model_cache';
+	this._store = (_.isString(this._opts.store)) ? this._opts.store : 'models';
+	this._idb = (_.isNil(opts) || _.isNil(opts.indexedDB))
+	    ? ((typeof indexedDB === 'undefined') ? null : indexedDB)
+	    : opts.indexedDB;
+	if (_.isNil(this._idb)) throw new Error('(FlIndexedDBStorageAdapter): IndexedDB is not available');
+
+	this._db_promise = null;
+    },
+    instance_methods: {
+	get: function(key) {
+	    return this._request('readonly', function(store) {
+		return store.get(key);
+	    }).then(function(v) {
+		return Promise.resolve((_.isUndefined(v)) ? null : v);
+	    });
+	},
+
+	set: function(key, entry) {
+	    return this._request('readwrite', function(store) {
+		return store.put(entry, key);
+	    });
+	},
+
+	remove: function(key) {
+	    return this._request('readwrite', function(store) {
+		return store.delete(key);
+	    });
+	},
+
+	keys: function() {
+	    return this._request('readonly', function(store) {
+		return store.getAllKeys();
+	    });
+	},
+
+	clear: function() {
+	    return this._request('readwrite', function(store) {
+		return store.clear();
+	    });
+	},
+
+	_db: function() {
+	    let self = this;
+
+	    if (_.isNil(this._db_promise))
+	    {
+		this._db_promise = new Promise(function(resolve, reject) {
+		    let req = self._idb.open(self._database, 1);
+		    req.onupgradeneeded = function() {
+			req.result.createObjectStore(self._store);
+		    };
+		    req.onsuccess = function() {
+			resolve(req.result);
+		    };
+		    req.onerror = function() {
+			self._db_promise = null;
+			reject(req.error);
+		    };
+		});
+	    }
+
+	    return this._db_promise;
+	},
+
+	_request: function(mode, op) {
+	    let self = this;
+
+	    return this._db().then(function(db) {
+		return new Promise(function(resolve, reject) {
+		    let req = op(db.transaction(self._store, mode).objectStore(self._store));
+		    req.onsuccess = function() {
+			resolve(req.result);
+		    };
+		    req.onerror = function() {
+			reject(req.error);
+		    };
+		});
+	    });
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+module.exports = {
+    FlModelStorageAdapter, FlMemoryStorageAdapter, FlLocalStorageAdapter, FlIndexedDBStorageAdapter
+};
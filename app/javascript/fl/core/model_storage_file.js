@@ -0,0 +1,118 @@
+/**
+ * @ngdoc module
+ * @name fl.model_storage_file
+ * @module fl
+ * @requires fl.model_storage
+ * @description
+ * A file-based storage adapter for the model cache.
+ * This module uses the Node `fs` module, and is therefore kept separate from **fl.model_storage** so that
+ * browser bundles don't pull it in.
+ */
+
+const _ = require('lodash');
+const fs = require('fs');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const { FlModelStorageAdapter } = require('./model_storage');
+
+/**
+ * @ngdoc type
+ * @name FlFileStorageAdapter
+ * @extends FlModelStorageAdapter
+ * @module fl.model_storage_file
+ * @description
+ *  A storage adapter that keeps entries in a JSON file.
+ *  The file is loaded on first use, and is rewritten after each modification; operations are
+ *  serialized, so that concurrent calls don't overwrite each other's changes.
+ *  This adapter is meant for Node environments like tests and scripts, and is not suitable for large
+ *  caches.
+ *
+ * @param {Object} opts Configuration options.
+ * @property {String} opts.path The path to the file; the file is created if it does not exist.
+ *
+ * @throws Throws an exception if **opts.path** is missing.
+ */
+
+let FlFileStorageAdapter = FlClassManager.make_class({
+    name: 'FlFileStorageAdapter',
+    superclass: 'FlModelStorageAdapter',
+    initializer: function(opts) {
+	this.__super_init('FlModelStorageAdapter', opts);
+
+	if (!_.isString(this._opts.path)) throw new Error('(FlFileStorageAdapter): missing :path option');
+	this._path = this._opts.path;
+	this._entries = null;
+	this._queue = Promise.resolve();
+    },
+    instance_methods: {
+	get: function(key) {
+	    return this._enqueue(false, function(entries) {
+		return (_.has(entries, key)) ? _.cloneDeep(entries[key]) : null;
+	    });
+	},
+
+	set: function(key, entry) {
+	    return this._enqueue(true, function(entries) {
+		entries[key] = JSON.parse(JSON.stringify(entry));
+	    });
+	},
+
+	remove: function(key) {
+	    return this._enqueue(true, function(entries) {
+		delete entries[key];
+	    });
+	},
+
+	keys: function() {
+	    return this._enqueue(false, function(entries) {
+		return _.keys(entries);
+	    });
+	},
+
+	clear: function() {
+	    return this._enqueue(true, function(entries) {
+		_.forEach(_.keys(entries), function(k) {
+		    delete entries[k];
+		});
+	    });
+	},
+
+	_load: function() {
+	    let self = this;
+	    if (!_.isNil(this._entries)) return Promise.resolve(this._entries);
+
+	    return fs.promises.readFile(this._path, 'utf8')
+		.then(function(s) {
+		    self._entries = JSON.parse(s);
+		    return Promise.resolve(self._entries);
+		})
+		.catch(function(e) {
+		    if (e.code != 'ENOENT') return Promise.reject(e);
+
+		    self._entries = { };
+		    return Promise.resolve(self._entries);
+		});
+	},
+
+	_enqueue: function(write, op) {
+	    let self = this;
+	    let p = this._queue.then(function() {
+		return self._load();
+	    }).then(function(entries) {
+		let rv = op(entries);
+		if (!write) return Promise.resolve(rv);
+
+		return fs.promises.writeFile(self._path, JSON.stringify(entries), 'utf8');
+	    });
+
+	    // a failed operation must not block the ones that follow it
+
+	    this._queue = p.catch(function() { });
+	    return p;
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+module.exports = { FlFileStorageAdapter };
@@ -0,0 +1,344 @@
+/**
+ * @ngdoc module
+ * @name fl.model_validation
+ * @module fl
+ * @requires fl.object_system
+ * @description
+ * Validation support for model instances.
+ * This module defines {@sref FlModelErrors}, the container for the validation errors of a model instance,
+ * and {@sref FlModelValidators}, the built-in validators used by {@sref FlModelBase#validate}.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+
+function _blank(value) {
+    if (_.isNil(value)) return true;
+    if (_.isString(value)) return (value.trim().length < 1);
+    if (_.isArray(value) || _.isPlainObject(value)) return _.isEmpty(value);
+    return false;
+};
+
+// Messages can contain placeholders in the form %{name}, which are replaced by the values in *vars*.
+
+function _message(opts, message, vars) {
+    let m = (_.isString(opts.message)) ? opts.message : message;
+
+    return m.replace(/%\{(\w+)\}/g, function(match, name) {
+	return (_.has(vars, name)) ? String(vars[name]) : match;
+    });
+};
+
+/**
+ * @ngdoc service
+ * @name FlModelValidators
+ * @module fl.model_validation
+ * @description
+ * The validators that can be declared in the **validations** option of an attribute descriptor;
+ * see {@sref FlModelBase}. The keys are validator names, and the values are functions that take three
+ * arguments: the value of the attribute, the validator options, and the model instance. The function
+ * returns an error message if the value is not valid, and `null` otherwise.
+ *
+ * All validators accept the **message** option, which overrides the default error message; messages
+ * can contain placeholders like `%{count}`, which are replaced by the corresponding option values.
+ * Except for **required**, validators accept `null` and `undefined` values; combine them with
+ * **required** to reject missing values.
+ *
+ * The built-in validators follow the behavior of the corresponding Rails validators:
+ * - **required** checks that the value is not blank: not `null`, `undefined`, an empty (or
+ *   whitespace-only) string, or an empty array or object.
+ * - **length** checks the length of a string or array against the **minimum**, **maximum**, and
+ *   **is** options.
+ * - **format** checks that a string matches the regular expression in the **with** option, or does not
+ *   match the one in the **without** option. A regular expression can be used as a shorthand for
+ *   `{ with: re }`.
+ * - **numericality** checks that the value is a number (or a string representation of a number);
+ *   supported options are **only_integer**, **greater_than**, **greater_than_or_equal_to**,
+ *   **equal_to**, **less_than**, and **less_than_or_equal_to**.
+ * - **inclusion** checks that the value is one of the elements in the **in** option. An array can be used
+ *   as a shorthand for `{ in: array }`.
+ *
+ * Applications can add their own validators to this object, and then declare them by name.
+ */
+
+const FlModelValidators = {
+    required: function(value, opts, model) {
+	return (_blank(value)) ? _message(opts, "can't be blank", opts) : null;
+    },
+
+    length: function(value, opts, model) {
+	if (_.isNil(value)) return null;
+
+	let len = value.length;
+	if (!_.isInteger(len)) return _message(opts, 'has no length', opts);
+
+	if (_.isInteger(opts.is) && (len != opts.is))
+	{
+	    return _message(opts, 'is the wrong length (should be %{count} characters)', { count: opts.is });
+	}
+	if (_.isInteger(opts.minimum) && (len < opts.minimum))
+	{
+	    return _message(opts, 'is too short (minimum is %{count} characters)', { count: opts.minimum });
+	}
+	if (_.isInteger(opts.maximum) && (len > opts.maximum))
+	{
+	    return _message(opts, 'is too long (maximum is %{count} characters)', { count: opts.maximum });
+	}
+
+	return null;
+    },
+
+    format: function(value, opts, model) {
+	if (_.isNil(value)) return null;
+
+	let s = String(value);
+	if (_.isRegExp(opts.with) && !opts.with.test(s)) return _message(opts, 'is invalid', opts);
+	if (_.isRegExp(opts.without) && opts.without.test(s)) return _message(opts, 'is invalid', opts);
+
+	return null;
+    },
+
+    numericality: function(value, opts, model) {
+	if (_.isNil(value)) return null;
+
+	let n = (_.isString(value) && (value.trim().length > 0)) ? Number(value) : value;
+	if (!_.isFinite(n)) return _message(opts, 'is not a number', opts);
+	if (opts.only_integer && !_.isInteger(n)) return _message(opts, 'must be an integer', opts);
+
+	const CHECKS = [
+	    [ 'greater_than', function(v, l) { return v > l; }, 'must be greater than %{count}' ],
+	    [ 'greater_than_or_equal_to', function(v, l) { return v >= l; }, 'must be greater than or equal to %{count}' ],
+	    [ 'equal_to', function(v, l) { return v == l; }, 'must be equal to %{count}' ],
+	    [ 'less_than', function(v, l) { return v < l; }, 'must be less than %{count}' ],
+	    [ 'less_than_or_equal_to', function(v, l) { return v <= l; }, 'must be less than or equal to %{count}' ]
+	];
+
+	let failed = _.find(CHECKS, function(c) {
+	    return _.isNumber(opts[c[0]]) && !c[1](n, opts[c[0]]);
+	});
+
+	return (_.isNil(failed)) ? null : _message(opts, failed[2], { count: opts[failed[0]] });
+    },
+
+    inclusion: function(value, opts, model) {
+	if (_.isNil(value)) return null;
+
+	return (_.isArray(opts.in) && !_.includes(opts.in, value))
+	    ? _message(opts, 'is not included in the list', opts)
+	    : null;
+    }
+};
+
+/**
+ * @ngdoc type
+ * @name FlModelErrors
+ * @module fl.model_validation
+ * @description
+ *  A container for the errors associated with a model instance.
+ *  Errors are messages attached to an attribute name; errors that don't apply to a specific attribute
+ *  are attached to the name `base`. Each error also records its source: `client` for errors generated by
+ *  {@sref FlModelBase#validate}, and `server` for errors extracted from an API error response by
+ *  {@sref FlModelErrors#merge_server}. This makes it possible for forms to display both kinds in
+ *  the same way, while clearing client errors when the instance is validated again.
+ */
+
+let FlModelErrors = FlClassManager.make_class({
+    name: 'FlModelErrors',
+    /**
+     * @ngdoc method
+     * @name FlModelErrors#constructor
+     * @description The constructor; called during `new` creation.
+     */
+    initializer: function() {
+	this.__super_init('FlRoot');
+	this._errors = { };
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#add
+	 * @description Add an error.
+	 *
+	 * @param {String} attribute The attribute name; use `base` for errors that apply to the
+	 *  instance as a whole.
+	 * @param {String} message The error message.
+	 * @param {String} [source] The error source; the default is `client`.
+	 *
+	 * @return {FlModelErrors} Returns `this`.
+	 */
+
+	add: function(attribute, message, source) {
+	    if (!_.isArray(this._errors[attribute])) this._errors[attribute] = [ ];
+	    this._errors[attribute].push({ message: message, source: (_.isString(source)) ? source : 'client' });
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#get
+	 * @description Get the error messages for an attribute.
+	 *
+	 * @param {String} attribute The attribute name.
+	 *
+	 * @return {Array} Returns an array containing the messages; if the attribute has no errors,
+	 *  the array is empty.
+	 */
+
+	get: function(attribute) {
+	    return _.map(this._errors[attribute], 'message');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#has
+	 * @description Check if an attribute has errors.
+	 *
+	 * @param {String} attribute The attribute name.
+	 *
+	 * @return {Boolean} Returns `true` if there is at least one error for *attribute*.
+	 */
+
+	has: function(attribute) {
+	    return _.isArray(this._errors[attribute]) && (this._errors[attribute].length > 0);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#messages
+	 * @description Get all error messages, grouped by attribute; this is the same structure as
+	 *  the **messages** property in the details of a server validation error.
+	 *
+	 * @return {Object} Returns an object whose keys are attribute names, and whose values are arrays
+	 *  of messages.
+	 */
+
+	messages: function() {
+	    return _.reduce(this._errors, function(acc, ev, ek) {
+		if (ev.length > 0) acc[ek] = _.map(ev, 'message');
+		return acc;
+	    }, { });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#full_messages
+	 * @description Get the error messages prefixed by the (humanized) attribute names, for example
+	 *  `First name can't be blank`; messages for `base` are not prefixed.
+	 *
+	 * @return {Array} Returns an array of strings.
+	 */
+
+	full_messages: function() {
+	    return _.reduce(this._errors, function(acc, ev, ek) {
+		let prefix = (ek == 'base') ? '' : (_.upperFirst(_.lowerCase(ek)) + ' ');
+		_.forEach(ev, function(e) {
+		    acc.push(prefix + e.message);
+		});
+		return acc;
+	    }, [ ]);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#count
+	 * @description Get the number of errors.
+	 *
+	 * @return {Number} Returns the number of errors, for all attributes.
+	 */
+
+	count: function() {
+	    return _.reduce(this._errors, function(acc, ev) {
+		return acc + ev.length;
+	    }, 0);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#isEmpty
+	 * @description Check if there are no errors.
+	 *
+	 * @return {Boolean} Returns `true` if there are no errors.
+	 */
+
+	isEmpty: function() {
+	    return (this.count() < 1);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#clear
+	 * @description Remove errors.
+	 *
+	 * @param {String} [source] If present, remove only the errors from this source; otherwise,
+	 *  remove all errors.
+	 *
+	 * @return {FlModelErrors} Returns `this`.
+	 */
+
+	clear: function(source) {
+	    if (!_.isString(source))
+	    {
+		this._errors = { };
+		return this;
+	    }
+
+	    this._errors = _.reduce(this._errors, function(acc, ev, ek) {
+		let kept = _.reject(ev, function(e) { return e.source == source; });
+		if (kept.length > 0) acc[ek] = kept;
+		return acc;
+	    }, { });
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelErrors#merge_server
+	 * @description Add the errors from an API error response; the errors are marked with the
+	 *  source `server`.
+	 *  The server returns validation errors in the **details** of the error object, in an object
+	 *  that contains **messages** (the error messages grouped by attribute) and **full_messages**.
+	 *  Messages are taken from **messages** if it is present, otherwise from **full_messages**
+	 *  (as `base` errors). If neither is present, the error's **message** is added as a `base` error.
+	 *
+	 * @param {Object} e The error object, as returned by {@sref FlAPIService#extract_response_error};
+	 *  the value of its **details** property can also be passed.
+	 *
+	 * @return {FlModelErrors} Returns `this`.
+	 */
+
+	merge_server: function(e) {
+	    let self = this;
+	    if (!_.isObject(e)) return this;
+
+	    let details = (_.isObject(e.details)) ? e.details : e;
+
+	    if (_.isObject(details.messages))
+	    {
+		_.forEach(details.messages, function(mv, mk) {
+		    _.forEach(_.castArray(mv), function(m) {
+			self.add(mk, m, 'server');
+		    });
+		});
+	    }
+	    else if (_.isArray(details.full_messages))
+	    {
+		_.forEach(details.full_messages, function(m) {
+		    self.add('base', m, 'server');
+		});
+	    }
+	    else if (_.isString(e.message))
+	    {
+		this.add('base', e.message, 'server');
+	    }
+
+	    return this;
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+module.exports = { FlModelErrors, FlModelValidators };
@@ -268,6 +268,31 @@ FlExtensions.initialize = function(ex, obj, pass) {
     return obj;
 };
 
+// Memoized computed values are stored in a non-enumerable property of the instance, together with the
+// dependency values they were computed from.
+
+function _computed_value(obj, name, desc) {
+    if (desc.depends.length < 1) return desc.get.call(obj);
+
+    if (!obj.hasOwnProperty('__computed_cache'))
+    {
+	Object.defineProperty(obj, '__computed_cache', {
+	    value: { }, writable: true, configurable: true, enumerable: false
+	});
+    }
+
+    let deps = _.map(desc.depends, function(d) { return _.get(obj, d); });
+    let cached = obj.__computed_cache[name];
+    if (!_.isNil(cached) && _.every(deps, function(d, idx) { return d === cached.deps[idx]; }))
+    {
+	return cached.value;
+    }
+
+    let value = desc.get.call(obj);
+    obj.__computed_cache[name] = { deps: deps, value: value };
+    return value;
+};
+
 /**
  * @ngdoc type
  * @name FlRoot
@@ -292,6 +317,8 @@ const FlRoot = class FlRoot {
 FlRoot.__name = 'FlRoot';
 FlRoot.__superclass = null;
 FlRoot.__extensions = [ ];
+FlRoot.__attributes = { };
+FlRoot.__computed = { };
 FlRoot.prototype.initialize = function() { };
 
 /**
@@ -458,13 +485,42 @@ FlClassManager.AlreadyDefinedClass.prototype.constructor = FlClassManager.Alread
  *     constructor.
  * 12. If **opts.instance_properties** is an object, register all its key/value pairs as properties in the
  *     prototype.
- * 13. Register the class under the given class name; {@sref FlClassManager#get_class} can be used
+ * 13. If **opts.attributes** is an object, normalize its attribute descriptors and merge them into a copy
+ *     of the superclass' **__attributes**; the result is stored in the class property **__attributes**.
+ *     (The descriptors are not interpreted here; see {@sref FlModelBase} for how model classes use them.)
+ * 14. If **opts.computed** is an object, normalize its computed property descriptors and merge them into
+ *     a copy of the superclass' **__computed**; the result is stored in the class property **__computed**.
+ *     A getter is installed in the prototype for each computed property; see below.
+ * 15. Register the class under the given class name; {@sref FlClassManager#get_class} can be used
  *     to fetch class constructors by name, and {@sref FlClassManager#instance_factory} to create
  *     instances of a given class.
  * 
  * Note that the order in which actions are performed implies that instance methods by the same name as those
  * loaded in the extensions will override the extension implementations.
  *
+ * ##### Computed properties
+ *
+ * A computed property is a read-only property whose value is derived from other properties of the
+ * instance, like a display name built from the first and last names. Computed properties are declared
+ * in **opts.computed**; the keys are property names, and the values are either the getter function, or
+ * an object containing the **get** property (the getter function) and the **depends** property, an
+ * array of the names (or lodash paths) of the properties the value depends on:
+ * ```
+ *   computed: {
+ *     full_name: {
+ *       depends: [ 'first_name', 'last_name' ],
+ *       get: function() { return this.first_name + ' ' + this.last_name; }
+ *     },
+ *     now: function() { return new Date(); }
+ *   }
+ * ```
+ * If **depends** is not empty, the value is memoized: the getter is called again only when the value of
+ * one of the dependencies has changed, for example because the instance was refreshed or the property
+ * was assigned. Changes are detected by identity, so that modifications to the contents of an object
+ * or array dependency are not detected unless the object itself is replaced.
+ * Otherwise, the getter is called on every access.
+ * Computed properties are not enumerable, and assignments to them are ignored.
+ *
  * ##### The **__super** and **__super_init** methods
  *
  * JavaScript classes use the `super` keyword to instruct the code to look up a method in the class
@@ -708,6 +764,14 @@ FlClassManager.AlreadyDefinedClass.prototype.constructor = FlClassManager.Alread
  *  The keys are property names, and the values are objects containing the property descriptor.
  * @property {Array} opts.extensions An array containing the list of extensions for the class. The elements
  *  are the names of registered extensions. See {@sref FlExtensions}.
+ * @property {Object} opts.attributes A hash containing the attribute descriptors for the class.
+ *  The keys are attribute names, and the values are either a string containing the attribute type, or
+ *  an object that contains the **type** property and any type-specific options. A string value is
+ *  converted to an object; for example, `{ created_at: 'date' }` is normalized to
+ *  `{ created_at: { type: 'date' } }`.
+ *  Descriptors are inherited by subclasses, which can override them.
+ * @property {Object} opts.computed A hash containing the computed property descriptors for the class;
+ *  see above. Descriptors are inherited by subclasses, which can override them.
  * 
  * @return {Function} Returns the value of the constructor that was created.
  *
@@ -767,6 +831,16 @@ FlClassManager.make_class = function(opts) {
 	return acc;
     }, superclass.__extensions);
     ctor.__superclass = superclass;
+    ctor.__attributes = _.reduce(opts.attributes, function(acc, av, ak) {
+	acc[ak] = (_.isString(av)) ? { type: av } : _.merge({ }, av);
+	return acc;
+    }, _.merge({ }, superclass.__attributes));
+    ctor.__computed = _.reduce(opts.computed, function(acc, cv, ck) {
+	acc[ck] = (_.isFunction(cv))
+	    ? { get: cv, depends: [ ] }
+	    : _.assign({ }, cv, { depends: _.castArray(cv.depends || [ ]) });
+	return acc;
+    }, _.assign({ }, superclass.__computed));
     ctor.prototype.__class = ctor;
     ctor.prototype.__superclass = superclass;
 
@@ -839,6 +913,17 @@ FlClassManager.make_class = function(opts) {
 	    Object.defineProperty(ctor.prototype, mk, mv);
 	});
     }
+
+    _.forEach(opts.computed, function(cv, ck) {
+	let desc = ctor.__computed[ck];
+
+	Object.defineProperty(ctor.prototype, ck, {
+	    configurable: true,
+	    enumerable: false,
+	    get: function() { return _computed_value(this, ck, desc); },
+	    set: function(v) { }
+	});
+    });
     
     FlClassManager._class_registry[cname] = ctor;
 
@@ -0,0 +1,241 @@
+/**
+ * @ngdoc module
+ * @name fl.pagination
+ * @module fl
+ * @description
+ * Support for paginated listings.
+ * This module defines {@sref FlPaginationStrategies}, the strategies that {@sref FlAPIService} uses to
+ * place pagination controls in :index requests, and to extract them from the responses.
+ */
+
+const _ = require('lodash');
+
+// Values in query parameters may have been converted to strings; the controls store integers.
+
+function _integer(v, dflt) {
+    let n = (_.isString(v) && (v.trim().length > 0)) ? Number(v) : v;
+    return (_.isInteger(n)) ? n : dflt;
+};
+
+// The offset and cursor strategies read the pagination info returned by the server from a
+// property of the payload.
+
+function _payload_info(payload, key) {
+    return (_.isObject(payload) && _.isObject(payload[key])) ? payload[key] : null;
+};
+
+function _pick_param(params, name, dflt) {
+    return (_.isObject(params) && !_.isNil(params[name])) ? params[name] : dflt;
+};
+
+/**
+ * @ngdoc service
+ * @name FlPaginationStrategies
+ * @module fl.pagination
+ * @description
+ * The pagination strategies that can be selected in the **pagination** property of the API
+ * configuration of an {@sref FlAPIService}. The keys are strategy names, and the values are factory
+ * functions that take an options object and return a strategy.
+ *
+ * A strategy is an object that implements the following methods; the *controls* are an object
+ * whose contents depend on the strategy:
+ * - **initial(params)** returns the controls for the first page; *params* are the parameters
+ *   passed to {@sref FlAPIService#pages}, and may contain overrides like the page size.
+ * - **strip(params)** returns a copy of *params* without the pagination parameters.
+ * - **query(controls, params)** returns the query parameters to add to an :index request;
+ *   *params* are the request parameters, and values in *params* override the controls.
+ * - **extract(payload, data, controls, query)** returns the controls for the next page, or `null`
+ *   to keep the current ones. *payload* is the response payload, *data* the response data,
+ *   *controls* the controls that were used for the request, and *query* its query parameters.
+ * - **hasMore(controls)** returns `true` if more pages may be available.
+ * - **previous(controls)** returns the controls for the page before the last one loaded, or `null`
+ *   if there is none.
+ *
+ * The built-in strategies are:
+ * - **page** uses the page numbers of the `Fl::Core::Service` pagination: the controls are
+ *   `{ _s: size, _p: page }`, sent in the **_pg** parameter, and the server returns them in the
+ *   **_pg** property of the payload, with the count **_c**. The options are **names**, the names of
+ *   the payload properties that contain the controls (`[ '_pg' ]`), and **size**, the page size (20).
+ * - **offset** sends **offset** and **limit** parameters; the controls are
+ *   `{ offset, limit, count, total }`, where **offset** is the offset of the next page, **count**
+ *   the number of items in the last page, and **total** the total number of items, if the server
+ *   returns it in the **total** property of the pagination info. The options are **params**,
+ *   an object that maps `offset` and `limit` to the names of the query parameters, **key**, the
+ *   name of the payload property that contains the pagination info (`_pg`), and **limit** (20).
+ * - **cursor** is keyset pagination: it sends a **cursor** parameter (omitted for the first page)
+ *   and a **limit**, and the server returns the cursors of the next and previous pages in the
+ *   **next** and **prev** properties of the pagination info; a missing **next** marks the last page.
+ *   The controls are `{ cursor, limit, next, prev }`. The options are **params**, which maps
+ *   `cursor` and `limit` to parameter names, **key** (`_pg`), and **limit** (20).
+ *
+ * Applications can add their own strategies to this object, and then select them by name.
+ */
+
+const FlPaginationStrategies = {
+    page: function(opts) {
+	let o = (_.isObject(opts)) ? opts : { };
+	let names = (_.isArray(o.names) && (o.names.length > 0)) ? o.names : [ '_pg' ];
+	let size = _integer(o.size, 20);
+	let _own = function(params) {
+	    return (_.isObject(params) && _.isObject(params[names[0]])) ? params[names[0]] : { };
+	};
+
+	return {
+	    name: 'page',
+
+	    initial: function(params) {
+		return _.merge({ _s: size, _p: 1 }, _own(params));
+	    },
+
+	    strip: function(params) {
+		return (_.isObject(params)) ? _.omit(params, names) : { };
+	    },
+
+	    query: function(controls, params) {
+		let q = { };
+		q[names[0]] = _.merge({ }, controls, _own(params));
+		return q;
+	    },
+
+	    extract: function(payload, data, controls, query) {
+		if (!_.isObject(payload)) return null;
+
+		let k = _.find(names, function(n) {
+		    return !_.isUndefined(payload[n]);
+		});
+		return (_.isUndefined(k)) ? null : payload[k];
+	    },
+
+	    hasMore: function(controls) {
+		if (_.isNil(controls._c)) return true;
+
+		return (controls._s > 0) && (controls._c >= controls._s);
+	    },
+
+	    // *_p* is the page after the last one loaded
+
+	    previous: function(controls) {
+		if (!_.isInteger(controls._p) || (controls._p < 3)) return null;
+
+		return _.assign({ }, controls, { _p: controls._p - 2 });
+	    }
+	};
+    },
+
+    offset: function(opts) {
+	let o = (_.isObject(opts)) ? opts : { };
+	let pn = _.assign({ offset: 'offset', limit: 'limit' }, o.params);
+	let key = (_.isString(o.key)) ? o.key : '_pg';
+	let limit = _integer(o.limit, 20);
+
+	return {
+	    name: 'offset',
+
+	    initial: function(params) {
+		return {
+		    offset: _integer(_pick_param(params, pn.offset), 0),
+		    limit: _integer(_pick_param(params, pn.limit), limit)
+		};
+	    },
+
+	    strip: function(params) {
+		return (_.isObject(params)) ? _.omit(params, [ pn.offset, pn.limit ]) : { };
+	    },
+
+	    query: function(controls, params) {
+		let q = { };
+		q[pn.offset] = _pick_param(params, pn.offset, controls.offset);
+		q[pn.limit] = _pick_param(params, pn.limit, controls.limit);
+		return q;
+	    },
+
+	    extract: function(payload, data, controls, query) {
+		let info = _payload_info(payload, key);
+		let offset = _integer(_pick_param(query, pn.offset), controls.offset);
+		let count = (_.isArray(data)) ? data.length : 0;
+		let total = (_.isObject(info)) ? _integer(info.total, null) : null;
+
+		return {
+		    offset: offset + count,
+		    limit: _integer(_pick_param(query, pn.limit), controls.limit),
+		    count: count,
+		    total: (_.isNil(total)) ? _.defaultTo(controls.total, null) : total
+		};
+	    },
+
+	    hasMore: function(controls) {
+		if (_.isNil(controls.count)) return true;
+		if (_.isInteger(controls.total)) return controls.offset < controls.total;
+
+		return (controls.limit > 0) && (controls.count >= controls.limit);
+	    },
+
+	    previous: function(controls) {
+		if (_.isNil(controls.count)) return null;
+
+		let start = controls.offset - controls.count;
+		if (start <= 0) return null;
+
+		return { offset: Math.max(0, start - controls.limit), limit: controls.limit, total: controls.total };
+	    }
+	};
+    },
+
+    cursor: function(opts) {
+	let o = (_.isObject(opts)) ? opts : { };
+	let pn = _.assign({ cursor: 'cursor', limit: 'limit' }, o.params);
+	let key = (_.isString(o.key)) ? o.key : '_pg';
+	let limit = _integer(o.limit, 20);
+
+	return {
+	    name: 'cursor',
+
+	    initial: function(params) {
+		return {
+		    cursor: _pick_param(params, pn.cursor, null),
+		    limit: _integer(_pick_param(params, pn.limit), limit)
+		};
+	    },
+
+	    strip: function(params) {
+		return (_.isObject(params)) ? _.omit(params, [ pn.cursor, pn.limit ]) : { };
+	    },
+
+	    query: function(controls, params) {
+		let q = { };
+		let cursor = _pick_param(params, pn.cursor, controls.cursor);
+
+		if (!_.isNil(cursor)) q[pn.cursor] = cursor;
+		q[pn.limit] = _pick_param(params, pn.limit, controls.limit);
+		return q;
+	    },
+
+	    // A response without pagination info is the last page: following it would load the
+	    // same page again
+
+	    extract: function(payload, data, controls, query) {
+		let info = _payload_info(payload, key) || { };
+		let next = _.defaultTo(info.next, null);
+
+		return {
+		    cursor: next,
+		    limit: _integer(_pick_param(query, pn.limit), controls.limit),
+		    next: next,
+		    prev: _.defaultTo(info.prev, null)
+		};
+	    },
+
+	    hasMore: function(controls) {
+		return !_.has(controls, 'next') || !_.isNil(controls.next);
+	    },
+
+	    previous: function(controls) {
+		if (_.isNil(controls.prev)) return null;
+
+		return { cursor: controls.prev, limit: controls.limit };
+	    }
+	};
+    }
+};
+
+module.exports = { FlPaginationStrategies };
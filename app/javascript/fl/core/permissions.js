@@ -0,0 +1,220 @@
+/**
+ * @ngdoc module
+ * @name fl.permissions
+ * @module fl
+ * @requires fl.object_system
+ * @description
+ * Client-side support for permission checks.
+ * This module defines {@sref FlPermissionRegistry}, a registry of permission names and the permissions
+ * they grant, and the global registry {@sref FlGlobalPermissionRegistry}, which is initialized with the
+ * standard permissions defined by `Fl::Core::Access::Permission`.
+ * The registry is used by {@sref FlModelBase#can} and related methods to resolve implied permissions
+ * the same way the server does.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+
+/**
+ * @ngdoc type
+ * @name FlPermissionRegistry
+ * @module fl.permissions
+ * @description
+ *  A registry of permissions.
+ *  This is the client-side counterpart of the server's permission registry in
+ *  `Fl::Core::Access::Permission`. A permission has a name and a (possibly empty) list of the names of
+ *  the permissions it grants; a permission with a nonempty list is a *forwarding* permission.
+ *  For example, the standard `edit` permission grants `read` and `write`, and `manage` grants
+ *  `edit` and `delete`; therefore, an object that grants `manage` also grants `read`, `write`, and
+ *  `delete`.
+ *
+ *  Grants are transitive, and the registry computes them when permissions are looked up, so that
+ *  permissions can be registered in any order.
+ *
+ *  Note that the registry only resolves implications between permissions: grants to actor groups,
+ *  and ownership, are resolved by the server when it generates the **permissions** property of an
+ *  object's hash representation.
+ */
+
+let FlPermissionRegistry = FlClassManager.make_class({
+    name: 'FlPermissionRegistry',
+    /**
+     * @ngdoc method
+     * @name FlPermissionRegistry#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {Object} [permissions] An object containing the permissions to register; the keys are
+     *  permission names, and the values are arrays listing the names of the granted permissions.
+     */
+    initializer: function(permissions) {
+	this.__super_init('FlRoot');
+	this._permissions = { };
+	if (_.isObject(permissions)) this.register(permissions);
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#register
+	 * @description Register permissions.
+	 *  A permission that is already registered is replaced, and a message is logged.
+	 *  For example:
+	 *  ```
+	 *  FlGlobalPermissionRegistry.register({
+	 *    publish: [ ],
+	 *    curate: [ 'edit', 'publish' ]
+	 *  });
+	 *  ```
+	 *
+	 * @param {Object} permissions An object containing the permissions to register; the keys are
+	 *  permission names, and the values are arrays listing the names of the granted permissions.
+	 *  A single string is converted to a one-element array, and `null` to an empty array.
+	 *
+	 * @return {FlPermissionRegistry} Returns `this`.
+	 */
+
+	register: function(permissions) {
+	    let self = this;
+
+	    _.forEach(permissions, function(pv, pk) {
+		if (_.has(self._permissions, pk))
+		{
+		    console.log("(FlPermissionRegistry): permission '" + pk + "' is already registered");
+		}
+		self._permissions[pk] = { name: pk, grants: _.map(_.castArray(pv || [ ]), String) };
+	    });
+
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#unregister
+	 * @description Remove a permission from the registry.
+	 *  Other permissions that list it in their grants are not modified.
+	 *
+	 * @param {String} name The permission name.
+	 *
+	 * @return {FlPermissionRegistry} Returns `this`.
+	 */
+
+	unregister: function(name) {
+	    delete this._permissions[name];
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#lookup
+	 * @description Look up a permission.
+	 *
+	 * @param {String} name The permission name.
+	 *
+	 * @return {Object} If *name* is registered, returns an object containing the properties
+	 *  **name** and **grants** (the names of the permissions granted directly); otherwise, returns
+	 *  `null`.
+	 */
+
+	lookup: function(name) {
+	    let p = this._permissions[name];
+	    return (_.isNil(p)) ? null : { name: p.name, grants: _.clone(p.grants) };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#names
+	 * @description Get the names of the registered permissions.
+	 *
+	 * @return {Array} Returns an array containing the permission names.
+	 */
+
+	names: function() {
+	    return _.keys(this._permissions);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#expandGrants
+	 * @description Get all the permissions granted by a permission, directly or indirectly.
+	 *
+	 * @param {String} name The permission name.
+	 *
+	 * @return {Array} Returns an array containing the names of the granted permissions, including
+	 *  the forwarding permissions traversed along the way; *name* itself is not included.
+	 */
+
+	expandGrants: function(name) {
+	    let self = this;
+	    let found = [ ];
+	    let pending = [ name ];
+
+	    // the visited list also protects against cycles in the grants
+
+	    while (pending.length > 0)
+	    {
+		let p = self._permissions[pending.shift()];
+		if (_.isNil(p)) continue;
+
+		_.forEach(p.grants, function(g) {
+		    if ((g != name) && !_.includes(found, g))
+		    {
+			found.push(g);
+			pending.push(g);
+		    }
+		});
+	    }
+
+	    return found;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlPermissionRegistry#grantors
+	 * @description Get the permissions that grant a permission; this is the reverse of
+	 *  {@sref FlPermissionRegistry#expandGrants}.
+	 *
+	 * @param {String} name The permission name.
+	 *
+	 * @return {Array} Returns an array containing *name*, followed by the names of the registered
+	 *  permissions that grant it, directly or indirectly.
+	 */
+
+	grantors: function(name) {
+	    let self = this;
+
+	    return _.reduce(_.keys(this._permissions), function(acc, pk) {
+		if ((pk != name) && _.includes(self.expandGrants(pk), name)) acc.push(pk);
+		return acc;
+	    }, [ name ]);
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc service
+ * @name FlGlobalPermissionRegistry
+ * @module fl.permissions
+ * @description
+ * The global permission registry. This is an instance of {@sref FlPermissionRegistry} that is
+ * initialized with the standard permissions from `Fl::Core::Access::Permission`: `owner`, `create`,
+ * `create_contents`, `read`, `write`, `delete`, `index`, `index_contents`, `edit` (which grants `read`
+ * and `write`), and `manage` (which grants `edit` and `delete`).
+ * Applications register their own permissions here, typically next to their server-side registration.
+ */
+
+const FlGlobalPermissionRegistry = new FlPermissionRegistry({
+    owner: [ ],
+    create: [ ],
+    create_contents: [ ],
+    read: [ ],
+    write: [ ],
+    delete: [ ],
+    index: [ ],
+    index_contents: [ ],
+    edit: [ 'read', 'write' ],
+    manage: [ 'edit', 'delete' ]
+});
+
+module.exports = { FlPermissionRegistry, FlGlobalPermissionRegistry };
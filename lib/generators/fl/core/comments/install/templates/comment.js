@@ -18,6 +18,12 @@ const {
  * @module fl.models
  * @requires FlModelBase
  * @description Model class for `<%=@comment_class_name%>`
+ *  The class declares attribute conversions for the following properties:
+ *
+ *  - **commentable** into a (polymorphic) reference to the commented object; see the relationships
+ *    section in {@sref FlModelBase}.
+ *  - **author** into a (polymorphic) reference to the author.
+ *  - **contents_json** into an object (from a JSON representation)
  */
 
 let <%=@api_class_name%> = FlClassManager.make_class({
@@ -36,44 +42,16 @@ let <%=@api_class_name%> = FlClassManager.make_class({
 	this.__super_init('FlModelBase', data);
     },
 
+    attributes: {
+	commentable: 'belongs_to',
+	author: 'belongs_to',
+	contents_json: 'json'
+    },
+
     instance_properties: {
     },
 
     instance_methods: {
-	/**
-	 * @ngdoc method
-	 * @name <%=@api_class_name%>#refresh
-	 * @description
-	 *  Refresh the state of the instance based on the contents
-	 *  of the hash representation of a Comment object.
-	 *  The method converts the following properties:
-	 *
-	 *  - **commentable** into an object if the model factory supports it.
-	 *  - **author** into an object if the model factory supports it.
-	 *  - **contents_json** into an object (from a JSON representation)
-	 *
-	 * @param {Object} data An object containing a representation of the
-	 *  comment object. This representation may be partial.
-	 */
-
-	refresh: function(data) {
-	    this.__super('FlModelBase', 'refresh', data);
-
-	    if (_.isObject(data.commentable))
-	    {
-		this.commentable = FlModelFactory.defaultFactory().create(data.commentable);
-	    }
-
-	    if (_.isObject(data.author))
-	    {
-		this.author = FlModelFactory.defaultFactory().create(data.author);
-	    }
-
-	    if (_.isString(data.contents_json))
-	    {
-		this.contents_json = JSON.parse(data.contents_json);
-	    }
-	}
     },
     class_methods: {
 	/**
@@ -274,6 +274,24 @@ describe('fl.active_storage module', function() {
 	    });
 	});
 	
+	context('identity', function() {
+	    it('should cache attachments that have a blob key', function() {
+		let h = _.assign({ blob_key: 'k1a2b3' }, CONTAINER_1.avatar.attachments[0]);
+		let mm = FlGlobalModelFactory.create(h);
+
+		expect(mm).to.be.an.instanceof(ActiveStorageAttachment);
+		expect(FlGlobalModelFactory.create(_.cloneDeep(h))).to.equal(mm);
+		FlGlobalModelFactory.cache().remove(mm);
+	    });
+
+	    it('should not cache attachments without a blob key', function() {
+		let h = CONTAINER_1.avatar.attachments[0];
+
+		expect(FlGlobalModelFactory.cache().identify(h)).to.be.undefined;
+		expect(FlGlobalModelFactory.create(h)).to.not.equal(FlGlobalModelFactory.create(h));
+	    });
+	});
+
 	context('#refresh', function() {
 	    it('should set properties from data', function() {
 		let mm = new ActiveStorageAttachment(CONTAINER_1.avatar.attachments[0]);
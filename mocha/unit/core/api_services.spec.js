@@ -6,6 +6,8 @@ const {
 const {
     FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
 } = require('fl/core/api_services');
+const { FlConflictError } = require('fl/core/concurrency');
+const { FlPaginationStrategies } = require('fl/core/pagination');
 const th = require('test_helpers');
 const axios = require('axios');
 const AxiosMockAdapter = require('axios-mock-adapter');
@@ -52,6 +54,24 @@ const MY_OTHER_MODEL_DESC = {
     }
 };
 
+// a subclass that sets its own state after the base refresh, which has already committed
+
+const MY_LABEL_MODEL_DESC = {
+    name: 'MyAPITestLabelModel',
+    superclass: 'FlModelBase',
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    instance_methods: {
+	refresh: function(data) {
+	    if (!this.__super('FlModelBase', 'refresh', data)) return false;
+
+	    this.label = 'label: ' + this.value1;
+	    return true;
+	}
+    }
+};
+
 const MY_MORE_MODEL_DESC = {
     name: 'MyAPITestMoreModel',
     superclass: 'FlModelBase',
@@ -131,6 +151,30 @@ const MORE_MODEL_200 = {
     value1: 'more model200 - value1'
 };
 
+// The server state for the optimistic locking tests; updates that don't carry the current lock version
+// are rejected.
+
+const MODEL_12 = {
+    type: "My::API::Test::Model",
+    api_root: "/my/models",
+    url_path: "my/models/12",
+    fingerprint: "My::API::Test::Model/12",
+    id: 12,
+    created_at: 'Thu, 13 Sep 2018 21:57:27 UTC +00:00',
+    updated_at: 'Thu, 13 Sep 2018 21:57:27 UTC +00:00',
+    lock_version: 1,
+    value1: 'model12 - value1',
+    value2: 'model12 - value2'
+};
+
+let model_12_server = null;
+
+const PAGED_MODELS = _.map([ 101, 102, 103, 104, 105 ], function(id) {
+    return _.merge({ }, MODEL_1, {
+	url_path: 'my/models/' + id, fingerprint: 'My::API::Test::Model/' + id, id: id, value1: 'model' + id
+    });
+});
+
 const API_CFG = {
     root_url_template: '/my/models',
     namespace: 'my_model',
@@ -207,6 +251,47 @@ axmock
 	}) ];
     })
 
+    .onGet('/my/models/12.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({
+	    _status: { message: 'single model MODEL_12' },
+	    payload: { model: model_12_server }
+	}) ];
+    })
+
+    .onPatch('/my/models/12.json').reply(function(cfg) {
+	let j = JSON.parse(cfg.data);
+	if (j.my_model.lock_version != model_12_server.lock_version)
+	{
+	    return [ 409, JSON.stringify({
+		_error: {
+		    type: 'stale_object_error',
+		    message: 'the model was modified',
+		    details: (j.with_server) ? { model: model_12_server } : null
+		}
+	    }) ];
+	}
+
+	model_12_server = _.merge({ }, model_12_server, j.my_model, {
+	    lock_version: model_12_server.lock_version + 1,
+	    updated_at: '2018-09-15T10:00:00Z'
+	});
+	return [ 200, JSON.stringify({
+	    _status: { message: 'updated MODEL_12' },
+	    payload: { model: model_12_server }
+	}) ];
+    })
+
+    .onPatch('/my/models/11.json').reply(422, JSON.stringify({
+	_error: {
+	    type: 'update_failure',
+	    message: 'could not update',
+	    details: {
+		messages: { value1: [ 'has already been taken' ] },
+		full_messages: [ 'Value1 has already been taken' ]
+	    }
+	}
+    }))
+
     .onGet('/my/bases/10/deps/20/more_models.json').reply(200, JSON.stringify({
 	_status: { message: 'listed nested models' },
 	payload: {
@@ -215,6 +300,57 @@ axmock
 	}
     }))
 
+    .onGet('/my/normalized_models.json').reply(200, JSON.stringify({
+	_status: { message: 'normalized list of MyAPITestModel' },
+	payload: {
+	    models: [
+		_.merge({ }, MODEL_1, { owner: { _ref: BASE_MODEL_10.fingerprint } }),
+		_.merge({ }, MODEL_2, { owner: { _ref: BASE_MODEL_10.fingerprint } })
+	    ],
+	    _refs: [ BASE_MODEL_10 ]
+	}
+    }))
+
+    .onGet('/my/paged_models.json').reply(function(cfg) {
+	let pg = _.merge({ _s: 20, _p: 1 }, (_.isObject(cfg.params)) ? cfg.params._pg : { });
+	let s = Number(pg._s);
+	let p = Number(pg._p);
+	let models = _.slice(PAGED_MODELS, (p - 1) * s, p * s);
+
+	return [ 200, JSON.stringify({
+	    _status: { message: 'page ' + p + ' of MyAPITestModel' },
+	    payload: { models: models, _pg: { _c: models.length, _s: s, _p: p + 1 } }
+	}) ];
+    })
+
+    .onGet('/my/offset_models.json').reply(function(cfg) {
+	let offset = Number(cfg.params.offset);
+	let limit = Number(cfg.params.limit);
+
+	return [ 200, JSON.stringify({
+	    _status: { message: 'offset ' + offset + ' of MyAPITestModel' },
+	    payload: { models: _.slice(PAGED_MODELS, offset, offset + limit), _pg: { total: PAGED_MODELS.length } }
+	}) ];
+    })
+
+    // the cursors are the indices of the first model in a page
+
+    .onGet('/my/cursor_models.json').reply(function(cfg) {
+	let start = (_.isNil(cfg.params.cursor)) ? 0 : Number(cfg.params.cursor);
+	let limit = Number(cfg.params.limit);
+	let next = ((start + limit) < PAGED_MODELS.length) ? String(start + limit) : null;
+	let prev = (start > 0) ? String(Math.max(0, start - limit)) : null;
+
+	return [ 200, JSON.stringify({
+	    _status: { message: 'cursor ' + start + ' of MyAPITestModel' },
+	    payload: { models: _.slice(PAGED_MODELS, start, start + limit), _pg: { next: next, prev: prev } }
+	}) ];
+    })
+
+    .onDelete('/my/models/1.json').reply(200, JSON.stringify({
+	_status: { message: 'destroyed MODEL_1' }
+    }))
+
 ;
 
 const MY_SERVICE_DESC = {
@@ -342,6 +478,18 @@ describe('fl.api_services module', function() {
 		expect(srv.getConfig()).to.include(FlAPIService.getServiceConfig());
 	    });
 
+	    it('should use the active default model factory', function() {
+		let srv = new FlAPIService(API_CFG);
+		let factory = FlGlobalModelFactory.child();
+		let other = new FlModelFactory();
+
+		expect(srv.modelFactory).to.equal(FlGlobalModelFactory);
+		FlModelFactory.withFactory(factory, function() {
+		    expect(srv.modelFactory).to.equal(factory);
+		});
+		expect(new FlAPIService(API_CFG, { modelFactory: other }).modelFactory).to.equal(other);
+	    });
+
 	    it('should include the XSRF token names', function() {
 		let srv = new FlAPIService(API_CFG);
 		let cfg = srv.getConfig();
@@ -1222,6 +1370,615 @@ describe('fl.api_services module', function() {
 		});
 	    });
 	});
+
+	context('retries', function() {
+	    const OK_BODY = JSON.stringify({ _status: { message: 'ok' }, payload: { model: MODEL_1 } });
+	    let requests = function(method, url) {
+		return _.filter(axmock.history[method], function(h) { return h.url == url; }).length;
+	    };
+
+	    beforeEach(function() {
+		axmock.resetHistory();
+	    });
+
+	    it('should not retry by default', function() {
+		let srv = new FlAPIService(API_CFG);
+		axmock.onGet('/my/retry/default.json').replyOnce(503).onGet('/my/retry/default.json').replyOnce(200, OK_BODY);
+
+		return srv.get('/my/retry/default.json').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.response.status).to.equal(503);
+		    expect(requests('get', '/my/retry/default.json')).to.equal(1);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should retry transient failures with backoff', function() {
+		let retries = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    retry: {
+			maxAttempts: 4, baseDelay: 2, jitter: false,
+			onRetry: function(info) { retries.push(_.pick(info, [ 'method', 'attempt', 'delay' ])); }
+		    }
+		});
+		axmock.onGet('/my/retry/backoff.json').replyOnce(503)
+		    .onGet('/my/retry/backoff.json').networkErrorOnce()
+		    .onGet('/my/retry/backoff.json').replyOnce(200, OK_BODY);
+
+		return srv.get('/my/retry/backoff.json').then(function(r) {
+		    expect(r.status).to.equal(200);
+		    expect(srv.error).to.be.null;
+		    expect(requests('get', '/my/retry/backoff.json')).to.equal(3);
+		    expect(retries).to.eql([
+			{ method: 'get', attempt: 1, delay: 2 },
+			{ method: 'get', attempt: 2, delay: 4 }
+		    ]);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should not pass the retry and timeout options to Axios', function() {
+		let srv = new FlAPIService(API_CFG, { retry: { maxAttempts: 2, baseDelay: 1 } });
+		axmock.onGet('/my/retry/options.json').replyOnce(503).onGet('/my/retry/options.json').replyOnce(200, OK_BODY);
+
+		return srv.get('/my/retry/options.json', { timeout: 5000 }).then(function(r) {
+		    expect(requests('get', '/my/retry/options.json')).to.equal(2);
+		    _.forEach(axmock.history.get, function(h) {
+			expect(h.retry).to.be.undefined;
+			expect(h.timeout).to.not.equal(5000);
+		    });
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should give up after the maximum number of attempts', function() {
+		let srv = new FlAPIService(API_CFG, { retry: { maxAttempts: 2, baseDelay: 1 } });
+		axmock.onGet('/my/retry/max.json').reply(502);
+
+		return srv.get('/my/retry/max.json').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.response.status).to.equal(502);
+		    expect(requests('get', '/my/retry/max.json')).to.equal(2);
+		    return srv.get('/my/retry/max.json', { retry: false });
+		}).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(requests('get', '/my/retry/max.json')).to.equal(3);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should not retry POST unless requested', function() {
+		let srv = new FlAPIService(API_CFG, { retry: { maxAttempts: 3, baseDelay: 1 } });
+		axmock.onPost('/my/retry/post.json').replyOnce(503)
+		    .onPost('/my/retry/post.json').replyOnce(503)
+		    .onPost('/my/retry/post.json').replyOnce(200, OK_BODY);
+
+		return srv.post('/my/retry/post.json', { value1: 'v' }).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(requests('post', '/my/retry/post.json')).to.equal(1);
+		    return srv.post('/my/retry/post.json', { value1: 'v' }, { retry: { methods: [ 'post' ] } });
+		}).then(function(r) {
+		    expect(r.status).to.equal(200);
+		    expect(requests('post', '/my/retry/post.json')).to.equal(3);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should honor Retry-After', function() {
+		let delays = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    retry: {
+			maxAttempts: 3, baseDelay: 5000, maxDelay: 1000,
+			onRetry: function(info) { delays.push(info.delay); }
+		    }
+		});
+		axmock.onGet('/my/retry/after.json').replyOnce(429, null, { 'retry-after': '0' })
+		    .onGet('/my/retry/after.json').replyOnce(429, null, { 'retry-after': '120' })
+		    .onGet('/my/retry/after.json').replyOnce(200, OK_BODY);
+
+		return srv.get('/my/retry/after.json').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.response.status).to.equal(429);
+		    expect(delays).to.eql([ 0 ]);
+		    expect(requests('get', '/my/retry/after.json')).to.equal(2);
+		    return Promise.resolve(true);
+		});
+	    });
+	});
+
+	context('cancellation', function() {
+	    const SLOW_API_CFG = _.merge({ }, API_CFG, { root_url_template: '/my/slow_models' });
+
+	    before(function() {
+		axmock.onGet('/my/slow_models.json').withDelayInMs(50)(200, JSON.stringify({
+		    _status: { message: 'slow list of MyAPITestModel' },
+		    payload: { models: [ MODEL_1, MODEL_2 ] }
+		}));
+		axmock.onGet('/my/slow_models/1.json').withDelayInMs(50)(200, JSON.stringify({
+		    _status: { message: 'slow MODEL_1' },
+		    payload: { model: MODEL_1 }
+		}));
+	    });
+
+	    beforeEach(function() {
+		axmock.resetHistory();
+	    });
+
+	    it('should cancel a request with an AbortSignal', function() {
+		let srv = new FlAPIService(SLOW_API_CFG);
+		let controller = new AbortController();
+		let p = srv.index(null, { signal: controller.signal });
+
+		controller.abort();
+		return p.then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.type).to.equal('canceled');
+		    expect(srv.response).to.be.undefined;
+		    expect(srv.error).to.be.undefined;
+		    expect(srv._controllers.length).to.equal(0);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should not send a request with an aborted signal', function() {
+		let srv = new FlAPIService(SLOW_API_CFG);
+		let controller = new AbortController();
+		controller.abort();
+
+		return srv.show(1, null, { signal: controller.signal }).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.type).to.equal('canceled');
+		    expect(axmock.history.get.length).to.equal(0);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should time out', function() {
+		let srv = new FlAPIService(SLOW_API_CFG);
+
+		return srv.index(null, { timeout: 10 }).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.type).to.equal('timeout');
+		    expect(srv.error.code).to.equal('ECONNABORTED');
+		    return srv.index(null, { timeout: 1000 });
+		}).then(function(models) {
+		    expect(models.length).to.equal(2);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should cancel all requests in flight', function() {
+		let srv = new FlAPIService(SLOW_API_CFG);
+		let p1 = srv.index();
+		let p2 = srv.show(1);
+		let other = new FlAPIService(SLOW_API_CFG);
+		let p3 = other.show(1);
+
+		expect(srv.cancelAll()).to.equal(2);
+		expect(srv.cancelAll()).to.equal(0);
+
+		let _canceled = function(p) {
+		    return p.then(function() {
+			return Promise.reject('should not have reached this');
+		    }, function(e) {
+			expect(e.type).to.equal('canceled');
+			return Promise.resolve(true);
+		    });
+		};
+
+		return Promise.all([ _canceled(p1), _canceled(p2), p3 ]).then(function(rv) {
+		    expect(rv[2].fingerprint).to.equal(MODEL_1.fingerprint);
+		    return srv.show(1);
+		}).then(function(m) {
+		    expect(m.fingerprint).to.equal(MODEL_1.fingerprint);
+		    return Promise.resolve(true);
+		});
+	    });
+	});
+
+	context('pagination helpers', function() {
+	    const PAGED_API_CFG = _.merge({ }, API_CFG, { root_url_template: '/my/paged_models' });
+	    let ids = function(models) {
+		return _.map(models, 'id');
+	    };
+	    let requests = function() {
+		return _.filter(axmock.history.get, function(h) { return h.url == '/my/paged_models.json'; }).length;
+	    };
+
+	    beforeEach(function() {
+		axmock.resetHistory();
+	    });
+
+	    it('should iterate over pages', function() {
+		let srv = new FlAPIService(PAGED_API_CFG);
+		let iterator = srv.pages({ _pg: { _s: 2 } });
+		let pages = [ ];
+
+		expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+
+		let _collect = function() {
+		    return iterator.next().then(function(step) {
+			if (step.done) return pages;
+			pages.push(ids(step.value));
+			return _collect();
+		    });
+		};
+
+		return _collect().then(function(pages) {
+		    expect(pages).to.eql([ [ 101, 102 ], [ 103, 104 ], [ 105 ] ]);
+		    expect(iterator.hasMore).to.be.false;
+		    expect(iterator.pagination_controls).to.eql({ _c: 1, _s: 2, _p: 4 });
+		    expect(requests()).to.equal(3);
+		    expect(srv.pagination_controls).to.eql(srv.initial_pagination_controls);
+		    return iterator.next();
+		}).then(function(step) {
+		    expect(step.done).to.be.true;
+		    expect(requests()).to.equal(3);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should keep separate state for each iterator', function() {
+		let srv = new FlAPIService(PAGED_API_CFG);
+		let i1 = srv.pages({ _pg: { _s: 2 } });
+		let i2 = srv.pages({ _pg: { _s: 3 } });
+
+		return Promise.all([ i1.next(), i2.next(), i1.next(), i2.next() ]).then(function(steps) {
+		    expect(_.map(steps, function(s) { return ids(s.value); })).to.eql([
+			[ 101, 102 ], [ 101, 102, 103 ], [ 103, 104 ], [ 104, 105 ]
+		    ]);
+		    expect(i1.hasMore).to.be.true;
+		    expect(i2.hasMore).to.be.false;
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should load all pages', function() {
+		let srv = new FlAPIService(PAGED_API_CFG);
+
+		return srv.indexAll({ _pg: { _s: 2 } }).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102, 103, 104, 105 ]);
+		    return srv.indexAll({ _pg: { _s: 2 } }, { maxPages: 2 });
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102, 103, 104 ]);
+		    expect(requests()).to.equal(5);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should move between pages of the current listing', function() {
+		let srv = new FlAPIService(PAGED_API_CFG);
+
+		expect(srv.hasMore).to.be.true;
+		return srv.index({ _pg: { _s: 2 } }).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102 ]);
+		    expect(srv.hasMore).to.be.true;
+		    return srv.previousPage();
+		}).then(function(models) {
+		    expect(models).to.eql([ ]);
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 105 ]);
+		    expect(srv.hasMore).to.be.false;
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(models).to.eql([ ]);
+		    expect(requests()).to.equal(3);
+		    return srv.previousPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    srv.reset();
+		    expect(srv.hasMore).to.be.true;
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102 ]);
+		    return Promise.resolve(true);
+		});
+	    });
+	});
+
+	context('pagination strategies', function() {
+	    const OFFSET_API_CFG = _.merge({ }, API_CFG, {
+		root_url_template: '/my/offset_models',
+		pagination: 'offset'
+	    });
+	    const CURSOR_API_CFG = _.merge({ }, API_CFG, {
+		root_url_template: '/my/cursor_models',
+		pagination: { type: 'cursor', limit: 2 }
+	    });
+	    let ids = function(models) {
+		return _.map(models, 'id');
+	    };
+	    let last_params = function() {
+		return _.last(axmock.history.get).params;
+	    };
+
+	    beforeEach(function() {
+		axmock.resetHistory();
+	    });
+
+	    it('should use the page strategy by default', function() {
+		let srv = new FlAPIService(API_CFG);
+
+		expect(srv.pagination_strategy.name).to.equal('page');
+		expect(srv.initial_pagination_controls).to.eql({ _s: 20, _p: 1 });
+	    });
+
+	    it('should reject unknown strategies', function() {
+		expect(function() {
+		    new FlAPIService(_.merge({ }, API_CFG, { pagination: 'unknown' }));
+		}).to.throw(Error, /unknown pagination strategy/);
+	    });
+
+	    it('should accept custom strategies', function() {
+		let strategy = _.assign(FlPaginationStrategies.offset({ limit: 2 }), { name: 'custom' });
+		let srv = new FlAPIService(_.merge({ }, API_CFG, {
+		    root_url_template: '/my/offset_models',
+		    pagination: strategy
+		}));
+
+		return srv.index().then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102 ]);
+		    expect(last_params()).to.eql({ offset: 0, limit: 2 });
+		    expect(srv.pagination_strategy.name).to.equal('custom');
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should page with offset and limit', function() {
+		let srv = new FlAPIService(OFFSET_API_CFG);
+
+		expect(srv.initial_pagination_controls).to.eql({ offset: 0, limit: 20 });
+		return srv.index({ limit: 2 }).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102 ]);
+		    expect(last_params()).to.eql({ offset: 0, limit: 2 });
+		    expect(srv.pagination_controls).to.eql({ offset: 2, limit: 2, count: 2, total: 5 });
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 105 ]);
+		    expect(srv.hasMore).to.be.false;
+		    return srv.previousPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    expect(last_params()).to.eql({ offset: 2, limit: 2 });
+		    return srv.indexAll({ limit: 2 });
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102, 103, 104, 105 ]);
+		    expect(axmock.history.get.length).to.equal(7);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should advance after an index call with explicit pagination parameters', function() {
+		let offset_srv = new FlAPIService(OFFSET_API_CFG);
+		let cursor_srv = new FlAPIService(CURSOR_API_CFG);
+
+		return offset_srv.index({ offset: 2, limit: 2 }).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    return offset_srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 105 ]);
+		    expect(last_params()).to.eql({ offset: 4, limit: 2 });
+		    expect(offset_srv.hasMore).to.be.false;
+		    return cursor_srv.index({ cursor: '1' });
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 102, 103 ]);
+		    return cursor_srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 104, 105 ]);
+		    expect(last_params()).to.eql({ cursor: '3', limit: 2 });
+		    expect(cursor_srv.hasMore).to.be.false;
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should page with cursors', function() {
+		let srv = new FlAPIService(CURSOR_API_CFG);
+		let pages = [ ];
+		let iterator = srv.pages();
+
+		let _collect = function() {
+		    return iterator.next().then(function(step) {
+			if (step.done) return pages;
+			pages.push(ids(step.value));
+			return _collect();
+		    });
+		};
+
+		return _collect().then(function(pages) {
+		    expect(pages).to.eql([ [ 101, 102 ], [ 103, 104 ], [ 105 ] ]);
+		    expect(_.map(axmock.history.get, 'params')).to.eql([
+			{ limit: 2 }, { cursor: '2', limit: 2 }, { cursor: '4', limit: 2 }
+		    ]);
+		    expect(iterator.pagination_controls).to.eql({ cursor: null, limit: 2, next: null, prev: '2' });
+		    return srv.index();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102 ]);
+		    expect(srv.hasMore).to.be.true;
+		    return srv.previousPage();
+		}).then(function(models) {
+		    expect(models).to.eql([ ]);
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    return srv.nextPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 105 ]);
+		    expect(srv.hasMore).to.be.false;
+		    return srv.previousPage();
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 103, 104 ]);
+		    return srv.indexAll(undefined, { maxPages: 2 });
+		}).then(function(models) {
+		    expect(ids(models)).to.eql([ 101, 102, 103, 104 ]);
+		    return Promise.resolve(true);
+		});
+	    });
+	});
+
+	context('middleware', function() {
+	    let global_mw;
+
+	    afterEach(function() {
+		if (global_mw) FlAPIService.unuse(global_mw);
+		global_mw = null;
+	    });
+
+	    it('should rewrite the request configuration', function() {
+		let calls = [ ];
+		global_mw = function(cfg, ctx) {
+		    calls.push('global ' + ctx.method);
+		    cfg.headers = _.assign({ }, cfg.headers, { Authorization: 'Bearer token' });
+		};
+		FlAPIService.use(global_mw);
+
+		let srv = new FlAPIService(API_CFG).use({
+		    request: function(cfg, ctx) {
+			calls.push('local ' + ctx.method);
+			expect(this).to.equal(srv);
+			expect(cfg.headers.Authorization).to.equal('Bearer token');
+			return Promise.resolve(_.merge({ }, cfg, { params: { locale: 'it' } }));
+		    }
+		});
+
+		return srv.show(1).then(function(m) {
+		    expect(m.fingerprint).to.equal(MODEL_1.fingerprint);
+		    expect(srv.response.config.headers.Authorization).to.equal('Bearer token');
+		    expect(srv.response.config.params).to.eql({ locale: 'it' });
+		    expect(calls).to.eql([ 'global get', 'local get' ]);
+
+		    return new FlAPIService(API_CFG).show(1);
+		}).then(function(m) {
+		    expect(calls).to.eql([ 'global get', 'local get', 'global get' ]);
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should run class middleware only for the class and its subclasses', function() {
+		let calls = [ ];
+		let _service_desc = function(name, superclass) {
+		    return {
+			name: name,
+			superclass: superclass,
+			initializer: function(srv_cfg) {
+			    this.__super_init('FlAPIService', API_CFG, srv_cfg);
+			}
+		    };
+		};
+		let MyMWService = FlClassManager.make_class(_service_desc('MyMWService', 'FlAPIService'));
+		let MyMWSubService = FlClassManager.make_class(_service_desc('MyMWSubService', 'MyMWService'));
+		let MyMWSiblingService = FlClassManager.make_class(_service_desc('MyMWSiblingService', 'FlAPIService'));
+		let class_mw = function(cfg, ctx) { calls.push('class'); };
+
+		global_mw = function(cfg, ctx) { calls.push('global'); };
+		FlAPIService.use(global_mw);
+		MyMWService.use(class_mw);
+		MyMWSubService.use(function(cfg, ctx) { calls.push('subclass'); });
+
+		return new MyMWSubService().show(1).then(function() {
+		    expect(calls).to.eql([ 'global', 'class', 'subclass' ]);
+		    expect(FlAPIService._middleware.length).to.equal(1);
+		    calls = [ ];
+		    return new MyMWSiblingService().show(1);
+		}).then(function() {
+		    expect(calls).to.eql([ 'global' ]);
+		    MyMWSubService.unuse(class_mw);
+		    MyMWService.unuse(class_mw);
+		    calls = [ ];
+		    return new MyMWSubService().show(1);
+		}).then(function() {
+		    expect(calls).to.eql([ 'global', 'subclass' ]);
+		    th.clear_class([ 'MyMWService', 'MyMWSubService', 'MyMWSiblingService' ]);
+		    return Promise.resolve(true);
+		}, function(e) {
+		    th.clear_class([ 'MyMWService', 'MyMWSubService', 'MyMWSiblingService' ]);
+		    return Promise.reject(e);
+		});
+	    });
+
+	    it('should let request middleware change the URL and data', function() {
+		let srv = new FlAPIService(API_CFG).use(function(cfg, ctx) {
+		    if (ctx.method == 'patch')
+		    {
+			ctx.url = ctx.url.replace('/10.json', '/1.json');
+			ctx.data = _.merge({ }, ctx.data, { my_model: { value1: 'from middleware' } });
+		    }
+		});
+
+		return srv.update(10, { wrapped: { value1: 'new value1' } }).then(function(m) {
+		    expect(m.value1).to.equal('from middleware');
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should modify responses before the data are extracted', function() {
+		let srv = new FlAPIService(API_CFG).use({
+		    response: function(r, ctx) {
+			return _.merge({ }, r, { data: { payload: { model: { value1: 'from response middleware' } } } });
+		    }
+		});
+
+		return srv.show(1).then(function(m) {
+		    expect(m.value1).to.equal('from response middleware');
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should map errors', function() {
+		let srv = new FlAPIService(API_CFG).use({
+		    response: function(r, ctx) {
+			if (ctx.url == '/my/models/1.json') throw new Error('rejected by middleware');
+		    },
+		    error: function(e, ctx) {
+			return (_.isObject(e.response) && (e.response.status == 404))
+			    ? { response: { status: 404, data: { _error: { type: 'missing', message: 'normalized' } } } }
+			    : e;
+		    }
+		});
+
+		return srv.show(10).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e).to.include({ type: 'missing', message: 'normalized' });
+		    expect(srv.error.response.status).to.equal(404);
+		    return srv.show(1);
+		}).then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.message).to.equal('rejected by middleware');
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should remove middleware', function() {
+		let calls = 0;
+		let mw = function(cfg) { calls += 1; };
+		let srv = new FlAPIService(API_CFG).use(mw);
+
+		expect(function() { srv.use({ }); }).to.throw();
+		return srv.show(1).then(function() {
+		    srv.unuse(mw);
+		    return srv.show(1);
+		}).then(function() {
+		    expect(calls).to.equal(1);
+		    return Promise.resolve(true);
+		});
+	    });
+	});
     });
 
     describe('FlAPIService subclass', function() {
@@ -1785,6 +2542,553 @@ describe('fl.api_services module', function() {
 	});
     });
     
+    describe('FlModelBase persistence', function() {
+	before(function() {
+	    FlGlobalAPIServiceRegistry.register('api_services_tester', {
+		'MyAPIService': 'My::API::Test::Model'
+	    });
+	});
+
+	after(function() {
+	    th.clear_api_services(null, [ 'MyAPIService' ]);
+	});
+
+	context('#save', function() {
+	    it('should create a new object', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel({ type: 'My::API::Test::Model', value1: 'created value1' });
+		expect(my.isNew()).to.be.true;
+
+		return my.save()
+		    .then(function(m) {
+			expect(m).to.equal(my);
+			expect(my.isNew()).to.be.false;
+			expect(my.id).to.eq(1);
+			expect(my.fingerprint).to.eq('My::API::Test::Model/1');
+			expect(my.value1).to.eq('created value1');
+			expect(my.isDirty()).to.be.false;
+			expect(FlGlobalModelFactory.cache().get(my)).to.equal(my);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should submit only the modified properties on update', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let MyAPIService = FlClassManager.get_class('MyAPIService');
+		let srv = new MyAPIService();
+		let my = new MyAPITestModel(MODEL_1);
+		my.value1 = 'saved value1';
+
+		return my.save({ service: srv })
+		    .then(function(m) {
+			expect(m).to.equal(my);
+			expect(JSON.parse(srv.response.config.data)).to.eql({
+			    my_model: { value1: 'saved value1' },
+			    _updated_at: '2018-09-13T21:57:27.000Z'
+			});
+			expect(my.value1).to.eq('saved value1');
+			expect(my.isDirty()).to.be.false;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not make a request if the object is not modified', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let MyAPIService = FlClassManager.get_class('MyAPIService');
+		let srv = new MyAPIService();
+		let my = new MyAPITestModel(MODEL_1);
+
+		return my.save({ service: srv })
+		    .then(function(m) {
+			expect(m).to.equal(my);
+			expect(srv.response).to.be.undefined;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject on a server error', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(_.merge({ }, MODEL_1, { id: 10, fingerprint: 'My::API::Test::Model/10' }));
+		my.value1 = 'new value1';
+
+		return my.save()
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.status).to.eq('not_found');
+			expect(my.isDirty()).to.be.true;
+			expect(my.errors.isEmpty()).to.be.true;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not merge failures that are not validation errors', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_1);
+		let srv = {
+		    update: function() {
+			return Promise.reject({ type: 'timeout', message: 'timeout of 50ms exceeded' });
+		    }
+		};
+		my.value1 = 'new value1';
+
+		return my.save({ service: srv })
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.type).to.eq('timeout');
+			expect(my.errors.isEmpty()).to.be.true;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should merge server validation errors', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(_.merge({ }, MODEL_1, { id: 11, fingerprint: 'My::API::Test::Model/11' }));
+		my.value1 = 'taken value1';
+
+		return my.save()
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.type).to.eq('update_failure');
+			expect(my.errors.get('value1')).to.eql([ 'has already been taken' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not make a request if validation fails', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let MyAPIService = FlClassManager.get_class('MyAPIService');
+		let srv = new MyAPIService();
+		let my = new MyAPITestModel(MODEL_1);
+		my.value1 = 'new value1';
+		Object.defineProperty(my, 'validate', {
+		    value: function() {
+			this.errors.clear('client');
+			this.errors.add('value1', 'is invalid');
+			return false;
+		    },
+		    configurable: true, enumerable: false
+		});
+
+		return my.save({ service: srv })
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.type).to.eq('validation_failure');
+			expect(e.details.messages).to.eql({ value1: [ 'is invalid' ] });
+			expect(srv.response).to.be.undefined;
+
+			return my.save({ service: srv, validate: false });
+		    })
+		    .then(function(m) {
+			expect(m).to.equal(my);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject if no API service is registered', function() {
+		let MyAPITestOtherModel = FlClassManager.get_class('MyAPITestOtherModel');
+		let my = new MyAPITestOtherModel(OTHER_MODEL_20);
+		my.value1 = 'new value1';
+
+		return my.save()
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(Error);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('optimistic locking', function() {
+	    beforeEach(function() {
+		model_12_server = _.merge({ }, MODEL_12, {
+		    lock_version: 2,
+		    updated_at: '2018-09-14T10:00:00Z',
+		    value2: 'server value2'
+		});
+	    });
+
+	    afterEach(function() {
+		FlGlobalModelFactory.cache().clear();
+	    });
+
+	    it('should reject a stale update with a conflict error', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_12);
+		my.value1 = 'local value1';
+
+		return my.save({ unwrapped: { with_server: true } })
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlConflictError);
+			expect(e.type).to.eq('conflict');
+			expect(e.local).to.include({ value1: 'local value1', lock_version: 1 });
+			expect(e.server).to.include({ value2: 'server value2', lock_version: 2 });
+			expect(my.isDirty()).to.be.true;
+			expect(my.errors.isEmpty()).to.be.true;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should merge and resubmit with the three way strategy', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_12);
+		my.value1 = 'local value1';
+
+		return my.save({ merge: 'three_way' })
+		    .then(function(m) {
+			expect(m).to.equal(my);
+			expect(my.value1).to.eq('local value1');
+			expect(my.value2).to.eq('server value2');
+			expect(my.lock_version).to.eq(3);
+			expect(my.isDirty()).to.be.false;
+			expect(model_12_server.value1).to.eq('local value1');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should report conflicting attributes', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_12);
+		my.value1 = 'local value1';
+		my.value2 = 'local value2';
+
+		return my.save({ merge: 'three_way', unwrapped: { with_server: true } })
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlConflictError);
+			expect(e.conflicts).to.eql([ 'value2' ]);
+			expect(my.value2).to.eq('local value2');
+			expect(my.lock_version).to.eq(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support the client wins and server wins strategies', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_12);
+		my.value2 = 'local value2';
+
+		return my.save({ merge: 'server_wins' })
+		    .then(function(m) {
+			expect(my.value2).to.eq('server value2');
+			expect(my.isDirty()).to.be.false;
+			expect(my.lock_version).to.eq(2);
+
+			my = new MyAPITestModel(MODEL_12);
+			my.value2 = 'local value2';
+			return my.save({ merge: 'client_wins' });
+		    })
+		    .then(function(m) {
+			expect(my.value2).to.eq('local value2');
+			expect(model_12_server.value2).to.eq('local value2');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not send the lock token if locking is disabled', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let srv = new FlAPIService(_.assign({ }, API_CFG, { locking: false }));
+		let my = new MyAPITestModel(MODEL_1);
+		my.value1 = 'unlocked value1';
+
+		return my.save({ service: srv })
+		    .then(function(m) {
+			expect(JSON.parse(srv.response.config.data)).to.eql({ my_model: { value1: 'unlocked value1' } });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should emit a conflict event when a refresh overwrites modifications', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_12);
+		let events = [ ];
+		my.on('conflict', function(evt) { events.push(evt); });
+
+		my.value1 = 'local value1';
+		my.refresh(_.assign({ }, model_12_server, { value1: 'local value1' }));
+		expect(events).to.have.length(0);
+
+		my.value2 = 'local value2';
+		my.refresh(_.assign({ }, model_12_server, { updated_at: '2018-09-14T11:00:00Z' }));
+		expect(events).to.have.length(1);
+		expect(events[0].attributes).to.eql([ 'value2' ]);
+	    });
+	});
+
+	context('#reload', function() {
+	    it('should discard local changes and refresh in place', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel(MODEL_1);
+		my.value1 = 'local value1';
+		my.local_tag = 'TAG';
+
+		return my.reload()
+		    .then(function(m) {
+			expect(m).to.equal(my);
+			expect(my.value1).to.eq(MODEL_1.value1);
+			expect(my).to.not.have.property('local_tag');
+			expect(my.isDirty()).to.be.false;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject for a new object', function() {
+		let MyAPITestModel = FlClassManager.get_class('MyAPITestModel');
+		let my = new MyAPITestModel({ type: 'My::API::Test::Model' });
+
+		return my.reload()
+		    .then(function(m) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(Error);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('#destroy', function() {
+	    it('should delete the object and remove it from the cache', function() {
+		let my = FlGlobalModelFactory.create(MODEL_1);
+		expect(FlGlobalModelFactory.cache().get(MODEL_1)).to.equal(my);
+
+		return my.destroy()
+		    .then(function(status) {
+			expect(my.isDestroyed()).to.be.true;
+			expect(FlGlobalModelFactory.cache().get(MODEL_1)).to.be.undefined;
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('server refreshes', function() {
+	    before(function() {
+		FlClassManager.make_class(MY_LABEL_MODEL_DESC);
+	    });
+
+	    after(function() {
+		th.clear_class([ MY_LABEL_MODEL_DESC.name ]);
+	    });
+
+	    it('should leave instances clean after show', function() {
+		let MyAPITestLabelModel = FlClassManager.get_class(MY_LABEL_MODEL_DESC.name);
+		let srv = new FlAPIService(API_CFG);
+		let my = new MyAPITestLabelModel(_.merge({ }, MODEL_1, { value1: 'stale value1' }));
+
+		expect(my.label).to.equal('label: stale value1');
+		return srv.show(my).then(function(m) {
+		    expect(m).to.equal(my);
+		    expect(my.label).to.equal('label: ' + MODEL_1.value1);
+		    expect(my.isDirty()).to.be.false;
+		    expect(my.changedAttributes()).to.eql([ ]);
+
+		    return Promise.resolve(true);
+		});
+	    });
+
+	    it('should leave instances clean after a save creates them', function() {
+		let MyAPITestLabelModel = FlClassManager.get_class(MY_LABEL_MODEL_DESC.name);
+		// the server fills in value1, so the label changes in the refresh
+		let my = new MyAPITestLabelModel({ type: 'My::API::Test::Model', value2: 'created value2' });
+
+		return my.save().then(function(m) {
+		    expect(m).to.equal(my);
+		    expect(my.isNew()).to.be.false;
+		    expect(my.label).to.equal('label: ' + MODEL_1.value1);
+		    expect(my.isDirty()).to.be.false;
+		    expect(my.to_submission({ changed: true })).to.eql({ });
+
+		    return Promise.resolve(true);
+		});
+	    });
+	});
+    });
+
+    describe('reference loading', function() {
+	const MY_REF_MODEL_DESC = {
+	    name: 'MyAPIRefModel',
+	    superclass: 'FlModelBase',
+	    attributes: {
+		owner: 'reference'
+	    }
+	};
+
+	before(function() {
+	    FlClassManager.make_class(MY_REF_MODEL_DESC);
+	    FlGlobalAPIServiceRegistry.register('api_services_tester', {
+		'MyAPIService': 'My::API::Test::Model'
+	    });
+	});
+
+	after(function() {
+	    th.clear_api_services(null, [ 'MyAPIService' ]);
+	    th.clear_class([ MY_REF_MODEL_DESC.name ]);
+	});
+
+	beforeEach(function() {
+	    FlGlobalModelFactory.cache().clear();
+	    axmock.resetHistory();
+	});
+
+	it('should resolve cached references without a request', function() {
+	    let MyAPIRefModel = FlClassManager.get_class(MY_REF_MODEL_DESC.name);
+	    let owner = FlGlobalModelFactory.create(MODEL_1);
+	    let ref = new MyAPIRefModel({ owner: 'My::API::Test::Model/1' });
+
+	    expect(ref.owner).to.equal(owner);
+	    expect(axmock.history.get.length).to.equal(0);
+	});
+
+	it('should fetch missing references', function() {
+	    let MyAPIRefModel = FlClassManager.get_class(MY_REF_MODEL_DESC.name);
+	    let ref = new MyAPIRefModel({ owner: 'My::API::Test::Model/1' });
+
+	    expect(ref.owner).to.be.null;
+	    expect(axmock.history.get.length).to.equal(0);
+	    return ref.load('owner').then(function(owner) {
+		expect(owner.fingerprint).to.equal('My::API::Test::Model/1');
+		expect(ref.owner).to.equal(owner);
+		expect(ref.to_submission()).to.eql({ owner: 'My::API::Test::Model/1' });
+		expect(axmock.history.get.length).to.equal(1);
+
+		return ref.load('owner');
+	    }).then(function(owner) {
+		expect(owner).to.equal(ref.owner);
+		expect(axmock.history.get.length).to.equal(1);
+
+		return Promise.resolve(true);
+	    });
+	});
+
+	it('should not make requests when the instance is enumerated', function() {
+	    let MyAPIRefModel = FlClassManager.get_class(MY_REF_MODEL_DESC.name);
+	    let ref = new MyAPIRefModel({ owner: 'My::Unknown/1' });
+
+	    expect(_.clone(ref).owner).to.be.null;
+	    expect(_.assign({ }, ref).owner).to.be.null;
+	    expect(ref.validate()).to.be.true;
+	    expect(axmock.history.get.length).to.equal(0);
+	});
+
+	it('should reject loads of unknown relationships', function() {
+	    let MyAPIRefModel = FlClassManager.get_class(MY_REF_MODEL_DESC.name);
+	    let ref = new MyAPIRefModel({ });
+
+	    return Promise.all([
+		ref.load('owner').then(function(owner) {
+		    expect(owner).to.be.null;
+		    return Promise.resolve(true);
+		}),
+		ref.load('name').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e).to.be.an.instanceof(Error);
+		    return Promise.resolve(true);
+		})
+	    ]);
+	});
+
+	it('should share the request for concurrent fetches', function() {
+	    let p1 = FlGlobalModelFactory.fetch('My::API::Test::Model/1');
+	    let p2 = FlGlobalModelFactory.fetch('My::API::Test::Model/1');
+
+	    expect(p2).to.equal(p1);
+	    return Promise.all([ p1, p2 ]).then(function(models) {
+		expect(models[1]).to.equal(models[0]);
+		expect(axmock.history.get.length).to.equal(1);
+
+		return FlGlobalModelFactory.fetch('My::API::Test::Model/1');
+	    }).then(function(m) {
+		expect(axmock.history.get.length).to.equal(1);
+
+		return Promise.resolve(true);
+	    });
+	});
+
+	it('should reject on failure', function() {
+	    return Promise.all([
+		FlGlobalModelFactory.fetch('My::API::Test::Model/10').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e.type).to.eq('not_found');
+		    return Promise.resolve(true);
+		}),
+		FlGlobalModelFactory.fetch('My::Unknown/1').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e).to.be.an.instanceof(Error);
+		    return Promise.resolve(true);
+		}),
+		FlGlobalModelFactory.fetch('garbage').then(function() {
+		    return Promise.reject('should not have reached this');
+		}, function(e) {
+		    expect(e).to.be.an.instanceof(Error);
+		    return Promise.resolve(true);
+		})
+	    ]);
+	});
+    });
+
+    describe('normalized responses', function() {
+	beforeEach(function() {
+	    FlGlobalModelFactory.cache().clear();
+	});
+
+	it('should resolve references in the response', function() {
+	    let srv = new FlAPIService(_.merge({ }, API_CFG, { root_url_template: '/my/normalized_models' }));
+	    let created = [ ];
+	    let listener = function(e) {
+		created.push(e.model.fingerprint);
+	    };
+
+	    FlGlobalModelFactory.on('created', listener);
+	    return srv.index().then(function(models) {
+		FlGlobalModelFactory.off('created', listener);
+
+		let MyAPITestBaseModel = FlClassManager.get_class('MyAPITestBaseModel');
+		expect(models.length).to.equal(2);
+		expect(models[0].owner).to.be.an.instanceof(MyAPITestBaseModel);
+		expect(models[1].owner).to.equal(models[0].owner);
+		expect(created).to.eql([ BASE_MODEL_10.fingerprint, MODEL_1.fingerprint, MODEL_2.fingerprint ]);
+
+		return Promise.resolve(true);
+	    }, function(e) {
+		FlGlobalModelFactory.off('created', listener);
+		return Promise.reject(e);
+	    });
+	});
+    });
+
     describe('FlAPIServiceRegistry', function() {
 	afterEach(function() {
 	    th.clear_api_services(null, [ 'MyOtherAPIService', 'MyOther2APIService' ]);
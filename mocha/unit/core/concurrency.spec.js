@@ -0,0 +1,48 @@
+const _ = require('lodash');
+const { FlConflictError, FlMergeStrategies } = require('fl/core/concurrency');
+
+describe('fl.concurrency module', function() {
+    describe('FlConflictError', function() {
+	it('should be an Error with the API error properties', function() {
+	    let e = new FlConflictError('stale', { local: { a: 1 }, server: { a: 2 } });
+
+	    expect(e).to.be.an.instanceof(Error);
+	    expect(e.message).to.eq('stale');
+	    expect(e.type).to.eq('conflict');
+	    expect(e.local).to.eql({ a: 1 });
+	    expect(e.server).to.eql({ a: 2 });
+	    expect(e.conflicts).to.eql([ ]);
+	});
+
+	it('should detect conflict errors', function() {
+	    expect(FlConflictError.isConflict(new FlConflictError('stale'))).to.be.true;
+	    expect(FlConflictError.isConflict({ type: 409 })).to.be.true;
+	    expect(FlConflictError.isConflict({ type: 'stale_object_error' })).to.be.true;
+	    expect(FlConflictError.isConflict({ type: 422 })).to.be.false;
+	    expect(FlConflictError.isConflict(null)).to.be.false;
+	});
+    });
+
+    describe('FlMergeStrategies', function() {
+	const BASE = { a: 1, b: 2, c: 3 };
+	const LOCAL = { a: 10, b: 20, c: 3 };
+	const SERVER = { a: 1, b: 30, c: 40 };
+
+	it('should keep local modifications with client_wins', function() {
+	    expect(FlMergeStrategies.client_wins(BASE, LOCAL, SERVER, _.isEqual))
+		.to.eql({ values: { a: 10, b: 20 }, conflicts: [ ] });
+	});
+
+	it('should discard local modifications with server_wins', function() {
+	    expect(FlMergeStrategies.server_wins(BASE, LOCAL, SERVER, _.isEqual))
+		.to.eql({ values: { }, conflicts: [ ] });
+	});
+
+	it('should merge attributes with three_way', function() {
+	    expect(FlMergeStrategies.three_way(BASE, LOCAL, SERVER, _.isEqual))
+		.to.eql({ values: { a: 10 }, conflicts: [ 'b' ] });
+	    expect(FlMergeStrategies.three_way(BASE, LOCAL, _.assign({ }, SERVER, { b: 20 }), _.isEqual))
+		.to.eql({ values: { a: 10, b: 20 }, conflicts: [ ] });
+	});
+    });
+});
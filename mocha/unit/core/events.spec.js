@@ -0,0 +1,92 @@
+const _ = require('lodash');
+const { FlExtensions } = require('fl/core/object_system');
+const { FlEventsExtension } = require('fl/core/events');
+
+function MyEmitter() { };
+FlExtensions.register(FlEventsExtension, MyEmitter);
+
+describe('fl.events module', function() {
+    describe('FlEventsExtension', function() {
+	context('#on', function() {
+	    it('should call listeners in registration order', function() {
+		let e = new MyEmitter();
+		let calls = [ ];
+
+		e.on('ping', function(v) { calls.push('one:' + v); });
+		e.on('ping', function(v) { calls.push('two:' + v); });
+
+		expect(e.emit('ping', 1)).to.be.true;
+		expect(e.emit('ping', 2)).to.be.true;
+		expect(calls).to.eql([ 'one:1', 'two:1', 'one:2', 'two:2' ]);
+	    });
+
+	    it('should not make listeners enumerable', function() {
+		let e = new MyEmitter();
+
+		e.on('ping', function() { });
+		expect(_.keys(e)).to.eql([ ]);
+	    });
+
+	    it('should call listeners with the emitter as this', function() {
+		let e = new MyEmitter();
+		let self = null;
+
+		e.on('ping', function() { self = this; });
+		e.emit('ping');
+		expect(self).to.equal(e);
+	    });
+	});
+
+	context('#once', function() {
+	    it('should call the listener only once', function() {
+		let e = new MyEmitter();
+		let count = 0;
+
+		e.once('ping', function() { count += 1; });
+		e.emit('ping');
+		e.emit('ping');
+		expect(count).to.equal(1);
+		expect(e.listenerCount('ping')).to.equal(0);
+	    });
+	});
+
+	context('#off', function() {
+	    it('should remove a listener', function() {
+		let e = new MyEmitter();
+		let calls = [ ];
+		let l1 = function() { calls.push('one'); };
+		let l2 = function() { calls.push('two'); };
+
+		e.on('ping', l1).on('ping', l2);
+		e.off('ping', l1);
+		e.emit('ping');
+		expect(calls).to.eql([ 'two' ]);
+	    });
+
+	    it('should remove all listeners', function() {
+		let e = new MyEmitter();
+
+		e.on('ping', function() { }).on('pong', function() { });
+		e.off('ping');
+		expect(e.listenerCount('ping')).to.equal(0);
+		expect(e.listenerCount('pong')).to.equal(1);
+
+		e.off();
+		expect(e.listenerCount('pong')).to.equal(0);
+		expect(e.emit('pong')).to.be.false;
+	    });
+	});
+
+	context('#emit', function() {
+	    it('should isolate listener exceptions', function() {
+		let e = new MyEmitter();
+		let called = false;
+
+		e.on('ping', function() { throw new Error('listener error'); });
+		e.on('ping', function() { called = true; });
+		expect(function() { e.emit('ping'); }).to.not.throw();
+		expect(called).to.be.true;
+	    });
+	});
+    });
+});
@@ -3,6 +3,9 @@ const { FlExtensions, FlClassManager } = require('fl/core/object_system');
 const {
     FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
 } = require('fl/core/model_factory');
+const { FlMemoryStorageAdapter } = require('fl/core/model_storage');
+const { FlPermissionRegistry } = require('fl/core/permissions');
+const { DateTime } = require('luxon');
 const th = require('test_helpers');
 
 const MY_MODEL_DESC = {
@@ -32,6 +35,40 @@ const MY_OTHER_DESC = {
     }
 };
 
+const MY_SCHEMA_DESC = {
+    name: 'MySchemaModel',
+    superclass: 'FlModelBase',
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    attributes: {
+	accessed_at: 'date',
+	contents_json: 'json',
+	count: 'integer',
+	active: 'boolean',
+	state: { type: 'enum', values: [ 'draft', 'published' ], default: 'draft' },
+	owner: 'model',
+	others: 'model_array',
+	attachments: { type: 'attachment', class_name: 'My::Other' }
+    }
+};
+
+// a subclass that sets its own state after the base refresh, which has already committed
+const MY_LABEL_SCHEMA_DESC = {
+    name: 'MyLabelSchemaModel',
+    superclass: 'MySchemaModel',
+    initializer: function(data) {
+	this.__super_init('MySchemaModel', data);
+    },
+    instance_methods: {
+	refresh: function(data) {
+	    if (!this.__super('MySchemaModel', 'refresh', data)) return false;
+	    this.owner_name = (_.isObject(this.owner)) ? this.owner.username : null;
+	    return true;
+	}
+    }
+};
+
 const MODEL_1 = {
     type: "My::Factory::Test::Model",
     api_root: "/my/model",
@@ -80,6 +117,21 @@ const OTHER_1 = {
     username: "user104"
 };
 
+const SCHEMA_1 = {
+    type: "My::Schema::Model",
+    fingerprint: "My::Schema::Model/8",
+    id: 8,
+    accessed_at: '2018-09-13T22:10:20Z',
+    contents_json: '{"one":1,"two":"two"}',
+    count: '12',
+    active: 'false',
+    state: 'published',
+    owner: MODEL_1,
+    others: [ OTHER_1 ],
+    attachments: [ { name: 'a1' }, { name: 'a2' } ],
+    plain: { one: 1 }
+};
+
 const UNDEFINED_1 = {
     type: "My::Undefined",
     api_root: "/my/undefined",
@@ -246,6 +298,915 @@ describe('fl.model_factory module', function() {
 		expect(mm.updated_at).to.be.an('undefined');
 	    });
 	});
+
+	context('change tracking', function() {
+	    it('should not be dirty after creation', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		expect(mm.isDirty()).to.be.false;
+		expect(mm.changedAttributes()).to.eql([ ]);
+		expect(mm.changes()).to.eql({ });
+	    });
+
+	    it('should track modified, added, and deleted properties', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.first_name = 'First';
+		mm.roles.push('admin');
+		mm.nickname = 'nick';
+		delete mm.intro;
+
+		expect(mm.isDirty()).to.be.true;
+		expect(mm.changedAttributes()).to.have.members([ 'first_name', 'roles', 'nickname', 'intro' ]);
+
+		let c = mm.changes();
+		expect(c.first_name).to.eql({ old: '@user102', new: 'First' });
+		expect(c.roles).to.eql({ old: [ 'customer' ], new: [ 'customer', 'admin' ] });
+		expect(c.nickname).to.eql({ old: undefined, new: 'nick' });
+		expect(c.intro).to.eql({ old: null, new: undefined });
+	    });
+
+	    it('should not report unmodified dates as changes', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.accessed_at = new Date(mm.accessed_at.getTime());
+		expect(mm.isDirty()).to.be.false;
+	    });
+
+	    it('should revert modifications', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.first_name = 'First';
+		mm.roles.push('admin');
+		mm.nickname = 'nick';
+		delete mm.intro;
+
+		expect(mm.revert()).to.equal(mm);
+		expect(mm.isDirty()).to.be.false;
+		expect(mm.first_name).to.equal('@user102');
+		expect(mm.roles).to.eql([ 'customer' ]);
+		expect(mm).to.not.have.property('nickname');
+		expect(mm.intro).to.be.null;
+	    });
+
+	    it('should commit modifications', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.first_name = 'First';
+		expect(mm.commit()).to.equal(mm);
+		expect(mm.isDirty()).to.be.false;
+
+		mm.revert();
+		expect(mm.first_name).to.equal('First');
+	    });
+
+	    it('should reset on a refresh', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.first_name = 'First';
+		mm.refresh({ first_name: 'Server' });
+		expect(mm.isDirty()).to.be.false;
+		expect(mm.first_name).to.equal('Server');
+	    });
+
+	    it('should reset after a factory refresh in a subclass', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: MyFactoryTestModel, class_name: 'My::Factory::Test::Model' }
+		]);
+
+		let mm = FlModelFactory.defaultFactory().create(MODEL_1);
+		mm.last_name = 'Last';
+		FlModelFactory.defaultFactory().create(_.merge({ }, MODEL_1, { first_name: 'Server' }));
+
+		expect(mm.isDirty()).to.be.false;
+		expect(mm.last_name).to.be.null;
+		FlModelFactory.defaultFactory().cache().clear();
+	    });
+	});
+
+	context('change notifications', function() {
+	    it('should emit a change event on commit', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let mm = new MyFactoryTestModel(MODEL_1);
+		let events = [ ];
+
+		mm.on('change', function(evt) { events.push(evt); });
+		mm.commit();
+		expect(events).to.have.length(0);
+
+		mm.username = 'new name';
+		mm.commit();
+		expect(events).to.have.length(1);
+		expect(events[0].model).to.equal(mm);
+		expect(events[0].changes).to.eql({ username: { old: 'user102', new: 'new name' } });
+	    });
+
+	    it('should emit a change event on refresh', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let mm = new MyFactoryTestModel(MODEL_1);
+		let changes = null;
+
+		mm.on('change', function(evt) { changes = evt.changes; });
+		mm.refresh({ email: 'new@opoline.com' });
+		expect(changes).to.have.all.keys('email');
+	    });
+	});
+
+	context('attribute schemas', function() {
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_SCHEMA_DESC);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' },
+		    { service: FlClassManager.get_class(MY_SCHEMA_DESC.name), class_name: 'My::Schema::Model' }
+		]);
+	    });
+
+	    afterEach(function() {
+		FlModelFactory.defaultFactory().cache().clear();
+		th.clear_model_services(null, [ MY_SCHEMA_DESC.name ]);
+		th.clear_class([ MY_SCHEMA_DESC.name ]);
+	    });
+
+	    it('should convert scalar attributes', function() {
+		let mm = FlClassManager.modelize(MY_SCHEMA_DESC.name, SCHEMA_1);
+
+		expect(mm.accessed_at).to.be.an.instanceof(Date);
+		expect(mm.accessed_at.toISOString()).to.equal('2018-09-13T22:10:20.000Z');
+		expect(mm.contents_json).to.eql({ one: 1, two: 'two' });
+		expect(mm.count).to.equal(12);
+		expect(mm.active).to.equal(false);
+		expect(mm.state).to.equal('published');
+		expect(mm.plain).to.eql({ one: 1 });
+	    });
+
+	    it('should use the enum default for unknown values', function() {
+		let mm = FlClassManager.modelize(MY_SCHEMA_DESC.name, SCHEMA_1);
+
+		mm.refresh({ state: 'unknown' });
+		expect(mm.state).to.equal('draft');
+	    });
+
+	    it('should not convert null values', function() {
+		let mm = FlClassManager.modelize(MY_SCHEMA_DESC.name, SCHEMA_1);
+
+		mm.refresh({ owner: null, count: null, state: null });
+		expect(mm.owner).to.be.null;
+		expect(mm.count).to.be.null;
+		expect(mm.state).to.be.null;
+	    });
+
+	    it('should convert model attributes through the factory', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let MyOther = FlClassManager.get_class(MY_OTHER_DESC.name);
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+
+		expect(mm.owner).to.be.an.instanceof(MyFactoryTestModel);
+		expect(mm.owner.username).to.equal('user102');
+		expect(mm.owner).to.equal(FlModelFactory.defaultFactory().create(MODEL_1));
+		expect(mm.others).to.be.an('array');
+		expect(mm.others[0]).to.be.an.instanceof(MyOther);
+	    });
+
+	    it('should create uncached attachments using the class name', function() {
+		let MyOther = FlClassManager.get_class(MY_OTHER_DESC.name);
+		let mm = FlClassManager.modelize(MY_SCHEMA_DESC.name, SCHEMA_1);
+
+		expect(mm.attachments).to.have.length(2);
+		expect(mm.attachments[0]).to.be.an.instanceof(MyOther);
+		expect(mm.attachments[1].name).to.equal('a2');
+	    });
+	});
+
+	context('dates and time zones', function() {
+	    const MY_ZONED_DESC = {
+		name: 'MyZonedModel',
+		superclass: 'FlModelBase',
+		attributes: {
+		    starts_at: 'date',
+		    logged_at: { type: 'date', zone: 'utc' }
+		}
+	    };
+	    const ZONED_1 = {
+		type: 'My::Zoned::Model',
+		fingerprint: 'My::Zoned::Model/4',
+		id: 4,
+		created_at: '2018-09-13T21:57:27Z',
+		updated_at: '2018-09-13T21:57:27Z',
+		starts_at: '2018-09-14T15:30:00Z',
+		logged_at: '2018-09-14T15:30:00Z'
+	    };
+
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_ZONED_DESC);
+	    });
+
+	    afterEach(function() {
+		th.clear_class([ MY_ZONED_DESC.name ]);
+	    });
+
+	    it('should convert to Date by default', function() {
+		let mm = FlClassManager.modelize(MY_ZONED_DESC.name, ZONED_1);
+
+		expect(mm.created_at).to.be.an.instanceof(Date);
+		expect(mm.starts_at).to.be.an.instanceof(Date);
+		expect(mm.starts_at.toISOString()).to.equal('2018-09-14T15:30:00.000Z');
+	    });
+
+	    it('should use the date options of the default factory', function() {
+		let factory = FlModelFactory.defaultFactory().child({ dates: { luxon: true, zone: 'America/New_York' } });
+		let mm = FlModelFactory.withFactory(factory, function() {
+		    return FlClassManager.modelize(MY_ZONED_DESC.name, ZONED_1);
+		});
+
+		expect(DateTime.isDateTime(mm.created_at)).to.be.true;
+		expect(mm.created_at.zoneName).to.equal('America/New_York');
+		expect(DateTime.isDateTime(mm.updated_at)).to.be.true;
+		expect(mm.starts_at.zoneName).to.equal('America/New_York');
+		expect(mm.starts_at.hour).to.equal(11);
+		expect(mm.logged_at.zoneName).to.equal('UTC');
+		expect(mm.isDirty()).to.be.false;
+		expect(mm.to_submission()).to.include({ starts_at: '2018-09-14T11:30:00.000-04:00' });
+
+		expect(factory.child().dateOptions()).to.eql({ luxon: true, zone: 'America/New_York' });
+		expect(factory.setDateOptions({ zone: null })).to.eql({ luxon: true });
+	    });
+
+	    it('should use the dateOptions class property', function() {
+		let MyZonedLocal = FlClassManager.make_class({
+		    name: 'MyZonedLocal',
+		    superclass: MY_ZONED_DESC.name,
+		    class_properties: {
+			dateOptions: { value: { luxon: true, zone: 'Europe/Rome' } }
+		    }
+		});
+		let MyZonedSub = FlClassManager.make_class({
+		    name: 'MyZonedSub',
+		    superclass: 'MyZonedLocal'
+		});
+
+		let mm = new MyZonedSub(ZONED_1);
+		expect(mm.starts_at.zoneName).to.equal('Europe/Rome');
+		expect(mm.updated_at.zoneName).to.equal('Europe/Rome');
+		expect(mm.logged_at.zoneName).to.equal('UTC');
+
+		th.clear_class([ 'MyZonedLocal', 'MyZonedSub' ]);
+	    });
+
+	    it('should format dates in the actor zone', function() {
+		let mm = FlClassManager.modelize(MY_ZONED_DESC.name, ZONED_1);
+		let factory = FlModelFactory.defaultFactory().child({ dates: { zone: 'Asia/Tokyo' } });
+
+		expect(mm.dateTime('starts_at').zoneName).to.equal('UTC');
+		expect(mm.formatDate('starts_at', 'yyyy-MM-dd HH:mm')).to.equal('2018-09-14 15:30');
+		expect(mm.formatDate('starts_at', 'HH:mm', 'America/New_York')).to.equal('11:30');
+		expect(FlModelFactory.withFactory(factory, function() {
+		    return mm.formatDate('starts_at', 'yyyy-MM-dd HH:mm');
+		})).to.equal('2018-09-15 00:30');
+		expect(mm.formatDate('missing')).to.be.null;
+	    });
+	});
+
+	context('serialization', function() {
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_SCHEMA_DESC);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' },
+		    { service: FlClassManager.get_class(MY_SCHEMA_DESC.name), class_name: 'My::Schema::Model' }
+		]);
+	    });
+
+	    afterEach(function() {
+		FlModelFactory.defaultFactory().cache().clear();
+		th.clear_model_services(null, [ MY_SCHEMA_DESC.name ]);
+		th.clear_class([ MY_SCHEMA_DESC.name ]);
+	    });
+
+	    it('should convert to the submission format', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+		let s = mm.to_submission();
+
+		expect(s).to.not.have.any.keys('type', 'fingerprint', 'id');
+		expect(s.accessed_at).to.equal('2018-09-13T22:10:20.000Z');
+		expect(s.contents_json).to.equal('{"one":1,"two":"two"}');
+		expect(s.owner).to.equal('My::Factory::Test::Model/2');
+		expect(s.others).to.eql([ 'My::Other/4' ]);
+		expect(s.attachments).to.eql([ { name: 'a1' }, { name: 'a2' } ]);
+		expect(s.plain).to.eql({ one: 1 });
+		expect(s.plain).to.not.equal(mm.plain);
+	    });
+
+	    it('should support whitelists and blacklists', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+
+		expect(mm.to_submission({ only: [ 'count', 'state', 'id' ] })).to.eql({ count: 12, state: 'published' });
+		expect(mm.to_submission({ except: [ 'owner', 'others', 'attachments', 'contents_json', 'accessed_at' ] }))
+		    .to.eql({ count: 12, active: false, state: 'published', plain: { one: 1 } });
+	    });
+
+	    it('should include only modified properties if requested', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+
+		expect(mm.to_submission({ changed: true })).to.eql({ });
+		mm.count = 20;
+		mm.owner = null;
+		expect(mm.to_submission({ changed: true })).to.eql({ count: 20, owner: null });
+	    });
+
+	    it('should include read-only properties in the JSON representation', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+		let j = JSON.parse(JSON.stringify(mm));
+
+		expect(j.type).to.equal('My::Schema::Model');
+		expect(j.id).to.equal(8);
+		expect(j.owner).to.equal('My::Factory::Test::Model/2');
+	    });
+	});
+
+	context('snapshots', function() {
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_SCHEMA_DESC);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' },
+		    { service: FlClassManager.get_class(MY_SCHEMA_DESC.name), class_name: 'My::Schema::Model' }
+		]);
+	    });
+
+	    afterEach(function() {
+		FlModelFactory.defaultFactory().cache().clear();
+		th.clear_model_services(null, [ MY_SCHEMA_DESC.name ]);
+		th.clear_class([ MY_SCHEMA_DESC.name ]);
+	    });
+
+	    it('should return a frozen plain object', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+		let s = mm.snapshot();
+
+		expect(_.isPlainObject(s)).to.be.true;
+		expect(Object.isFrozen(s)).to.be.true;
+		expect(Object.isFrozen(s.contents_json)).to.be.true;
+		expect(Object.isFrozen(s.others)).to.be.true;
+		expect(s.fingerprint).to.equal(SCHEMA_1.fingerprint);
+		expect(s.accessed_at).to.equal('2018-09-13T22:10:20.000Z');
+		expect(s.contents_json).to.eql({ one: 1, two: 'two' });
+		expect(s.count).to.equal(12);
+		expect(s.owner).to.eql({ _ref: MODEL_1.fingerprint });
+		expect(s.others).to.eql([ { _ref: OTHER_1.fingerprint } ]);
+		expect(s.plain).to.eql({ one: 1 });
+	    });
+
+	    it('should share unchanged structure', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+		let s1 = mm.snapshot();
+
+		expect(mm.snapshot()).to.equal(s1);
+
+		mm.count = 13;
+		let s2 = mm.snapshot();
+		expect(s2).to.not.equal(s1);
+		expect(s2.count).to.equal(13);
+		expect(s1.count).to.equal(12);
+		expect(s2.contents_json).to.equal(s1.contents_json);
+		expect(s2.others).to.equal(s1.others);
+	    });
+
+	    it('should nest snapshots on request', function() {
+		let mm = FlModelFactory.defaultFactory().create(SCHEMA_1);
+		mm.owner.friend = mm;
+		let s = mm.snapshot({ nested: 'snapshot' });
+
+		expect(s.owner.fingerprint).to.equal(MODEL_1.fingerprint);
+		expect(s.owner.friend).to.eql({ _ref: SCHEMA_1.fingerprint });
+		expect(Object.isFrozen(s.owner)).to.be.true;
+		expect(s.others[0].username).to.equal(OTHER_1.username);
+		expect(mm.snapshot()).to.not.equal(s);
+	    });
+
+	    it('should get live instances from snapshots', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let mm = factory.create(SCHEMA_1);
+		let s = mm.snapshot();
+
+		mm.count = 20;
+		mm.owner = null;
+		let restored = factory.fromSnapshot(s);
+		expect(restored).to.equal(mm);
+		expect(mm.count).to.equal(12);
+		expect(mm.owner).to.equal(factory.cache().get(MODEL_1));
+		expect(mm.accessed_at).to.be.an.instanceof(Date);
+		expect(mm.isDirty()).to.be.false;
+
+		mm.contents_json.three = 3;
+		expect(s.contents_json).to.not.have.property('three');
+
+		factory.cache().clear();
+		let copy = factory.fromSnapshot([ s ]);
+		expect(copy[0]).to.not.equal(mm);
+		expect(copy[0]).to.be.an.instanceof(FlClassManager.get_class(MY_SCHEMA_DESC.name));
+		expect(copy[0].count).to.equal(12);
+	    });
+	});
+
+	context('permissions', function() {
+	    it('should check implied permissions', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let mm = new MyFactoryTestModel(_.merge({ }, MODEL_1, { permissions: { edit: true, delete: false } }));
+
+		expect(mm.has_permission('read')).to.be.false;
+		expect(mm.can('read')).to.be.true;
+		expect(mm.can('write')).to.be.true;
+		expect(mm.can('delete')).to.be.false;
+		expect(mm.can('manage')).to.be.false;
+
+		mm = new MyFactoryTestModel(_.merge({ }, MODEL_1, { permissions: [ 'manage' ] }));
+		expect(mm.can('delete')).to.be.true;
+		expect(mm.can('index')).to.be.false;
+	    });
+
+	    it('should check lists of permissions', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let mm = new MyFactoryTestModel(_.merge({ }, MODEL_1, { permissions: { edit: true } }));
+
+		expect(mm.canAny([ 'delete', 'read' ])).to.be.true;
+		expect(mm.canAny([ 'delete', 'index' ])).to.be.false;
+		expect(mm.canAny([ ])).to.be.false;
+		expect(mm.canAll([ 'read', 'write' ])).to.be.true;
+		expect(mm.canAll([ 'read', 'delete' ])).to.be.false;
+		expect(mm.canAll([ ])).to.be.true;
+	    });
+
+	    it('should use a custom registry', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let mm = new MyFactoryTestModel(_.merge({ }, MODEL_1, { permissions: { curate: true } }));
+		let reg = new FlPermissionRegistry({ publish: [ ], curate: [ 'publish' ] });
+
+		expect(mm.can('publish')).to.be.false;
+		expect(mm.can('publish', reg)).to.be.true;
+		expect(mm.canAll([ 'curate', 'publish' ], reg)).to.be.true;
+	    });
+	});
+
+	context('computed properties', function() {
+	    const MY_COMPUTED_DESC = {
+		name: 'MyComputedModel',
+		superclass: 'FlModelBase',
+		computed: {
+		    full_name: {
+			depends: [ 'first_name', 'last_name' ],
+			serialize: true,
+			get: function() { return this.first_name + ' ' + this.last_name; }
+		    },
+		    initials: {
+			depends: [ 'first_name', 'last_name' ],
+			get: function() { return this.first_name[0] + this.last_name[0]; }
+		    }
+		}
+	    };
+
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_COMPUTED_DESC);
+	    });
+
+	    afterEach(function() {
+		th.clear_class([ MY_COMPUTED_DESC.name ]);
+	    });
+
+	    it('should recompute after a refresh', function() {
+		let MyComputedModel = FlClassManager.get_class(MY_COMPUTED_DESC.name);
+		let mm = new MyComputedModel({ first_name: 'Ada', last_name: 'Lovelace' });
+
+		expect(mm.full_name).to.equal('Ada Lovelace');
+		mm.refresh({ first_name: 'Augusta', full_name: 'ignored' });
+		expect(mm.full_name).to.equal('Augusta Lovelace');
+		expect(mm.isDirty()).to.be.false;
+	    });
+
+	    it('should include computed properties on request', function() {
+		let MyComputedModel = FlClassManager.get_class(MY_COMPUTED_DESC.name);
+		let mm = new MyComputedModel({ first_name: 'Ada', last_name: 'Lovelace' });
+
+		expect(mm.to_submission()).to.eql({ first_name: 'Ada', last_name: 'Lovelace' });
+		expect(mm.to_submission({ computed: true, except: [ 'full_name' ] }))
+		    .to.eql({ first_name: 'Ada', last_name: 'Lovelace', initials: 'AL' });
+		expect(mm.to_submission({ computed: [ 'initials' ], only: [ 'first_name' ] }))
+		    .to.eql({ first_name: 'Ada', initials: 'AL' });
+		expect(JSON.parse(JSON.stringify(mm)))
+		    .to.eql({ first_name: 'Ada', last_name: 'Lovelace', full_name: 'Ada Lovelace' });
+	    });
+	});
+
+	context('validation', function() {
+	    const MY_VALID_DESC = {
+		name: 'MyValidModel',
+		superclass: 'FlModelBase',
+		attributes: {
+		    title: { validations: { required: true, length: { maximum: 5 } } },
+		    code: { validations: { format: /^[A-Z]+$/ } },
+		    count: { type: 'integer', validations: { numericality: { greater_than_or_equal_to: 0 } } },
+		    state: { validations: { inclusion: [ 'draft', 'published' ], unknown: true } }
+		}
+	    };
+
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_VALID_DESC);
+	    });
+
+	    afterEach(function() {
+		th.clear_class([ MY_VALID_DESC.name ]);
+	    });
+
+	    it('should run the declared validators', function() {
+		let MyValidModel = FlClassManager.get_class(MY_VALID_DESC.name);
+		let mm = new MyValidModel({ title: 'too long', code: 'ab', count: '-1', state: 'other' });
+
+		expect(mm.count).to.equal(-1);
+		expect(mm.validate()).to.be.false;
+		expect(mm.errors.messages()).to.eql({
+		    title: [ 'is too long (maximum is 5 characters)' ],
+		    code: [ 'is invalid' ],
+		    count: [ 'must be greater than or equal to 0' ],
+		    state: [ 'is not included in the list' ]
+		});
+
+		mm.refresh({ title: 'ok', code: 'AB', count: 2, state: 'draft' });
+		expect(mm.validate()).to.be.true;
+		expect(mm.errors.isEmpty()).to.be.true;
+	    });
+
+	    it('should validate selected attributes', function() {
+		let MyValidModel = FlClassManager.get_class(MY_VALID_DESC.name);
+		let mm = new MyValidModel({ code: 'ab' });
+
+		expect(mm.validate({ only: [ 'code' ] })).to.be.false;
+		expect(mm.errors.messages()).to.eql({ code: [ 'is invalid' ] });
+	    });
+
+	    it('should keep server errors', function() {
+		let MyValidModel = FlClassManager.get_class(MY_VALID_DESC.name);
+		let mm = new MyValidModel({ title: 'ok' });
+
+		mm.errors.merge_server({ details: { messages: { title: [ 'has already been taken' ] } } });
+		expect(mm.validate()).to.be.false;
+		expect(mm.errors.get('title')).to.eql([ 'has already been taken' ]);
+		expect(_.keys(mm)).to.not.include('__errors');
+	    });
+	});
+
+	context('relationships', function() {
+	    const MY_LIST_DESC = {
+		name: 'MyRelList',
+		superclass: 'FlModelBase',
+		attributes: {
+		    items: { type: 'has_many', class_name: 'My::Rel::Item', inverse: 'list' },
+		    notes: { type: 'has_many', inverse: 'subject' }
+		}
+	    };
+
+	    const MY_ITEM_DESC = {
+		name: 'MyRelItem',
+		superclass: 'FlModelBase',
+		attributes: {
+		    list: { type: 'belongs_to', class_name: 'My::Rel::List' },
+		    subject: 'belongs_to'
+		}
+	    };
+
+	    function _list(id, extra) {
+		return _.merge({ type: 'My::Rel::List', fingerprint: 'My::Rel::List/' + id, id: id }, extra);
+	    };
+
+	    function _item(id, extra) {
+		return _.merge({ type: 'My::Rel::Item', fingerprint: 'My::Rel::Item/' + id, id: id }, extra);
+	    };
+
+	    beforeEach(function() {
+		FlClassManager.make_class(MY_LIST_DESC);
+		FlClassManager.make_class(MY_ITEM_DESC);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' },
+		    { service: FlClassManager.get_class(MY_LIST_DESC.name), class_name: 'My::Rel::List' },
+		    { service: FlClassManager.get_class(MY_ITEM_DESC.name), class_name: 'My::Rel::Item' }
+		]);
+	    });
+
+	    afterEach(function() {
+		FlModelFactory.defaultFactory().cache().clear();
+		th.clear_model_services(null, [ 'My::Rel::List', 'My::Rel::Item' ]);
+		th.clear_class([ MY_LIST_DESC.name, MY_ITEM_DESC.name ]);
+	    });
+
+	    it('should resolve references lazily from the cache', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let item = factory.create(_item(1, { list: 'My::Rel::List/10' }));
+
+		expect(item.list).to.be.null;
+		let list = factory.create(_list(10));
+		expect(item.list).to.equal(list);
+
+		item.list = 11;
+		expect(item.list).to.be.null;
+		expect(item.to_submission({ changed: true })).to.eql({ list: 'My::Rel::List/11' });
+		item.revert();
+		expect(item.list).to.equal(list);
+		expect(item.isDirty()).to.be.false;
+	    });
+
+	    it('should convert hash representations', function() {
+		let item = FlModelFactory.defaultFactory().create(_item(1, { list: _list(10, { name: 'l10' }) }));
+
+		expect(item.list).to.be.an.instanceof(FlClassManager.get_class(MY_LIST_DESC.name));
+		expect(item.list.name).to.equal('l10');
+		expect(item.toJSON().list).to.equal('My::Rel::List/10');
+	    });
+
+	    it('should support polymorphic references', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let other = factory.create(OTHER_1);
+		let item = factory.create(_item(1, { subject: 'My::Other/4' }));
+
+		expect(item.subject).to.equal(other);
+		item.subject = 4;
+		expect(item.subject).to.be.null;
+	    });
+
+	    it('should load collections from the cache', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let i1 = factory.create(_item(1, { list: 'My::Rel::List/10', subject: 'My::Rel::List/10' }));
+		let i2 = factory.create(_item(2, { list: 'My::Rel::List/11' }));
+		let i3 = factory.create(_item(3, { list: 'My::Rel::List/10' }));
+		let list = factory.create(_list(10));
+
+		expect(list.items).to.have.members([ i1, i3 ]);
+		expect(list.notes).to.have.members([ i1 ]);
+		expect(list.to_submission()).to.not.have.any.keys('items', 'notes');
+	    });
+
+	    it('should keep collections in step', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let l10 = factory.create(_list(10));
+		let l11 = factory.create(_list(11));
+		let items = l10.items;
+
+		expect(items).to.eql([ ]);
+		let i1 = factory.create(_item(1, { list: 'My::Rel::List/10' }));
+		let i2 = factory.create(_item(2, { list: 'My::Rel::List/10' }));
+		expect(l10.items).to.equal(items);
+		expect(items).to.eql([ i1, i2 ]);
+		expect(l11.items).to.eql([ ]);
+
+		i1.list = l11;
+		expect(l10.items).to.eql([ i2 ]);
+		expect(l11.items).to.eql([ i1 ]);
+
+		return i2.destroy({ service: { modelFactory: factory, destroy: function() { return Promise.resolve(200); } } })
+		    .then(function() {
+			expect(l10.items).to.eql([ ]);
+		    });
+	    });
+
+	    it('should set collections from hash representations', function() {
+		let factory = FlModelFactory.defaultFactory();
+		let i1 = factory.create(_item(1));
+		let list = factory.create(_list(10, { items: [ _item(1), _item(2, { name: 'i2' }) ] }));
+
+		expect(list.items.length).to.equal(2);
+		expect(list.items[0]).to.equal(i1);
+		expect(list.items[1].name).to.equal('i2');
+		expect(i1.list).to.equal(list);
+		expect(i1.isDirty()).to.be.false;
+		expect(list.isDirty()).to.be.false;
+	    });
+
+	    it('should resolve relationships through the factory that created the instance', function() {
+		let child = FlModelFactory.defaultFactory().child();
+		let item = child.create(_item(1, { list: 'My::Rel::List/10' }));
+		let list = child.create(_list(10));
+
+		expect(FlModelFactory.defaultFactory().cache().get(list)).to.be.undefined;
+		expect(item.list).to.equal(list);
+		expect(list.items).to.eql([ item ]);
+
+		item.list = _list(11);
+		expect(item.list).to.equal(child.cache().get(_list(11)));
+		expect(list.items).to.eql([ ]);
+	    });
+	});
+    });
+
+    describe('FlModelCache', function() {
+	let now;
+	let date_now;
+
+	beforeEach(function() {
+	    now = 1000000;
+	    date_now = Date.now;
+	    Date.now = function() { return now; };
+	});
+
+	afterEach(function() {
+	    Date.now = date_now;
+	});
+
+	function _model(id, type) {
+	    let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+	    let t = (_.isString(type)) ? type : 'My::Factory::Test::Model';
+	    return new MyFactoryTestModel({ type: t, fingerprint: t + '/' + id, id: id });
+	};
+
+	it('should be unbounded by default', function() {
+	    let cache = new FlModelCache();
+	    for (let idx = 1; idx <= 20; idx++) cache.put(_model(idx));
+
+	    expect(cache.size()).to.equal(20);
+	    expect(cache.stats().capacity).to.be.null;
+	});
+
+	it('should evict the least recently used instance', function() {
+	    let cache = new FlModelCache({ capacity: 2 });
+	    let m1 = _model(1);
+	    let m2 = _model(2);
+	    let m3 = _model(3);
+
+	    cache.put(m1);
+	    cache.put(m2);
+	    expect(cache.get(m1)).to.equal(m1);
+	    cache.put(m3);
+
+	    expect(cache.size()).to.equal(2);
+	    expect(cache.get(m2)).to.be.undefined;
+	    expect(cache.get(m1)).to.equal(m1);
+	    expect(cache.get(m3)).to.equal(m3);
+	    expect(cache.stats().evictions).to.equal(1);
+	});
+
+	it('should expire instances', function() {
+	    let cache = new FlModelCache({ ttl: 1000, ttl_by_type: { 'My::Other': 5000 } });
+	    let m1 = _model(1);
+	    let o1 = _model(1, 'My::Other');
+
+	    cache.put(m1);
+	    cache.put(o1);
+	    now += 999;
+	    expect(cache.get(m1)).to.equal(m1);
+	    now += 1;
+	    expect(cache.get(m1)).to.be.undefined;
+	    expect(cache.get(o1)).to.equal(o1);
+	    expect(cache.size()).to.equal(1);
+
+	    cache.put(m1);
+	    now += 4000;
+	    expect(cache.prune()).to.equal(2);
+	    expect(cache.size()).to.equal(0);
+	    expect(cache.stats().expirations).to.equal(3);
+	});
+
+	it('should report statistics', function() {
+	    let cache = new FlModelCache({ capacity: 10 });
+	    let m1 = _model(1);
+
+	    cache.put(m1);
+	    cache.get(m1);
+	    cache.get(m1);
+	    cache.get(_model(2));
+	    expect(cache.stats()).to.eql({ hits: 2, misses: 1, evictions: 0, expirations: 0, collected: 0,
+					   size: 1, capacity: 10, backend: 'strong' });
+
+	    cache.resetStats();
+	    expect(cache.stats()).to.eql({ hits: 0, misses: 0, evictions: 0, expirations: 0, collected: 0,
+					   size: 1, capacity: 10, backend: 'strong' });
+	});
+
+	it('should return the same instance with the weak backend', function() {
+	    let factory = new FlModelFactory({ cache: { backend: 'weak' } });
+	    factory.register('test_module', [
+		{ service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' }
+	    ]);
+
+	    let m1 = factory.create(MODEL_1);
+	    expect(factory.create(MODEL_1)).to.equal(m1);
+	    expect(factory.cache().stats().backend).to.equal('weak');
+	});
+
+	it('should drop collected instances with the weak backend', function() {
+	    if (!_.isFunction(global.gc)) this.skip();
+
+	    let cache = new FlModelCache({ backend: 'weak' });
+	    (function() {
+		cache.put(_model(1));
+	    })();
+
+	    // WeakRef targets are kept alive until the end of the current job
+
+	    return new Promise(function(resolve) { setTimeout(resolve, 0); })
+		.then(function() {
+		    global.gc();
+		    expect(cache.get(_model(1))).to.be.undefined;
+		    expect(cache.stats().collected).to.equal(1);
+		});
+	});
+
+	it('should reject unknown backends', function() {
+	    expect(function() { new FlModelCache({ backend: 'unknown' }); }).to.throw();
+	});
+
+	it('should emit evicted and removed events', function() {
+	    let cache = new FlModelCache({ capacity: 1 });
+	    let m1 = _model(1);
+	    let m2 = _model(2);
+	    let events = [ ];
+
+	    cache.on('evicted', function(evt) { events.push([ 'evicted', evt.id, evt.model, evt.reason ]); });
+	    cache.on('removed', function(evt) { events.push([ 'removed', evt.id, evt.model ]); });
+
+	    cache.put(m1);
+	    cache.put(m2);
+	    cache.remove(m2);
+	    cache.remove(m2);
+	    expect(events).to.eql([
+		[ 'evicted', 'MyFactoryTestModel/1', m1, 'capacity' ],
+		[ 'removed', 'MyFactoryTestModel/2', m2 ]
+	    ]);
+	});
+
+	it('should be configurable through the factory', function() {
+	    let factory = new FlModelFactory({ cache: { capacity: 5 } });
+	    expect(factory.cache().stats().capacity).to.equal(5);
+
+	    let cache = new FlModelCache();
+	    factory = new FlModelFactory({ cache: cache });
+	    expect(factory.cache()).to.equal(cache);
+	});
+
+	context('identity', function() {
+	    it('should use the fingerprint, then the id, by default', function() {
+		let cache = new FlModelCache();
+
+		expect(cache.identify({ type: 'My::Datum', fingerprint: 'My::Datum/10', id: 20 })).to.equal('MyDatum/10');
+		expect(cache.identify({ type: 'My::Datum', id: 20 })).to.equal('MyDatum/20');
+		expect(cache.identify({ type: 'My::Datum' })).to.be.undefined;
+		expect(cache.identify({ id: 20 })).to.be.undefined;
+	    });
+
+	    it('should support identifiers containing slashes', function() {
+		let cache = new FlModelCache({ identity: 'fingerprint' });
+		let m1 = _model('a1b2/c3d4');
+
+		expect(cache.identify(m1)).to.equal('MyFactoryTestModel/a1b2/c3d4');
+		cache.put(m1);
+		expect(cache.get({ type: 'My::Factory::Test::Model',
+				   fingerprint: 'My::Factory::Test::Model/a1b2/c3d4' })).to.equal(m1);
+	    });
+
+	    it('should support custom strategies', function() {
+		let cache = new FlModelCache({
+		    identity_by_type: {
+			'My::Factory::Test::Model': function(h) {
+			    return (_.isNil(h.org) || _.isNil(h.id)) ? undefined : (h.org + ':' + h.id);
+			}
+		    }
+		});
+		let m1 = _model(1);
+		m1.org = 'acme';
+
+		expect(cache.identify(m1)).to.equal('MyFactoryTestModel/acme:1');
+		expect(cache.identify(_model(1))).to.be.undefined;
+		expect(cache.identify(_model(1, 'My::Other'))).to.equal('MyOther/1');
+	    });
+
+	    it('should support the Paperclip strategy', function() {
+		let cache = new FlModelCache();
+		let h = { type: 'Paperclip::Attachment', urls: { original: '/a/b.jpg' } };
+
+		expect(cache.identify(h)).to.be.undefined;
+		cache.setIdentity('Paperclip::Attachment', 'paperclip');
+		expect(cache.identify(h)).to.equal('PaperclipAttachment//a/b.jpg');
+		cache.setIdentity('Paperclip::Attachment', null);
+		expect(cache.identify(h)).to.be.undefined;
+	    });
+
+	    it('should reject unknown strategies', function() {
+		let cache = new FlModelCache();
+
+		expect(function() { new FlModelCache({ identity: 'unknown' }); }).to.throw();
+		expect(function() { cache.setIdentity('My::Other', 'unknown'); }).to.throw();
+	    });
+
+	    it('should be configurable through the factory', function() {
+		let factory = new FlModelFactory({ identity: 'id' });
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other',
+		      identity: function(h) { return h.name; } }
+		]);
+
+		expect(factory.cache().identify({ type: 'My::Datum', fingerprint: 'My::Datum/10', id: 20 }))
+		    .to.equal('MyDatum/20');
+		expect(factory.cache().identify({ type: 'My::Other', id: 20, name: 'other' }))
+		    .to.equal('MyOther/other');
+	    });
+	});
     });
 
     describe('FlModelFactory', function() {
@@ -416,5 +1377,380 @@ describe('fl.model_factory module', function() {
 		expect(objs[2].type).to.equal('My::Other');
 	    });
 	});
+
+	context('polymorphic types', function() {
+	    let factory;
+
+	    beforeEach(function() {
+		factory = new FlModelFactory();
+		factory.register('test_module', [
+		    {
+			service: FlClassManager.get_class(MY_MODEL_DESC.name),
+			class_name: 'My::Factory::Test::Model',
+			subclasses: [ 'My::Special::Test::Model' ]
+		    }
+		]);
+	    });
+
+	    it('should resolve subclasses to the nearest registered superclass', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		factory.declareHierarchy({ 'My::Very::Special::Test::Model': 'My::Special::Test::Model' });
+
+		expect(factory.superclassOf('My::Special::Test::Model')).to.equal('MyFactoryTestModel');
+		expect(factory.service_for('My::Very::Special::Test::Model')).to.equal(MyFactoryTestModel);
+		expect(factory.child().service_for('My::Special::Test::Model')).to.equal(MyFactoryTestModel);
+
+		let obj = factory.create(_.merge({ }, MODEL_1, {
+		    type: 'My::Very::Special::Test::Model', fingerprint: 'My::Very::Special::Test::Model/2'
+		}));
+		expect(obj).to.be.an.instanceof(MyFactoryTestModel);
+		expect(obj.type).to.equal('My::Very::Special::Test::Model');
+
+		factory.declareHierarchy({ 'My::Very::Special::Test::Model': null });
+		expect(factory.service_for('My::Very::Special::Test::Model')).to.be.null;
+	    });
+
+	    it('should prefer exact registrations and try the type after the virtual type', function() {
+		let MyOther = FlClassManager.get_class(MY_OTHER_DESC.name);
+		factory.register('test_module', [
+		    { service: MyOther, class_name: 'My::Special::Test::Model' }
+		]);
+
+		expect(factory.service_for('My::Special::Test::Model')).to.equal(MyOther);
+		expect(factory.service_for({ type: 'My::Factory::Test::Model', virtual_type: 'My::Virtual' }))
+		    .to.equal(FlClassManager.get_class(MY_MODEL_DESC.name));
+	    });
+
+	    it('should ignore cycles in the hierarchy', function() {
+		factory.declareHierarchy({ 'My::A': 'My::B', 'My::B': 'My::A' });
+
+		expect(factory.service_for('My::A')).to.be.null;
+	    });
+
+	    it('should use the fallback registration', function() {
+		let MyOther = FlClassManager.get_class(MY_OTHER_DESC.name);
+		factory.register('fallback_module', [ { service: MyOther, fallback: true } ]);
+
+		expect(factory.service_for('My::Unknown')).to.equal(MyOther);
+		expect(factory.child().create(UNDEFINED_1)).to.be.an.instanceof(MyOther);
+		expect(factory.service_for({ id: 1 })).to.be.null;
+
+		factory.unregister('fallback_module');
+		expect(factory.service_for('My::Unknown')).to.be.null;
+	    });
+
+	    it('should call the unknown type hook', function() {
+		let calls = [ ];
+		let child = factory.child({
+		    unknown_type: function(h, null_on_failure) {
+			calls.push(h.type);
+			return (h.type == 'My::Mapped') ? this.create(MODEL_1) : undefined;
+		    }
+		});
+
+		expect(child.create({ type: 'My::Mapped', id: 1 }))
+		    .to.be.an.instanceof(FlClassManager.get_class(MY_MODEL_DESC.name));
+		expect(child.create(UNDEFINED_1)).to.equal(UNDEFINED_1);
+		expect(child.create(UNDEFINED_1, true)).to.be.null;
+		expect(calls).to.eql([ 'My::Mapped', 'My::Undefined', 'My::Undefined' ]);
+
+		let hook = child.setUnknownTypeHook(function(h) { throw new Error('unknown type: ' + h.type); });
+		expect(hook).to.be.a('function');
+		expect(function() { child.child().create(UNDEFINED_1); }).to.throw('unknown type: My::Undefined');
+	    });
+	});
+
+	context('normalized payloads', function() {
+	    let factory;
+	    let created;
+
+	    before(function() {
+		FlClassManager.make_class(MY_SCHEMA_DESC);
+		FlClassManager.make_class(MY_LABEL_SCHEMA_DESC);
+	    });
+
+	    after(function() {
+		th.clear_class([ MY_LABEL_SCHEMA_DESC.name, MY_SCHEMA_DESC.name ]);
+	    });
+
+	    beforeEach(function() {
+		factory = new FlModelFactory();
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' },
+		    { service: FlClassManager.get_class(MY_SCHEMA_DESC.name), class_name: 'My::Schema::Model' }
+		]);
+
+		created = [ ];
+		factory.on('created', function(e) {
+		    created.push(e.model.fingerprint);
+		});
+	    });
+
+	    it('should build each referenced object once', function() {
+		let payload = {
+		    data: [
+			_.assign({ }, SCHEMA_1, { owner: { _ref: MODEL_1.fingerprint }, others: [ { _ref: OTHER_1.fingerprint } ] }),
+			_.assign({ }, SCHEMA_1, {
+			    id: 9, fingerprint: 'My::Schema::Model/9',
+			    owner: { _ref: MODEL_1.fingerprint }, others: [ ]
+			})
+		    ],
+		    _refs: {
+			[MODEL_1.fingerprint]: MODEL_1,
+			[OTHER_1.fingerprint]: OTHER_1
+		    }
+		};
+
+		let objs = factory.hydrate(payload);
+		expect(objs).to.be.an('array');
+		expect(objs.length).to.equal(2);
+		expect(created).to.have.members([
+		    MODEL_1.fingerprint, OTHER_1.fingerprint, 'My::Schema::Model/8', 'My::Schema::Model/9'
+		]);
+		expect(created.length).to.equal(4);
+
+		let owner = factory.cache().get(MODEL_1);
+		expect(owner).to.be.an.instanceof(FlClassManager.get_class(MY_MODEL_DESC.name));
+		expect(objs[0].owner).to.equal(owner);
+		expect(objs[1].owner).to.equal(owner);
+		expect(objs[0].others[0]).to.equal(factory.cache().get(OTHER_1));
+		expect(objs[0].isDirty()).to.be.false;
+	    });
+
+	    it('should wire circular references', function() {
+		let payload = {
+		    data: { _ref: MODEL_1.fingerprint },
+		    included: [
+			_.merge({ }, MODEL_1, { friend: { _ref: OTHER_1.fingerprint } }),
+			_.merge({ }, OTHER_1, { friend: { _ref: MODEL_1.fingerprint } })
+		    ]
+		};
+
+		let obj = factory.hydrate(payload);
+		expect(obj).to.equal(factory.cache().get(MODEL_1));
+		expect(obj.friend).to.equal(factory.cache().get(OTHER_1));
+		expect(obj.friend.friend).to.equal(obj);
+		expect(obj.friend.isDirty()).to.be.false;
+		expect(created.length).to.equal(2);
+	    });
+
+	    it('should resolve references outside the table from the cache', function() {
+		let other = factory.create(OTHER_1);
+		let data = factory.denormalize({
+		    data: { list: [ { _ref: OTHER_1.fingerprint }, { _ref: 'My::Missing/1' } ] },
+		    _refs: { }
+		});
+
+		expect(data.list[0]).to.equal(other);
+		expect(data.list[1]).to.equal('My::Missing/1');
+	    });
+
+	    it('should leave instances clean after the references are resolved', function() {
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_LABEL_SCHEMA_DESC.name), class_name: 'My::Schema::Model' }
+		]);
+
+		let obj = factory.denormalize({
+		    data: { _ref: SCHEMA_1.fingerprint },
+		    _refs: {
+			[SCHEMA_1.fingerprint]: _.assign({ }, SCHEMA_1, { owner: { _ref: MODEL_1.fingerprint }, others: [ ] }),
+			[MODEL_1.fingerprint]: MODEL_1
+		    }
+		});
+
+		expect(obj).to.be.an.instanceof(FlClassManager.get_class(MY_LABEL_SCHEMA_DESC.name));
+		expect(obj.owner).to.equal(factory.cache().get(MODEL_1));
+		expect(obj.owner_name).to.equal(MODEL_1.username);
+		expect(obj.isDirty()).to.be.false;
+	    });
+	});
+
+	context('child factories', function() {
+	    let parent;
+
+	    beforeEach(function() {
+		parent = new FlModelFactory();
+		parent.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' }
+		]);
+	    });
+
+	    it('should resolve the parent services', function() {
+		let child = parent.child();
+		let obj = child.create(MODEL_1);
+
+		expect(child.parent()).to.equal(parent);
+		expect(obj).to.be.an.instanceof(FlClassManager.get_class(MY_MODEL_DESC.name));
+		expect(child.create(MODEL_1)).to.equal(obj);
+		expect(parent.create(MODEL_1)).to.not.equal(obj);
+		expect(child.cache().size()).to.equal(1);
+		expect(parent.cache().size()).to.equal(1);
+	    });
+
+	    it('should not leak registrations to the parent', function() {
+		let child = new FlModelFactory({ parent: parent });
+		child.register('child_module', [
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' }
+		]);
+
+		expect(child.service_for('My::Other')).to.equal(FlClassManager.get_class(MY_OTHER_DESC.name));
+		expect(parent.service_for('My::Other')).to.be.null;
+		expect(_.keys(child.services())).to.have.members([ MY_MODEL_DESC.name, MY_OTHER_DESC.name ]);
+
+		child.unregister('My::Factory::Test::Model');
+		expect(child.service_for('My::Factory::Test::Model')).to.not.be.null;
+	    });
+
+	    it('should inherit identity strategies', function() {
+		parent.cache().setIdentity('My::Other', 'id');
+
+		let h = { type: 'My::Other', fingerprint: 'My::Other/4', id: 10 };
+		expect(parent.child().cache().identify(h)).to.equal('MyOther/10');
+		expect(parent.child({ cache: new FlModelCache() }).cache().identify(h)).to.equal('MyOther/4');
+	    });
+
+	    it('should scope the default factory', function() {
+		let child = parent.child();
+		let scoped = [ ];
+
+		expect(FlModelFactory.withFactory(child, function() {
+		    scoped.push(FlModelFactory.defaultFactory());
+		    return 10;
+		})).to.equal(10);
+		expect(function() {
+		    FlModelFactory.withFactory(child, function() { throw new Error('failed'); });
+		}).to.throw('failed');
+		expect(scoped).to.eql([ child ]);
+		expect(FlModelFactory.defaultFactory()).to.equal(FlGlobalModelFactory);
+
+		expect(FlModelFactory.setDefaultFactory(child)).to.equal(FlGlobalModelFactory);
+		expect(FlModelFactory.defaultFactory()).to.equal(child);
+		expect(FlModelFactory.setDefaultFactory(null)).to.equal(child);
+		expect(FlModelFactory.defaultFactory()).to.equal(FlGlobalModelFactory);
+		expect(function() { FlModelFactory.setDefaultFactory({ }); }).to.throw();
+	    });
+
+	    it('should create instances within its own scope', function() {
+		let child = parent.child();
+		let scoped = null;
+
+		child.on('created', function(evt) { scoped = FlModelFactory.defaultFactory(); });
+		child.create(MODEL_1);
+		expect(scoped).to.equal(child);
+		expect(FlModelFactory.defaultFactory()).to.equal(FlGlobalModelFactory);
+	    });
+	});
+
+	context('events', function() {
+	    it('should emit created and refreshed events', function() {
+		let factory = new FlModelFactory();
+		let events = [ ];
+
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' }
+		]);
+		factory.on('created', function(evt) { events.push([ 'created', evt.model ]); });
+		factory.on('refreshed', function(evt) { events.push([ 'refreshed', evt.model ]); });
+
+		let obj = factory.create(MODEL_1);
+		factory.create(_.merge({ }, MODEL_1, { email: 'new@opoline.com' }));
+		expect(events).to.eql([ [ 'created', obj ], [ 'refreshed', obj ] ]);
+		expect(obj.email).to.equal('new@opoline.com');
+	    });
+
+	    it('should forward cache events', function() {
+		let factory = new FlModelFactory({ cache: { capacity: 1 } });
+		let events = [ ];
+
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' }
+		]);
+		factory.on('evicted', function(evt) { events.push([ 'evicted', evt.model ]); });
+		factory.on('removed', function(evt) { events.push([ 'removed', evt.model ]); });
+
+		let obj = factory.create(MODEL_1);
+		let other = factory.create(OTHER_1);
+		factory.cache().remove(other);
+		expect(events).to.eql([ [ 'evicted', obj ], [ 'removed', other ] ]);
+	    });
+	});
+
+	context('persistence', function() {
+	    it('should persist and rehydrate instances', function() {
+		let storage = new FlMemoryStorageAdapter();
+		let factory = new FlModelFactory({ cache: { storage: storage } });
+		let services = [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' },
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' }
+		];
+
+		factory.register('test_module', services);
+		factory.create([ MODEL_1, OTHER_1 ]);
+
+		return factory.cache().flush()
+		    .then(function() {
+			return storage.get('MyFactoryTestModel/2');
+		    })
+		    .then(function(entry) {
+			expect(entry.data.username).to.equal('user102');
+			expect(entry.data.updated_at).to.equal('2018-09-13T21:57:27.000Z');
+
+			let f2 = new FlModelFactory({ cache: { storage: storage } });
+			f2.register('test_module', services);
+			return f2.rehydrate({ type: 'My::Factory::Test::Model' });
+		    })
+		    .then(function(models) {
+			expect(models).to.have.length(1);
+			expect(models[0]).to.be.an.instanceof(FlClassManager.get_class(MY_MODEL_DESC.name));
+			expect(models[0].username).to.equal('user102');
+			expect(models[0].accessed_at).to.be.an.instanceof(Date);
+		    });
+	    });
+
+	    it('should drop stale entries on rehydration', function() {
+		let storage = new FlMemoryStorageAdapter();
+		let factory = new FlModelFactory({ cache: { storage: storage } });
+
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' }
+		]);
+
+		return storage.set('MyFactoryTestModel/2', { data: MODEL_1, stored_at: Date.now() - 10000 })
+		    .then(function() {
+			return factory.rehydrate({ max_age: 5000 });
+		    })
+		    .then(function(models) {
+			expect(models).to.eql([ ]);
+			return factory.cache().flush();
+		    })
+		    .then(function() {
+			return storage.keys();
+		    })
+		    .then(function(keys) {
+			expect(keys).to.eql([ ]);
+		    });
+	    });
+
+	    it('should remove instances from the storage', function() {
+		let storage = new FlMemoryStorageAdapter();
+		let factory = new FlModelFactory({ cache: { storage: storage } });
+
+		factory.register('test_module', [
+		    { service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Factory::Test::Model' }
+		]);
+
+		let obj = factory.create(MODEL_1);
+		factory.cache().remove(obj);
+		return factory.cache().flush()
+		    .then(function() {
+			return storage.keys();
+		    })
+		    .then(function(keys) {
+			expect(keys).to.eql([ ]);
+		    });
+	    });
+	});
     });
 });
@@ -0,0 +1,165 @@
+const _ = require('lodash');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const {
+    FlModelStorageAdapter, FlMemoryStorageAdapter, FlLocalStorageAdapter, FlIndexedDBStorageAdapter
+} = require('fl/core/model_storage');
+const { FlFileStorageAdapter } = require('fl/core/model_storage_file');
+
+// A minimal implementation of the Web Storage interface
+
+function FakeStorage() {
+    this._items = { };
+};
+FakeStorage.prototype.getItem = function(k) {
+    return (_.has(this._items, k)) ? this._items[k] : null;
+};
+FakeStorage.prototype.setItem = function(k, v) {
+    this._items[k] = String(v);
+};
+FakeStorage.prototype.removeItem = function(k) {
+    delete this._items[k];
+};
+FakeStorage.prototype.key = function(idx) {
+    let keys = _.keys(this._items);
+    return (idx < keys.length) ? keys[idx] : null;
+};
+Object.defineProperty(FakeStorage.prototype, 'length', {
+    get: function() {
+	return _.keys(this._items).length;
+    }
+});
+
+const ENTRY_1 = { data: { type: 'My::Datum', id: 1, title: 'one' }, stored_at: 1000 };
+const ENTRY_2 = { data: { type: 'My::Datum', id: 2, title: 'two' }, stored_at: 2000 };
+
+function adapter_behavior(make_adapter) {
+    it('should store and return entries', function() {
+	let a = make_adapter();
+
+	return a.set('MyDatum/1', ENTRY_1)
+	    .then(function() {
+		return a.get('MyDatum/1');
+	    })
+	    .then(function(e) {
+		expect(e).to.eql(ENTRY_1);
+		return a.get('MyDatum/2');
+	    })
+	    .then(function(e) {
+		expect(e).to.be.null;
+	    });
+    });
+
+    it('should list and remove entries', function() {
+	let a = make_adapter();
+
+	return a.set('MyDatum/1', ENTRY_1)
+	    .then(function() {
+		return a.set('MyDatum/2', ENTRY_2);
+	    })
+	    .then(function() {
+		return a.keys();
+	    })
+	    .then(function(keys) {
+		expect(keys).to.have.members([ 'MyDatum/1', 'MyDatum/2' ]);
+		return a.remove('MyDatum/1');
+	    })
+	    .then(function() {
+		return a.keys();
+	    })
+	    .then(function(keys) {
+		expect(keys).to.eql([ 'MyDatum/2' ]);
+		return a.clear();
+	    })
+	    .then(function() {
+		return a.keys();
+	    })
+	    .then(function(keys) {
+		expect(keys).to.eql([ ]);
+	    });
+    });
+};
+
+describe('fl.model_storage module', function() {
+    describe('FlModelStorageAdapter', function() {
+	it('should reject unimplemented methods', function() {
+	    let a = new FlModelStorageAdapter();
+
+	    return a.get('MyDatum/1')
+		.then(function() {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(e) {
+		    expect(e).to.be.an.instanceof(Error);
+		});
+	});
+    });
+
+    describe('FlMemoryStorageAdapter', function() {
+	adapter_behavior(function() {
+	    return new FlMemoryStorageAdapter();
+	});
+    });
+
+    describe('FlLocalStorageAdapter', function() {
+	adapter_behavior(function() {
+	    return new FlLocalStorageAdapter({ storage: new FakeStorage() });
+	});
+
+	it('should not touch unprefixed keys', function() {
+	    let storage = new FakeStorage();
+	    let a = new FlLocalStorageAdapter({ storage: storage, prefix: 'test.' });
+
+	    storage.setItem('other', 'value');
+	    return a.set('MyDatum/1', ENTRY_1)
+		.then(function() {
+		    expect(storage.getItem('test.MyDatum/1')).to.not.be.null;
+		    return a.clear();
+		})
+		.then(function() {
+		    expect(storage.getItem('other')).to.equal('value');
+		});
+	});
+
+	it('should fail if no storage is available', function() {
+	    expect(function() { new FlLocalStorageAdapter(); }).to.throw();
+	});
+    });
+
+    describe('FlIndexedDBStorageAdapter', function() {
+	it('should fail if IndexedDB is not available', function() {
+	    expect(function() { new FlIndexedDBStorageAdapter(); }).to.throw();
+	});
+    });
+
+    describe('FlFileStorageAdapter', function() {
+	let dir;
+
+	beforeEach(function() {
+	    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fl-storage-'));
+	});
+
+	afterEach(function() {
+	    fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	adapter_behavior(function() {
+	    return new FlFileStorageAdapter({ path: path.join(dir, 'cache.json') });
+	});
+
+	it('should persist entries to the file', function() {
+	    let p = path.join(dir, 'cache.json');
+	    let a = new FlFileStorageAdapter({ path: p });
+
+	    return a.set('MyDatum/1', ENTRY_1)
+		.then(function() {
+		    let a2 = new FlFileStorageAdapter({ path: p });
+		    return a2.get('MyDatum/1');
+		})
+		.then(function(e) {
+		    expect(e).to.eql(ENTRY_1);
+		});
+	});
+    });
+});
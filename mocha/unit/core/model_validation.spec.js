@@ -0,0 +1,101 @@
+const _ = require('lodash');
+const { FlModelErrors, FlModelValidators } = require('fl/core/model_validation');
+
+describe('fl.model_validation module', function() {
+    describe('FlModelValidators', function() {
+	context('required', function() {
+	    it('should reject blank values', function() {
+		_.forEach([ null, undefined, '', '  ', [ ], { } ], function(v) {
+		    expect(FlModelValidators.required(v, { })).to.equal("can't be blank");
+		});
+		_.forEach([ 'a', 0, false, [ 1 ], { a: 1 } ], function(v) {
+		    expect(FlModelValidators.required(v, { })).to.be.null;
+		});
+	    });
+
+	    it('should use custom messages', function() {
+		expect(FlModelValidators.required(null, { message: 'is missing' })).to.equal('is missing');
+	    });
+	});
+
+	context('length', function() {
+	    it('should check the length', function() {
+		expect(FlModelValidators.length('ab', { minimum: 3 })).to.equal('is too short (minimum is 3 characters)');
+		expect(FlModelValidators.length('abcd', { maximum: 3 })).to.equal('is too long (maximum is 3 characters)');
+		expect(FlModelValidators.length([ 1, 2 ], { is: 3 })).to.equal('is the wrong length (should be 3 characters)');
+		expect(FlModelValidators.length('abc', { minimum: 1, maximum: 3 })).to.be.null;
+		expect(FlModelValidators.length(null, { minimum: 1 })).to.be.null;
+		expect(FlModelValidators.length('a', { minimum: 2, message: 'needs %{count}' })).to.equal('needs 2');
+	    });
+	});
+
+	context('format', function() {
+	    it('should match regular expressions', function() {
+		expect(FlModelValidators.format('abc', { with: /^[a-z]+$/ })).to.be.null;
+		expect(FlModelValidators.format('ab1', { with: /^[a-z]+$/ })).to.equal('is invalid');
+		expect(FlModelValidators.format('ab1', { without: /\d/ })).to.equal('is invalid');
+	    });
+	});
+
+	context('numericality', function() {
+	    it('should check numbers', function() {
+		expect(FlModelValidators.numericality('abc', { })).to.equal('is not a number');
+		expect(FlModelValidators.numericality('', { })).to.equal('is not a number');
+		expect(FlModelValidators.numericality('1.5', { only_integer: true })).to.equal('must be an integer');
+		expect(FlModelValidators.numericality(5, { greater_than: 5 })).to.equal('must be greater than 5');
+		expect(FlModelValidators.numericality('5', { greater_than_or_equal_to: 5, less_than: 10 })).to.be.null;
+		expect(FlModelValidators.numericality(11, { less_than_or_equal_to: 10 }))
+		    .to.equal('must be less than or equal to 10');
+	    });
+	});
+
+	context('inclusion', function() {
+	    it('should check membership', function() {
+		expect(FlModelValidators.inclusion('a', { in: [ 'a', 'b' ] })).to.be.null;
+		expect(FlModelValidators.inclusion('c', { in: [ 'a', 'b' ] })).to.equal('is not included in the list');
+	    });
+	});
+    });
+
+    describe('FlModelErrors', function() {
+	it('should collect errors by attribute', function() {
+	    let errors = new FlModelErrors();
+
+	    expect(errors.isEmpty()).to.be.true;
+	    errors.add('first_name', "can't be blank");
+	    errors.add('first_name', 'is too short');
+	    errors.add('base', 'is locked');
+
+	    expect(errors.count()).to.equal(3);
+	    expect(errors.has('first_name')).to.be.true;
+	    expect(errors.has('last_name')).to.be.false;
+	    expect(errors.get('first_name')).to.eql([ "can't be blank", 'is too short' ]);
+	    expect(errors.get('last_name')).to.eql([ ]);
+	    expect(errors.messages()).to.eql({ first_name: [ "can't be blank", 'is too short' ], base: [ 'is locked' ] });
+	    expect(errors.full_messages()).to.eql([ "First name can't be blank", 'First name is too short', 'is locked' ]);
+	});
+
+	it('should merge server errors', function() {
+	    let errors = new FlModelErrors();
+
+	    errors.add('title', "can't be blank");
+	    errors.merge_server({
+		type: 'update_failure',
+		message: 'could not update',
+		details: { messages: { title: [ 'has already been taken' ], count: 'is invalid' } }
+	    });
+	    expect(errors.messages()).to.eql({
+		title: [ "can't be blank", 'has already been taken' ],
+		count: [ 'is invalid' ]
+	    });
+
+	    errors.clear('client');
+	    expect(errors.messages()).to.eql({ title: [ 'has already been taken' ], count: [ 'is invalid' ] });
+
+	    errors.clear();
+	    errors.merge_server({ full_messages: [ 'Something went wrong' ] });
+	    errors.merge_server({ type: 'not_found', message: 'No model with id 10' });
+	    expect(errors.get('base')).to.eql([ 'Something went wrong', 'No model with id 10' ]);
+	});
+    });
+});
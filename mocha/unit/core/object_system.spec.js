@@ -646,6 +646,67 @@ describe('fl.object_system module', function() {
 		expect(my2.a1).to.equal('A1');
 		expect(my2.a2).to.equal('MyClass2 - a2');
 	    });
+
+	    it('should normalize and inherit attribute descriptors', function() {
+		let MyBase = FlClassManager.make_class(_.merge({ }, MY_BASE_DESC, {
+		    attributes: {
+			a1: 'date',
+			a2: { type: 'enum', values: [ 'one', 'two' ] }
+		    }
+		}));
+		let MyClass = FlClassManager.make_class(_.merge({ }, MY_CLASS_DESC, {
+		    attributes: {
+			a2: 'json',
+			a3: 'integer'
+		    }
+		}));
+
+		expect(FlClassManager.get_class('FlRoot').__attributes).to.eql({ });
+		expect(MyBase.__attributes).to.eql({
+		    a1: { type: 'date' },
+		    a2: { type: 'enum', values: [ 'one', 'two' ] }
+		});
+		expect(MyClass.__attributes).to.eql({
+		    a1: { type: 'date' },
+		    a2: { type: 'json' },
+		    a3: { type: 'integer' }
+		});
+	    });
+
+	    it('should define memoized computed properties', function() {
+		let calls = 0;
+		let MyBase = FlClassManager.make_class(_.merge({ }, MY_BASE_DESC, {
+		    computed: {
+			both: {
+			    depends: [ 'a1', 'a2' ],
+			    get: function() { calls += 1; return this.a1 + '/' + this.a2; }
+			},
+			count: function() { return calls; }
+		    }
+		}));
+		let MyClass = FlClassManager.make_class(_.merge({ }, MY_CLASS_DESC, {
+		    computed: {
+			upper: { depends: 'a1', get: function() { return _.toUpper(this.a1); } }
+		    }
+		}));
+
+		let my1 = new MyBase('A1', 'A2');
+		expect(my1.both).to.equal('A1/A2');
+		expect(my1.both).to.equal('A1/A2');
+		expect(calls).to.equal(1);
+		expect(my1.count).to.equal(1);
+
+		my1.a2 = 'B2';
+		expect(my1.both).to.equal('A1/B2');
+		expect(calls).to.equal(2);
+
+		my1.both = 'ignored';
+		expect(my1.both).to.equal('A1/B2');
+		expect(_.keys(my1)).to.not.include.members([ 'both', 'count', '__computed_cache' ]);
+
+		expect(_.keys(MyClass.__computed)).to.have.members([ 'both', 'count', 'upper' ]);
+		expect(MyClass.__computed.upper.depends).to.eql([ 'a1' ]);
+	    });
 	});
 	
 	context.skip('instance_factory', function() {
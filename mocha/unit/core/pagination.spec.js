@@ -0,0 +1,106 @@
+const _ = require('lodash');
+const { FlPaginationStrategies } = require('fl/core/pagination');
+
+describe('fl.pagination module', function() {
+    describe('FlPaginationStrategies', function() {
+	context('page', function() {
+	    it('should build the controls from the pagination names', function() {
+		let s = FlPaginationStrategies.page({ names: [ '_pg', 'pg' ] });
+
+		expect(s.initial()).to.eql({ _s: 20, _p: 1 });
+		expect(s.initial({ _pg: { _s: 5 }, q: 1 })).to.eql({ _s: 5, _p: 1 });
+		expect(s.strip({ _pg: { _s: 5 }, pg: { }, q: 1 })).to.eql({ q: 1 });
+		expect(s.query({ _s: 20, _p: 3 }, { _pg: { _s: 5 } })).to.eql({ _pg: { _s: 5, _p: 3 } });
+	    });
+
+	    it('should extract the controls from the payload', function() {
+		let s = FlPaginationStrategies.page({ names: [ '_pg', 'pg' ] });
+		let c = { _s: 2, _p: 1 };
+
+		expect(s.extract({ pg: { _c: 2, _s: 2, _p: 2 } }, [ ], c)).to.eql({ _c: 2, _s: 2, _p: 2 });
+		expect(s.extract({ models: [ ] }, [ ], c)).to.be.null;
+		expect(s.extract(null, [ ], c)).to.be.null;
+	    });
+
+	    it('should check for more pages and move back', function() {
+		let s = FlPaginationStrategies.page();
+
+		expect(s.hasMore({ _s: 2, _p: 1 })).to.be.true;
+		expect(s.hasMore({ _c: 2, _s: 2, _p: 2 })).to.be.true;
+		expect(s.hasMore({ _c: 1, _s: 2, _p: 3 })).to.be.false;
+		expect(s.previous({ _c: 2, _s: 2, _p: 2 })).to.be.null;
+		expect(s.previous({ _c: 2, _s: 2, _p: 4 })).to.eql({ _c: 2, _s: 2, _p: 2 });
+	    });
+	});
+
+	context('offset', function() {
+	    it('should send the offset and limit', function() {
+		let s = FlPaginationStrategies.offset({ params: { offset: 'start' }, limit: 10 });
+
+		expect(s.initial()).to.eql({ offset: 0, limit: 10 });
+		expect(s.initial({ start: '4', limit: '2' })).to.eql({ offset: 4, limit: 2 });
+		expect(s.strip({ start: 4, limit: 2, q: 1 })).to.eql({ q: 1 });
+		expect(s.query({ offset: 6, limit: 10 }, { limit: 3 })).to.eql({ start: 6, limit: 3 });
+	    });
+
+	    it('should advance by the number of items loaded', function() {
+		let s = FlPaginationStrategies.offset();
+		let c = s.extract({ models: [ 1, 2 ] }, [ 1, 2 ], { offset: 0, limit: 2 }, { offset: 0, limit: 2 });
+
+		expect(c).to.eql({ offset: 2, limit: 2, count: 2, total: null });
+		expect(s.hasMore(c)).to.be.true;
+
+		c = s.extract({ }, [ 3 ], c, { offset: 2, limit: 2 });
+		expect(c).to.eql({ offset: 3, limit: 2, count: 1, total: null });
+		expect(s.hasMore(c)).to.be.false;
+		expect(s.previous(c)).to.eql({ offset: 0, limit: 2, total: null });
+		expect(s.previous({ offset: 2, limit: 2, count: 2, total: null })).to.be.null;
+	    });
+
+	    it('should use the total from the payload', function() {
+		let s = FlPaginationStrategies.offset();
+		let c = s.extract({ _pg: { total: 4 } }, [ 1, 2 ], { offset: 2, limit: 2 }, { });
+
+		expect(c).to.eql({ offset: 4, limit: 2, count: 2, total: 4 });
+		expect(s.hasMore(c)).to.be.false;
+		expect(s.hasMore({ offset: 2, limit: 2, count: 2, total: 4 })).to.be.true;
+	    });
+	});
+
+	context('cursor', function() {
+	    it('should send the cursor and limit', function() {
+		let s = FlPaginationStrategies.cursor({ limit: 5 });
+
+		expect(s.initial()).to.eql({ cursor: null, limit: 5 });
+		expect(s.initial({ cursor: 'abc' })).to.eql({ cursor: 'abc', limit: 5 });
+		expect(s.strip({ cursor: 'abc', limit: 5, q: 1 })).to.eql({ q: 1 });
+		expect(s.query({ cursor: null, limit: 5 }, { })).to.eql({ limit: 5 });
+		expect(s.query({ cursor: 'abc', limit: 5 }, { })).to.eql({ cursor: 'abc', limit: 5 });
+	    });
+
+	    it('should follow the cursors in the payload', function() {
+		let s = FlPaginationStrategies.cursor({ key: 'cursors' });
+		let c = { cursor: null, limit: 2 };
+
+		expect(s.hasMore(c)).to.be.true;
+
+		c = s.extract({ cursors: { next: 'n1', prev: null } }, [ 1, 2 ], c, { limit: 2 });
+		expect(c).to.eql({ cursor: 'n1', limit: 2, next: 'n1', prev: null });
+		expect(s.hasMore(c)).to.be.true;
+		expect(s.previous(c)).to.be.null;
+
+		c = s.extract({ cursors: { prev: 'p2' } }, [ 3 ], c, { cursor: 'n1', limit: 2 });
+		expect(c).to.eql({ cursor: null, limit: 2, next: null, prev: 'p2' });
+		expect(s.hasMore(c)).to.be.false;
+		expect(s.previous(c)).to.eql({ cursor: 'p2', limit: 2 });
+	    });
+
+	    it('should stop when the payload has no cursors', function() {
+		let s = FlPaginationStrategies.cursor();
+		let c = s.extract({ models: [ 1 ] }, [ 1 ], { cursor: null, limit: 2 }, { limit: 2 });
+
+		expect(s.hasMore(c)).to.be.false;
+	    });
+	});
+    });
+});
@@ -0,0 +1,35 @@
+const _ = require('lodash');
+const { FlPermissionRegistry, FlGlobalPermissionRegistry } = require('fl/core/permissions');
+
+describe('fl.permissions module', function() {
+    describe('FlPermissionRegistry', function() {
+	it('should register permissions', function() {
+	    let reg = new FlPermissionRegistry({ read: [ ], edit: 'read' });
+	    reg.register({ publish: null });
+
+	    expect(reg.names()).to.have.members([ 'read', 'edit', 'publish' ]);
+	    expect(reg.lookup('edit')).to.eql({ name: 'edit', grants: [ 'read' ] });
+	    expect(reg.lookup('publish')).to.eql({ name: 'publish', grants: [ ] });
+	    expect(reg.lookup('missing')).to.be.null;
+
+	    reg.unregister('publish');
+	    expect(reg.lookup('publish')).to.be.null;
+	});
+
+	it('should expand grants transitively', function() {
+	    let reg = new FlPermissionRegistry({
+		a: [ 'b' ], b: [ 'c', 'd' ], c: [ ], d: [ 'a' ]
+	    });
+
+	    expect(reg.expandGrants('a')).to.have.members([ 'b', 'c', 'd' ]);
+	    expect(reg.expandGrants('c')).to.eql([ ]);
+	    expect(reg.grantors('c')).to.have.members([ 'c', 'a', 'b', 'd' ]);
+	});
+
+	it('should define the standard permissions in the global registry', function() {
+	    expect(FlGlobalPermissionRegistry.expandGrants('manage')).to.have.members([ 'edit', 'delete', 'read', 'write' ]);
+	    expect(FlGlobalPermissionRegistry.grantors('write')).to.have.members([ 'write', 'edit', 'manage' ]);
+	    expect(FlGlobalPermissionRegistry.grantors('index')).to.eql([ 'index' ]);
+	});
+    });
+});
@@ -31,17 +31,12 @@ let TestDatumOne = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	owner: 'model'
+    },
     instance_properties: {
     },
     instance_methods: {
-	refresh: function(data) {
-	    this.__super('FlModelBase', 'refresh', data);
-
-	    if (_.isObject(data.owner))
-	    {
-	    	this.owner = FlModelFactory.defaultFactory().create(data.owner);
-	    }
-	}
     },
     class_methods: {
 	create: function(data) {
@@ -57,17 +52,12 @@ let TestDatumTwo = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	owner: 'model'
+    },
     instance_properties: {
     },
     instance_methods: {
-	refresh: function(data) {
-	    this.__super('FlModelBase', 'refresh', data);
-
-	    if (_.isObject(data.owner))
-	    {
-	    	this.owner = FlModelFactory.defaultFactory().create(data.owner);
-	    }
-	}
     },
     class_methods: {
 	create: function(data) {